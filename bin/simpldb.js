@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+'use strict';
+
+process.exitCode = require('../lib/CLI').run(process.argv.slice(2));
\ No newline at end of file
@@ -1,23 +1,190 @@
+import { EventEmitter } from 'events';
+
 declare function SimplDB(config?: SimplDB.DBConfig): SimplDB.Database;
 
 declare namespace SimplDB {
   export type DBConfig = {
-    autoSave?: boolean;
+    autoSave?: boolean|AutoSaveOptions;
+    backup?: BackupOptions;
     collectionsFolder?: string;
     collectionTimestamps?: boolean;
     dataFile?: string;
+    encryption?: EncryptionOptions;
     encryptionKey?: string;
+    fsync?: boolean;
+    lock?: boolean|number;
+    onConflict?: ConflictPolicy;
+    storage?: StorageAdapter;
+    sweepInterval?: number;
     tabSize?: number;
+    watch?: boolean|number;
   }
   
   export type CollectionConfig = {
-    autoSave?: boolean;
+    autoSave?: boolean|AutoSaveOptions;
+    encryptedFields?: string[];
+    encryption?: EncryptionOptions;
+    encryptionKey?: string;
+    expireAfter?: ExpireAfter;
     folderPath?: string;
+    fsync?: boolean;
+    id?: IdGenerator;
+    journal?: boolean|JournalOptions;
+    lock?: boolean|number;
+    onConflict?: ConflictPolicy;
+    refs?: { [field: string]: Reference };
+    schema?: Schema;
+    storage?: StorageAdapter;
+    sweepInterval?: number;
+    tabSize?: number;
+    timestamps?: boolean;
+    unique?: (string|string[])[];
+    watch?: boolean|number;
+  }
+
+  export type CollectionOptions = {
+    autoSave?: boolean|AutoSaveOptions;
+    encryptedFields?: string[];
+    encryption?: EncryptionOptions;
+    expireAfter?: ExpireAfter;
+    fsync?: boolean;
+    id?: IdGenerator;
+    journal?: boolean|JournalOptions;
+    lock?: boolean|number;
+    onConflict?: ConflictPolicy;
+    refs?: { [field: string]: Reference };
+    schema?: Schema;
+    storage?: StorageAdapter;
+    sweepInterval?: number;
     tabSize?: number;
     timestamps?: boolean;
+    unique?: (string|string[])[];
+    watch?: boolean|number;
+  }
+
+  export type AutoSaveOptions = {
+    debounce?: number;
+    interval?: number;
+    maxPendingChanges?: number;
+  }
+
+  export type ConflictPolicy = 'ours' | 'theirs' | 'merge' | 'reject' | ((versions: { base: any, ours: any, theirs: any }) => any);
+
+  export type EncryptionOptions = { key: string|Buffer, passphrase?: never } | { key?: never, passphrase: string };
+
+  export type StorageAdapter = {
+    append?(filePath: string, data: string): void|Promise<void>;
+    delete(filePath: string): boolean|Promise<boolean>;
+    list(folderPath: string): string[]|Promise<string[]>;
+    lock?<R>(filePaths: string[], lock: boolean|number, callback: () => R): R;
+    read(filePath: string): string|null|Promise<string|null>;
+    recover?(filePath: string): boolean;
+    watch?(filePath: string, interval: number, onChange: () => void): () => void;
+    write(filePath: string, data: string): void|Promise<void>;
+    promises?: {
+      append?(filePath: string, data: string): Promise<void>;
+      delete(filePath: string): Promise<boolean>;
+      list(folderPath: string): Promise<string[]>;
+      lock?<R>(filePaths: string[], lock: boolean|number, callback: () => Promise<R>): Promise<R>;
+      read(filePath: string): Promise<string|null>;
+      write(filePath: string, data: string): Promise<void>;
+    };
+  }
+
+  export type ExpireAfter = number | { field: string, ttl?: number };
+
+  export type BackupOptions = {
+    folder: string;
+    interval: number;
+    keep?: number;
+  }
+
+  export type Migration<D> = {
+    version: number;
+    up: (db: D) => void|Promise<void>;
+    down?: (db: D) => void|Promise<void>;
+  }
+
+  export type SnapshotManifest = {
+    version: string;
+    createdAt: string;
+    files: { name: string, size: number, sha256: string }[];
+  }
+
+  export type JournalOptions = {
+    maxSize?: number;
+    ratio?: number;
+  }
+
+  export type SetOptions = {
+    encrypt?: boolean;
+    ttl?: number;
+  }
+
+  export type IdGenerator = 'uuid' | 'ulid' | ((data: Data) => string|number);
+
+  export type SchemaType = 'any' | 'array' | 'boolean' | 'null' | 'number' | 'object' | 'string';
+
+  export type SchemaField = SchemaType | readonly SchemaType[] | {
+    readonly type: SchemaType | readonly SchemaType[];
+    readonly required?: boolean;
+    readonly enum?: readonly JSONData[];
+    readonly min?: number;
+    readonly max?: number;
+    readonly pattern?: string | RegExp;
+    readonly properties?: Schema;
+    readonly items?: SchemaField;
+  }
+
+  export type Schema = {
+    readonly [key: string]: SchemaField
+  }
+
+  export type SchemaViolation = {
+    path: string;
+    message: string;
+  }
+
+  type SchemaTypes = {
+    any: JSONData;
+    array: JSONData[];
+    boolean: boolean;
+    null: null;
+    number: number;
+    object: Data;
+    string: string;
+  }
+
+  type Simplify<T> = {
+    [Prop in keyof T]: T[Prop]
   }
+
+  export type InferField<F> =
+    F extends SchemaType ? SchemaTypes[F] :
+    F extends readonly (infer U)[] ? (U extends SchemaType ? SchemaTypes[U] : never) :
+    F extends { enum: readonly (infer E)[] } ? E :
+    F extends { type: 'object', properties: infer P } ? InferSchema<P> :
+    F extends { type: 'array', items: infer I } ? InferField<I>[] :
+    F extends { type: readonly (infer U)[] } ? (U extends SchemaType ? SchemaTypes[U] : never) :
+    F extends { type: infer U } ? (U extends SchemaType ? SchemaTypes[U] : never) :
+    never;
+
+  /**
+   * The type of the entries described by a schema (declare the schema with `as const`).
+   */
+  export type InferSchema<S> = Simplify<{
+    -readonly [Prop in keyof S as S[Prop] extends { required: true } ? Prop : never]: InferField<S[Prop]>
+  } & {
+    -readonly [Prop in keyof S as S[Prop] extends { required: true } ? never : Prop]?: InferField<S[Prop]>
+  }>;
   
-  export type JSONData = string | number | Data | JSONData[] | boolean | null;
+  export type JSONData = string | number | Data | JSONData[] | boolean | null | bigint | Date | Buffer | Map<JSONData, JSONData> | Set<JSONData>;
+
+  export type Codec<T> = {
+    type: new (...args: any[]) => T;
+    serialize: (value: T) => JSONData;
+    deserialize: (value: any) => T;
+  }
 
   export type Incrementable<T> = {
     [Prop in keyof T]: T[Prop] extends number ? Prop : never
@@ -39,22 +206,209 @@ declare namespace SimplDB {
     save(): void;
   }
 
+  export type AsyncModifiable<T> = T & {
+    save(): Promise<T[]>;
+  }
+
   export type DefaultValues<T> = Pick<T, Incrementable<Extended<T>>> | Partial<T>;
 
   export type Filter<T> = (args: T) => boolean;
 
+  export type QueryOperators<V> = {
+    $eq?: V;
+    $ne?: V;
+    $gt?: V;
+    $gte?: V;
+    $lt?: V;
+    $lte?: V;
+    $in?: V[];
+    $nin?: V[];
+    $exists?: boolean;
+    $regex?: string|RegExp;
+    $options?: string;
+    $not?: QueryCondition<V>;
+  }
+
+  export type QueryCondition<V> = V | RegExp | QueryOperators<V>;
+
+  export type Query<T> = {
+    [Prop in keyof T]?: QueryCondition<T[Prop]>
+  } & {
+    [path: `${string}.${string}`]: QueryCondition<any>;
+    $and?: (Query<T>|Filter<T>)[];
+    $or?: (Query<T>|Filter<T>)[];
+    $not?: Query<T>|Filter<T>;
+  }
+
   export type UpdateCallback<T> = (args: T) => void;
 
+  export type IndexOptions = {
+    name?: string;
+    unique?: boolean;
+  }
+
+  export type IndexInfo = {
+    name: string;
+    fields: string[];
+    unique?: boolean;
+  }
+
+  export type CollectionInfo = {
+    name: string;
+    entries: number;
+    size: number;
+  }
+
+  export type ExportFormat = 'csv' | 'json' | 'ndjson';
+
+  export type ExportOptions = {
+    format?: ExportFormat;
+  }
+
+  export type ExportedCollection = {
+    name: string;
+    entries: number;
+  }
+
+  export type SortDirection = 1 | -1 | 'asc' | 'desc';
+
+  export type FindOptions<T> = {
+    sort?: { [path: string]: SortDirection };
+    skip?: number;
+    limit?: number;
+    select?: string[] | { [path: string]: 0 | 1 | boolean };
+    after?: Partial<T> | Data;
+    populate?: string|string[];
+  }
+
+  export type GetOptions = {
+    populate?: string|string[];
+  }
+
+  export type Reference = {
+    ref: string;
+    field?: string;
+    onDelete?: 'restrict'|'cascade'|'nullify';
+  }
+
+  export type SelectedFindOptions<T> = FindOptions<T> & {
+    select: NonNullable<FindOptions<T>['select']>;
+  }
+
+  export type FieldReference = `$${string}`;
+
+  export type Accumulator =
+    | { $count: {} }
+    | { $sum: FieldReference | number }
+    | { $avg: FieldReference }
+    | { $min: FieldReference }
+    | { $max: FieldReference }
+    | { $push: FieldReference | { [key: string]: JSONData } };
+
+  export type AggregationStage<T> =
+    | { $match: Filter<T>|Query<T> }
+    | { $group: { _id: JSONData; [field: string]: Accumulator | JSONData } }
+    | { $sort: { [path: string]: SortDirection } }
+    | { $skip: number }
+    | { $limit: number }
+    | { $project: { [path: string]: 0 | 1 | boolean | FieldReference } }
+    | { $unwind: FieldReference | { path: FieldReference, preserveNullAndEmptyArrays?: boolean } };
+
   export type Data = {
     [key: string]: JSONData
   }
+
+  export type SetEvent = {
+    key: string;
+    oldValue: JSONData|undefined;
+    newValue: JSONData|undefined;
+  }
+
+  export type DeleteEvent = {
+    key: string;
+    oldValue: JSONData;
+  }
+
+  export type RenameEvent = {
+    key: string;
+    newKey: string;
+    value: JSONData;
+  }
+
+  export type ClearEvent = {
+    oldValue: Data;
+  }
+
+  export type ExpiredEvent = {
+    key: string;
+    value: JSONData;
+  }
+
+  export type ReloadEvent = {
+    oldValue: Data;
+    newValue: Data;
+  }
+
+  export type DatabaseEvents = {
+    clear: [ClearEvent];
+    delete: [DeleteEvent];
+    error: [Error];
+    expired: [ExpiredEvent];
+    reload: [ReloadEvent];
+    rename: [RenameEvent];
+    save: [];
+    set: [SetEvent];
+  }
+
+  export type WatchListener = <E extends Exclude<keyof DatabaseEvents, 'error' | 'expired' | 'reload' | 'save'>>(event: E, payload: DatabaseEvents[E][0]) => void;
+
+  export type CreateEvent<T> = {
+    entries: T[];
+  }
+
+  export type UpdateEvent<T> = {
+    filter: Filter<T>|Query<T>;
+    oldEntries: T[];
+    newEntries: T[];
+  }
+
+  export type RemoveEvent<T> = {
+    filter: Filter<T>|Query<T>;
+    entries: T[];
+  }
+
+  export type CollectionReloadEvent<T> = {
+    oldEntries: T[];
+    newEntries: T[];
+  }
+
+  export type CollectionEvents<T> = {
+    create: [CreateEvent<T>];
+    error: [Error];
+    expired: [CreateEvent<T>];
+    reload: [CollectionReloadEvent<T>];
+    remove: [RemoveEvent<T>];
+    reset: [UpdateEvent<T>];
+    save: [];
+    update: [UpdateEvent<T>];
+  }
   
   /**
    * The main database.
+   * Emits set, delete, rename and clear when its data changes, save when it is written to the JSON file, reload when it is reloaded after another process changed the file, and expired when expired keys are removed.
    */
-  export class Database {
+  export class Database extends EventEmitter {
+    #backups;
+    #changes;
     #config: DBConfig;
     #data: Data;
+    #disk;
+    #expirations;
+    #removing;
+    #storage;
+    #sweeper;
+    #transaction;
+    #unwatch;
     
     /**
      * All the created collections.
@@ -69,25 +423,57 @@ declare namespace SimplDB {
     /**
      * @constructor
      * @param {DBConfig} config The configuration to be used in the database
-     * @param {boolean} [config.autoSave] Whether or not to write new data to the JSON file everytime it is updated
+     * @param {boolean|AutoSaveOptions} [config.autoSave] Whether or not to write new data to the JSON file everytime it is updated, or when to write it in batches: once no change was made for debounce milliseconds, interval milliseconds after the first unsaved change or every maxPendingChanges changes (batched changes are also written when the process exits)
+     * @param {BackupOptions} [config.backup] Takes a snapshot (see {@link Database.backup}) in a new folder of the provided folder every interval milliseconds, keeping only the latest ones (5 by default)
      * @param {string} [config.dataFile] The path of the JSON file (from the root of the project) to store data in
      * @param {string} [config.collectionsFolder] The path to a folder where collections' data will be stored
      * @param {string} [config.collectionTimestamps] Whether or not to automatically add the attributes createdAt and updatedAt to every collection entry
-     * @param {string} [config.encryptionKey] The Encryption Key to be used when encrypting and decrypting data
+     * @param {EncryptionOptions} [config.encryption] Encrypts every file of the database and of its collections with AES-256-GCM, using either a key of 32 bytes or one derived from a passphrase with scrypt (loading a file that was modified or swapped with another one throws a {@link DecryptionError})
+     * @param {string} [config.encryptionKey] The Encryption Key to be used when encrypting and decrypting single string values (see {@link Database.set}) and the encrypted fields of collections
+     * @param {boolean} [config.fsync] Whether or not to flush every write to the disk before it is considered done (slower, but survives power losses)
+     * @param {boolean|number} [config.lock] Whether or not to hold a lock file while writing, so other processes wait for the write to end (a number sets how long to wait for it in milliseconds, 5000 by default)
+     * @param {ConflictPolicy} [config.onConflict] What to keep when the file was changed by another process since it was last read: "ours" (default), "theirs", "merge", "reject" (throws a {@link ConflictError}) or a function returning the data
+     * @param {StorageAdapter} [config.storage] Where the files of the database and of its collections are kept (a {@link JSONStorage} by default)
+     * @param {number} [config.sweepInterval] How often to remove the expired keys and entries, in milliseconds (60000 by default)
      * @param {number} [config.tabSize] The size of the tab in the JSON file (indentation)
+     * @param {boolean|number} [config.watch] Whether or not to reload the data when another process changes the file (a number sets how often to check it in milliseconds, 1000 by default)
      */
     constructor(config?: DBConfig);
 
     #checkJSON;
+    #checkNewName;
+    #checkSweepInterval;
+    #clearExpirations;
+    #commit;
+    #copyCollectionFiles;
     #decrypt;
+    #deleteCollectionFiles;
+    #describe;
     #encrypt;
+    #expiresAt;
     #fetchData;
     #math;
+    #moveExpirations;
+    #onDisk;
+    #openCollection;
+    #persist;
+    #planRemoval;
+    #readCollectionOptions;
+    #readExpirations;
+    #readFile;
+    #referencing;
+    #reload;
+    #set;
+    #startSweeper;
+    #storedCollections;
+    #sweep;
+    #sync;
     #validateBeforeDecrypt;
     #validateBeforeEncrypt;
     #validateEncryptionKey;
     #validateFolderPath;
     #validatePath;
+    #withLock;
 
     /**
      * Adds the provided value to the value of the provided key.
@@ -98,18 +484,48 @@ declare namespace SimplDB {
      */
     add<T>(key: string, value: number): T|never;
 
+    /**
+     * Saves the unsaved changes, then copies the JSON file of the database and the ones of its collections into the provided folder, with a manifest holding their checksums.
+     * The files are copied while their locks are held, so no other process changes them in between.
+     * @param {string} folder The folder to take the snapshot in
+     * @returns {SnapshotManifest}
+     */
+    backup(folder: string): SnapshotManifest|never;
+
     /**
      * Clears the database.
      */
     clear(): void;
 
+    /**
+     * Stops watching the JSON file of the database and the ones of its collections, and saves their batched changes.
+     */
+    close(): void;
+
+    /**
+     * Copies the saved entries of a collection to a new collection, created with the same default values, options and indexes.
+     * The unsaved changes of the collection are saved first.
+     * @param {string} name The name of the collection
+     * @param {string} newName The name for the new collection
+     * @returns {CollectionInfo} The name, amount of entries and size in bytes of the new collection
+     */
+    copyCollection(name: string, newName: string): CollectionInfo|never;
+
     /**
      * Creates a new collection.
      * @param {string} name The name for the collection
      * @param {DefaultValues<T>} [defaultValues={}] Default values for omitted keys
+     * @param {CollectionOptions} [options={}] Options for the collection, overriding the ones inherited from the database
+     * @param {(string|string[])[]} [options.unique] Fields (or groups of fields) whose values cannot be repeated across entries
+     * @param {{ [field: string]: Reference }} [options.refs] Fields referencing the entries of another collection by one of their fields (_id by default), which can be populated (see {@link Collection.get}).
+     * Removing a referenced entry throws ("restrict", the default), removes the entries referencing it ("cascade") or sets their reference to null ("nullify")
+     * @param {IdGenerator} [options.id] Generates a unique _id for every created entry ("uuid", "ulid" or a function)
+     * @param {Schema} [options.schema] Schema that every created, updated or saved entry must match (its type is inferred when declared with `as const`)
+     * @param {boolean|JournalOptions} [options.journal] Whether or not to append the changes to a log instead of rewriting the whole JSON file on every save (see {@link Collection.compact})
      * @returns {Collection<Readable<T>>}
      */
-    createCollection<T>(name: string, defaultValues?: DefaultValues<T>): Collection<Readable<T>>|never;
+    createCollection<S extends Schema>(name: string, defaultValues: DefaultValues<InferSchema<S>>|undefined, options: CollectionOptions & { schema: S }): Collection<Readable<InferSchema<S>>>|never;
+    createCollection<T>(name: string, defaultValues?: DefaultValues<T>, options?: CollectionOptions): Collection<Readable<T>>|never;
 
     /**
      * Deletes a key.
@@ -119,12 +535,21 @@ declare namespace SimplDB {
     delete(key: string): boolean|never;
 
     /**
-     * Deletes a collection.
+     * Deletes a collection, along with its files (even if it was not loaded).
      * @param {string} name The name of the collection
      * @returns {boolean}
      */
     deleteCollection(name: string): boolean|never;
 
+    /**
+     * Writes the data (as a single entry) and the entries of every collection, including the ones found in the collections folder, to a folder in one format:
+     * database.csv and collections/users.csv for example. In CSV files the columns are the dot paths of the fields, and only strings are quoted.
+     * @param {string} folder The folder to export to
+     * @param {ExportOptions} [options] The format to export in (JSON by default)
+     * @returns {ExportedCollection[]}
+     */
+    export(folder: string, options?: ExportOptions): ExportedCollection[]|never;
+
     /**
      * Returns the value of the provided key directly from the JSON file.
      * @param {string} key The key to get the value from
@@ -132,6 +557,11 @@ declare namespace SimplDB {
      */
     fetch<T extends JSONData>(key: string): T|never;
 
+    /**
+     * Saves the data of the database and the entries of every collection, if they have unsaved changes.
+     */
+    flush(): void|never;
+
     /**
      * Returns the value of the provided key.
      * @param {string} key The key to get the value from
@@ -142,11 +572,18 @@ declare namespace SimplDB {
 
     /**
      * Returns the information and data from a collection.
+     * A collection found in the collections folder is loaded the first time it is requested, with the default values, options and indexes it was saved with.
      * @param {string} name The name of the collection
      * @returns {Collection<Readable<T>>|null}
      */
     getCollection<T>(name: string): Collection<Readable<T>>|null|never;
 
+    /**
+     * Returns the schema version the migrations led to (0 if none ran).
+     * @returns {number}
+     */
+    getSchemaVersion(): number;
+
     /**
      * Checks if the provided key exists.
      * @param {string} key The key that will be checked
@@ -154,6 +591,45 @@ declare namespace SimplDB {
      */
     has(key: string): boolean|never;
 
+    /**
+     * Brings in an export at once, like a transaction: the keys of its data are set and its entries are added to the collections, which are created if they do not exist.
+     * @param {string} folder The folder of the export
+     * @param {ExportOptions} [options] The format of the export (JSON by default)
+     * @returns {ExportedCollection[]}
+     */
+    import(folder: string, options?: ExportOptions): ExportedCollection[]|never;
+
+    /**
+     * Returns the name, the amount of entries and the size in bytes (of its JSON file and log) of every collection, including the ones found in the collections folder, which get loaded.
+     * @returns {CollectionInfo[]}
+     */
+    listCollections(): CollectionInfo[]|never;
+
+    /**
+     * Runs the migrations after the current schema version, in the order of their versions, up to the provided version (the latest one by default).
+     * With an earlier version, runs the down functions of the migrations after it instead, from the latest one.
+     * Their changes and the new schema version are written at once, like in a transaction, and nothing is kept if one of them throws.
+     * @param {Migration<Database>[]} migrations The migrations, with synchronous up and down functions
+     * @param {number} [version] The schema version to migrate to
+     * @returns {number} The new schema version
+     */
+    migrate(migrations: Migration<Database>[], version?: number): number|never;
+
+    /**
+     * Removes a listener of the provided event.
+     */
+    off<E extends keyof DatabaseEvents>(event: E, listener: (...args: DatabaseEvents[E]) => void): this;
+
+    /**
+     * Listens to the provided event.
+     */
+    on<E extends keyof DatabaseEvents>(event: E, listener: (...args: DatabaseEvents[E]) => void): this;
+
+    /**
+     * Listens to the next emission of the provided event.
+     */
+    once<E extends keyof DatabaseEvents>(event: E, listener: (...args: DatabaseEvents[E]) => void): this;
+
     /**
      * Removes all the elements with the same value as the provided value from an array based on the provided key.
      * @param {string} key The key of the target array
@@ -178,8 +654,34 @@ declare namespace SimplDB {
      */
     rename<T extends JSONData>(key: string, newName: string): T|never;
 
+    /**
+     * Moves the saved entries of a collection to a new collection, created with the same default values, options and indexes, and deletes the collection.
+     * The unsaved changes of the collection are saved first.
+     * @param {string} name The name of the collection
+     * @param {string} newName The new name for the collection
+     * @returns {CollectionInfo} The name, amount of entries and size in bytes of the renamed collection
+     */
+    renameCollection(name: string, newName: string): CollectionInfo|never;
+
+    /**
+     * Brings back the data of the database and the entries of its collections from a snapshot taken by {@link Database.backup}, writing every file at once like a transaction.
+     * Nothing is restored if a file of the snapshot is missing or does not match its checksum. Collections that are not in the snapshot are left as they are.
+     * @param {string} folder The folder of the snapshot
+     */
+    restore(folder: string): void|never;
+
+    /**
+     * Re-encrypts every value encrypted with the Encryption Key, in the database and in the encrypted fields of its collections (the ones of the collections folder that are not loaded yet included), with a new key.
+     * The keys whose values were set with the encrypt option are kept in the metadata file next to the JSON file (database.json.meta), so no other value is changed.
+     * Every file is written at once, like in a transaction, so either all of them or none of them use the new key.
+     * @param {string} oldKey The current Encryption Key
+     * @param {string} newKey The new Encryption Key (32 characters)
+     */
+    rotateEncryptionKey(oldKey: string, newKey: string): void|never;
+
     /**
      * Writes the cached data into the JSON file.
+     * The data is written into a temporary file first, which then replaces the JSON file.
      */
     save(): void|never;
 
@@ -187,10 +689,12 @@ declare namespace SimplDB {
      * Sets a new value to the value of the provided key.
      * @param {string} key The target key
      * @param {JSONData} value The value to set
-     * @param {boolean} [encrypt=false] Whether or not to encrypt the value before setting it
+     * @param {boolean|SetOptions} [options=false] Whether or not to encrypt the value before setting it, or the options to set it with
+     * @param {boolean} [options.encrypt=false] Whether or not to encrypt the value before setting it
+     * @param {number} [options.ttl] Milliseconds after which the key expires (without it, the key does not expire)
      * @returns {T}
      */
-    set<T extends JSONData>(key: string, value: JSONData, encrypt?: boolean): T|Data|never;
+    set<T extends JSONData>(key: string, value: JSONData, options?: boolean|SetOptions): T|Data|never;
 
     /**
      * Subtracts the provided value from the value of the provided key.
@@ -207,6 +711,29 @@ declare namespace SimplDB {
      */
     toJSON(): Data;
 
+    /**
+     * Runs the provided callback as a transaction: the changes it makes to the database and to its collections are written all at once when it returns, or none of them are if it throws.
+     * If it throws, the data of the database and of every collection is restored and the collections created in the callback are discarded.
+     * Collections cannot be deleted during a transaction, and transactions cannot be nested.
+     * @param {(tx: Database) => T} callback Synchronous function making the changes, which receives the database
+     * @returns {T} What the callback returned
+     */
+    transaction<T>(callback: (tx: Database) => T): T|never;
+
+    /**
+     * Removes every entry of a collection.
+     * @param {string} name The name of the collection
+     * @returns {CollectionInfo} The name, amount of entries and size in bytes of the collection
+     */
+    truncateCollection(name: string): CollectionInfo|never;
+
+    /**
+     * Returns the milliseconds left before the provided key expires (or one of its parents does).
+     * @param {string} key The target key
+     * @returns {number|null} Infinity if the key does not expire, or null if it does not exist
+     */
+    ttl(key: string): number|null;
+
     /**
      * Updates the provided key's value with the provided callback.
      * @param {string} key The target key
@@ -214,16 +741,34 @@ declare namespace SimplDB {
      * @returns {T}
      */
     update<T extends JSONData>(key: string, updateCallback: UpdateCallback<T>): T|never;
+
+    /**
+     * Listens to the changes of the provided key, of its children and of its parents.
+     * @param {string} key The key to watch
+     * @param {WatchListener} listener Function called with the name and the payload of every related set, delete, rename and clear event
+     * @returns {() => void} Function that stops watching
+     */
+    watch(key: string, listener: WatchListener): () => void;
   }
   
   
   /**
    * Collection where data is stored separately from the main data, in a different file.
+   * Emits create, update, reset and remove when its entries change, save when it is written to the JSON file, reload when it is reloaded after another process changed the file, and expired when expired entries are removed.
    */
-  export class Collection<T> {
+  export class Collection<T> extends EventEmitter {
+    #changes;
     #config: CollectionConfig;
     #data: T[];
     #defaultValues: DefaultValues<T>;
+    #disk;
+    #indexes;
+    #journal;
+    #positions;
+    #sequence;
+    #storage;
+    #sweeper;
+    #unwatch;
 
     /**
      * The database where the collection is stored.
@@ -244,22 +789,98 @@ declare namespace SimplDB {
      * @constructor
      * @param {string} name The name of the collection
      * @param {CollectionConfig} config The configuration to use in the collection
-     * @param {boolean} config.autoSave Whether or not to write data into the JSON file everytime it is updated
+     * @param {boolean|AutoSaveOptions} config.autoSave Whether or not to write data into the JSON file everytime it is updated, or when to write it in batches (see {@link Database})
+     * @param {string[]} config.encryptedFields Fields (or paths of nested fields) whose values are encrypted with AES-256-GCM in the JSON file and decrypted when it is read, whatever their type
+     * @param {EncryptionOptions} config.encryption Encrypts the file of the collection (see {@link Database})
+     * @param {string} config.encryptionKey The Encryption Key of the encrypted fields (the one of the database by default)
      * @param {string} config.folderPath The path where the collection's data will be stored
+     * @param {boolean} config.fsync Whether or not to flush every write to the disk before it is considered done
+     * @param {boolean|number} config.lock Whether or not to hold a lock file while writing (see {@link Database})
+     * @param {ConflictPolicy} config.onConflict What to keep when the file was changed by another process since it was last read (see {@link Database})
+     * @param {StorageAdapter} config.storage Where the file of the collection is kept (see {@link Database})
+     * @param {ExpireAfter} config.expireAfter Milliseconds after the createdAt field (or after a date field, with an object) when entries expire
+     * @param {number} config.sweepInterval How often to remove the expired entries, in milliseconds
+     * @param {boolean|number} config.watch Whether or not to reload the entries when another process changes the file (see {@link Database})
      * @param {string} config.tabSize The size of the tab in the JSON file (indentation)
      * @param {string} config.timestamps Whether or not to automatically add the attributes createdAt and updatedAt to every entry
+     * @param {IdGenerator} config.id Generates a unique _id for every created entry ("uuid", "ulid" or a function)
+     * @param {Schema} config.schema Schema that every created or updated entry must match
+     * @param {(string|string[])[]} config.unique Fields (or groups of fields) whose values cannot be repeated across entries
+     * @param {{ [field: string]: Reference }} config.refs Fields referencing the entries of another collection of the database, and what removing them does (see {@link Database.createCollection})
+     * @param {boolean|JournalOptions} config.journal Whether or not to append the changes to a log instead of rewriting the whole JSON file on every save, which is folded back into the file once it is larger than maxSize bytes (16 MiB by default) or ratio times the file (1 by default)
      * @param {DefaultValues<T>} defaultValues Default values for omitted keys
      */
     private constructor(name: string, config: CollectionConfig, defaultValues?: DefaultValues<T>);
 
+    #append;
+    #candidates;
     #checkDefaultValues;
     #checkEntry;
-    #checkFilter;
+    #checkEncryptedFields;
+    #checkExpireAfter;
+    #checkField;
+    #checkFunction;
+    #checkId;
+    #checkJournal;
     #checkName;
+    #checkRefs;
+    #checksum;
+    #checkUnique;
+    #createIndex;
+    #decryptEntries;
+    #emit;
+    #encryptEntries;
+    #expiresAt;
     #fetchData;
+    #filter;
+    #generateId;
+    #indexEntries;
+    #load;
+    #log;
+    #modifiable;
+    #persist;
+    #readFile;
+    #reload;
+    #saveOptions;
+    #sweep;
+    #sync;
+    #track;
+    #transformFields;
+    #uniqueValue;
+    #untrack;
+    #update;
+    #validate;
+    #withLock;
+
+    /**
+     * Runs the provided pipeline of stages over the entries of the collection and returns the resulting documents, which are always copies.
+     * Supported stages are $match, $group (with $count, $sum, $avg, $min, $max and $push), $sort, $skip, $limit, $project and $unwind.
+     * @param {AggregationStage<T>[]} pipeline Stages to run, in order
+     * @returns {R[]}
+     */
+    aggregate<R = Data>(pipeline: AggregationStage<T>[]): R[]|never;
+
+    /**
+     * Stops watching the JSON file of the collection, and saves its batched changes.
+     */
+    close(): void;
+
+    /**
+     * Writes the whole JSON file of the collection, folding the log of the journal mode back into it.
+     * Only the changes made through the methods of the collection are logged, so entries changed directly need to be saved with this method.
+     */
+    compact(): void;
+
+    /**
+     * Counts the entries that match the provided filter.
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {number}
+     */
+    count(filter?: Filter<T>|Query<T>): number|never;
 
     /**
      * Creates and pushes a new entry into the collection.
+     * Throws a {@link SchemaValidationError} if the entry does not match the schema, or a {@link DuplicateKeyError} if it breaks a unique constraint.
      * @param {Partial<T>} data Entry's data
      * @returns {T}
      */
@@ -267,17 +888,51 @@ declare namespace SimplDB {
 
     /**
      * Creates and pushes more than one entry into the collection.
+     * No entry is created if any of them does not match the schema or breaks a unique constraint.
      * @param {Partial<T>[]} entries Entries' data
      * @returns {T[]}
      */
     createBulk(entries: Partial<T>[]): T[]|never;
 
+    /**
+     * Creates an in-memory index over one or more fields (dot paths are supported).
+     * Query objects with equality, $in or range conditions on the indexed fields use the index automatically.
+     * Entries changed without Collection#update or Document#save are not re-indexed.
+     * @param {string|string[]} fields The field or fields (compound index) to index
+     * @param {IndexOptions} [options] The options of the index
+     * @returns {string} The name of the index
+     */
+    createIndex(fields: string|string[], options?: IndexOptions): string|never;
+
+    /**
+     * Returns the distinct values of the provided field among the entries that match the filter. The elements of array values are counted separately.
+     * @param {string} field The field (or dot path) to read
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {V[]}
+     */
+    distinct<V extends JSONData = JSONData>(field: string, filter?: Filter<T>|Query<T>): V[]|never;
+
+    /**
+     * Deletes an index.
+     * @param {string} name The name of the index
+     * @returns {boolean}
+     */
+    dropIndex(name: string): boolean;
+
+    /**
+     * Writes the entries that have not expired to a file, in the format of its extension (.csv, .ndjson or .jsonl, JSON otherwise) unless the format option says otherwise.
+     * @param {string} filePath The file to write
+     * @param {ExportOptions} [options] The format to write in
+     * @returns {number} The amount of entries written
+     */
+    exportTo(filePath: string, options?: ExportOptions): number|never;
+
     /**
      * Fetches the entries directly from the JSON file and returns the first one that matches the provided filter.
-     * @param {Filter<T>} filter Filter to apply
+     * @param {Filter<T>|Query<T>} filter Filter to apply
      * @returns {T|null}
      */
-    fetch(filter: Filter<T>): T|null|never;
+    fetch(filter: Filter<T>|Query<T>): T|null|never;
     
     /**
      * Fetches all the entries from the collection directly from the JSON file.
@@ -287,26 +942,53 @@ declare namespace SimplDB {
 
     /**
      * Fetches the entries directly from the JSON file and returns the ones that match the provided filter.
-     * @param {Filter<T>} filter Filter to apply
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @param {FindOptions<T>} [options] Sorting, pagination, projection and references to populate to apply
      * @returns {T[]}
      */
-    fetchMany(filter: Filter<T>): T[]|never;
+    fetchMany(filter: Filter<T>|Query<T>, options?: FindOptions<T> & { select?: undefined }): T[]|never;
+    fetchMany(filter: Filter<T>|Query<T>, options: SelectedFindOptions<T>): Partial<T>[]|never;
+
+    /**
+     * Fetches the entry with the provided _id directly from the JSON file.
+     * @param {string|number} id The _id of the entry
+     * @returns {T|null}
+     */
+    fetchById(id: string|number): T|null|never;
 
     /**
      * Fetches the first entry that matches the provided filter directly from the JSON file.
      * If no entry is found, creates and pushes a new one with the provided data into the collection.
-     * @param {Function} filter Filter to apply
+     * @param {Filter<T>|Query<T>} filter Filter to apply
      * @param {Partial<T>} data Entry's data
      * @returns {T|null}
      */
-    fetchOrCreate(filter: Filter<T>, data: Partial<T>): T|null|never;
+    fetchOrCreate(filter: Filter<T>|Query<T>, data: Partial<T>): T|null|never;
+
+    /**
+     * Returns the entries that match the provided filter, sorted, paginated and projected with the provided options.
+     * Entries are sorted by each of the fields of `sort` in turn, and `after` keeps only the ones that come after the provided entry in that order.
+     * Entries are only modifiable when no fields are selected and no references are populated.
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @param {FindOptions<T>} [options] Sorting, pagination, projection and references to populate to apply
+     * @returns {T[]}
+     */
+    find(filter?: Filter<T>|Query<T>, options?: FindOptions<T> & { select?: undefined }): T[]|never;
+    find(filter: Filter<T>|Query<T>, options: SelectedFindOptions<T>): Partial<T>[]|never;
+
+    /**
+     * Saves the entries if they have unsaved changes.
+     */
+    flush(): void|never;
 
     /**
      * Returns the first entry that matches the provided filter.
-     * @param {Filter<T>} filter Filter to apply
+     * With the populate option, returns a copy of it whose reference fields hold the entries they reference (null if there is none), which is not modifiable.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @param {GetOptions} [options] The reference fields to populate
      * @returns {T|null}
      */
-    get(filter: Filter<T>): T|null|never;
+    get(filter: Filter<T>|Query<T>, options?: GetOptions): T|null|never;
     
     /**
      * Returns all the entries from the collection.
@@ -316,26 +998,72 @@ declare namespace SimplDB {
 
     /**
      * Returns the entries that match the provided filter.
-     * @param {Filter<T>} filter Filter to apply
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @param {FindOptions<T>} [options] Sorting, pagination, projection and references to populate to apply
      * @returns {T[]}
      */
-    getMany(filter: Filter<T>): T[]|never;
+    getMany(filter: Filter<T>|Query<T>, options?: FindOptions<T> & { select?: undefined }): T[]|never;
+    getMany(filter: Filter<T>|Query<T>, options: SelectedFindOptions<T>): Partial<T>[]|never;
+
+    /**
+     * Returns the entry with the provided _id.
+     * @param {string|number} id The _id of the entry
+     * @returns {T|null}
+     */
+    getById(id: string|number): T|null|never;
 
     /**
      * Returns the first entry that matches the provided filter.
      * If no entry is found, creates and pushes a new one with the provided data into the collection.
-     * @param {Filter<T>} filter Filter to apply
+     * @param {Filter<T>|Query<T>} filter Filter to apply
      * @param {Partial<T>} data Entry's data
      * @returns {T|null}
      */
-    getOrCreate(filter: Filter<T>, data: Partial<T>): T|null|never;
+    getOrCreate(filter: Filter<T>|Query<T>, data: Partial<T>): T|null|never;
+
+    /**
+     * Groups the entries that match the filter by the value of the provided field. Entries missing the field are grouped under "null".
+     * @param {string} field The field (or dot path) to group by
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {{ [value: string]: T[] }}
+     */
+    groupBy(field: string, filter?: Filter<T>|Query<T>): { [value: string]: T[] }|never;
 
     /**
      * Checks if there is any entry matching the provided filter.
-     * @param {Filter<T>} filter Filter to apply
+     * @param {Filter<T>|Query<T>} filter Filter to apply
      * @returns {boolean}
      */
-    has(filter: Filter<T>): boolean|never;
+    has(filter: Filter<T>|Query<T>): boolean|never;
+
+    /**
+     * Creates the entries of a file (see {@link Collection.exportTo} for its format) like {@link Collection.createBulk}, with the default values, auto-incremented fields and ids they are missing.
+     * @param {string} filePath The file to read
+     * @param {ExportOptions} [options] The format of the file
+     * @returns {T[]}
+     */
+    importFrom(filePath: string, options?: ExportOptions): T[]|never;
+
+    /**
+     * Returns the indexes of the collection.
+     * @returns {IndexInfo[]}
+     */
+    listIndexes(): IndexInfo[];
+
+    /**
+     * Removes a listener of the provided event.
+     */
+    off<E extends keyof CollectionEvents<T>>(event: E, listener: (...args: CollectionEvents<T>[E]) => void): this;
+
+    /**
+     * Listens to the provided event.
+     */
+    on<E extends keyof CollectionEvents<T>>(event: E, listener: (...args: CollectionEvents<T>[E]) => void): this;
+
+    /**
+     * Listens to the next emission of the provided event.
+     */
+    once<E extends keyof CollectionEvents<T>>(event: E, listener: (...args: CollectionEvents<T>[E]) => void): this;
 
     /**
      * Returns one ore more random entries from the collection.
@@ -347,33 +1075,981 @@ declare namespace SimplDB {
     /**
      * Removes the entries that match the provided filter.
      * Removes all the entries from the collection if no filter is provided.
-     * @param {Filter<T>} [filter] Filter to apply
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
      * @returns {T[]}
      */
-    remove(filter?: Filter<T>): T[]|never;
+    remove(filter?: Filter<T>|Query<T>): T[]|never;
+
+    /**
+     * Removes the entry with the provided _id.
+     * @param {string|number} id The _id of the entry
+     * @returns {T|null}
+     */
+    removeById(id: string|number): T|null|never;
 
     /**
      * Resets the keys with default values from the entries that match the provided filter to their default values.
      * Resets the keys with default values from all the entries from the collection if no filter is provided.
-     * @param {Filter<T>} [filter] Filter to apply
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
      * @returns {T[]}
      */
-    reset(filter?: Filter<T>): T[]|never;
+    reset(filter?: Filter<T>|Query<T>): T[]|never;
 
     /**
      * Writes the cached data into the collection's JSON file.
+     * The data is written into a temporary file first, which then replaces the collection's JSON file.
      */
     save(): void|never;
 
+    /**
+     * Sums the numeric values of the provided field among the entries that match the filter.
+     * @param {string} field The field (or dot path) to sum
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {number}
+     */
+    sum(field: string, filter?: Filter<T>|Query<T>): number|never;
+
+    /**
+     * Parses and returns all the entries from the collection as an array.
+     * @returns {T[]}
+     */
+    toJSON(): T[];
+
+    /**
+     * Returns the milliseconds left before the first entry that matches the provided filter expires.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @returns {number|null} Infinity if the entry does not expire, or null if no entry matches the filter
+     */
+    ttl(filter: Filter<T>|Query<T>): number|null;
+
     /**
      * Updates the entries that match the provided filter with the provided callback.
      * Updates all the entries if no filter is provided.
+     * No entry is updated if any of them would not match the schema or would break a unique constraint.
      * @param {UpdateCallback<Writable<T>>} updateCallback Function to run for each entry returned by the filter
-     * @param {Filter<T>} [filter] Filter to apply
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
      * @returns {T[]}
      */
-    update(updateCallback: UpdateCallback<Writable<T>>, filter?: Filter<T>): T[]|never;
+    update(updateCallback: UpdateCallback<Writable<T>>, filter?: Filter<T>|Query<T>): T[]|never;
+
+    /**
+     * Updates the entry with the provided _id with the provided callback.
+     * @param {string|number} id The _id of the entry
+     * @param {UpdateCallback<Writable<T>>} updateCallback Function to run for the entry
+     * @returns {T|null}
+     */
+    updateById(id: string|number, updateCallback: UpdateCallback<Writable<T>>): T|null|never;
+  }
+
+
+  /**
+   * Error thrown when saving over changes another process made to the file, if the onConflict option is "reject".
+   */
+  export class ConflictError extends Error {
+    /**
+     * The path of the file that was changed.
+     */
+    public file: string;
+
+    private constructor(file: string);
+  }
+
+
+  /**
+   * Error thrown when an encrypted file could not be decrypted, because it was modified, is not encrypted or was encrypted with another key.
+   */
+  export class DecryptionError extends Error {
+    /**
+     * The path of the file that could not be decrypted.
+     */
+    public file: string;
+
+    private constructor(file: string);
   }
+
+
+  /**
+   * Error thrown when an entry breaks a unique constraint of a collection.
+   */
+  export class DuplicateKeyError extends Error {
+    /**
+     * The fields of the broken unique constraint.
+     */
+    public fields: string[];
+
+    /**
+     * The repeated value (an array of values for compound constraints).
+     */
+    public value: JSONData;
+
+    /**
+     * The existing entry that already has the value.
+     */
+    public entry: Data;
+
+    private constructor(fields: string[], value: JSONData, entry: Data);
+  }
+
+
+  /**
+   * Error thrown when an entry does not match the schema of a collection.
+   */
+  export class SchemaValidationError extends Error {
+    /**
+     * Every violation of the schema.
+     */
+    public errors: SchemaViolation[];
+
+    private constructor(errors: SchemaViolation[]);
+  }
+
+
+  /**
+   * Promise-based version of the main database.
+   * The JSON file is read once when the database is created, every other read and write is asynchronous.
+   * Saves requested while another save is running are merged into a single write, and writes always run in order.
+   */
+  export class AsyncDatabase extends EventEmitter {
+    #changes;
+    #config: DBConfig;
+    #database: Database;
+    #queue;
+    #storage;
+
+    /**
+     * All the created collections.
+     */
+    public collections: AsyncCollection<any>[];
+
+    /**
+     * The version of the package.
+     */
+    public version: string;
+
+    /**
+     * @constructor
+     * @param {DBConfig} config The configuration to be used in the database (same options as {@link Database})
+     */
+    constructor(config?: DBConfig);
+
+    #autoSave;
+    #fetchData;
+    #transaction;
+    #withLock;
+    #wrap;
+    #write;
+
+    /**
+     * Adds the provided value to the value of the provided key.
+     * If no existing number, the provided value will be added to 0 (zero).
+     * @param {string} key The key that will have its value incremented
+     * @param {number} value The value to increment
+     * @returns {Promise<T>}
+     */
+    add<T>(key: string, value: number): Promise<T>;
+
+    /**
+     * Saves the unsaved changes, then copies the JSON file of the database and the ones of its collections into the provided folder (see {@link Database.backup}).
+     * @param {string} folder The folder to take the snapshot in
+     * @returns {Promise<SnapshotManifest>}
+     */
+    backup(folder: string): Promise<SnapshotManifest>;
+
+    /**
+     * Clears the database.
+     */
+    clear(): Promise<void>;
+
+    /**
+     * Stops watching the JSON file of the database and the ones of its collections, and saves their batched changes.
+     */
+    close(): Promise<void>;
+
+    /**
+     * Copies the saved entries of a collection to a new collection, created with the same default values, options and indexes (see {@link Database.copyCollection}).
+     * @param {string} name The name of the collection
+     * @param {string} newName The name for the new collection
+     * @returns {Promise<CollectionInfo>} The name, amount of entries and size in bytes of the new collection
+     */
+    copyCollection(name: string, newName: string): Promise<CollectionInfo>;
+
+    /**
+     * Creates a new collection.
+     * @param {string} name The name for the collection
+     * @param {DefaultValues<T>} [defaultValues={}] Default values for omitted keys
+     * @param {CollectionOptions} [options={}] Options for the collection, overriding the ones inherited from the database
+     * @returns {Promise<AsyncCollection<Readable<T>>>}
+     */
+    createCollection<S extends Schema>(name: string, defaultValues: DefaultValues<InferSchema<S>>|undefined, options: CollectionOptions & { schema: S }): Promise<AsyncCollection<Readable<InferSchema<S>>>>;
+    createCollection<T>(name: string, defaultValues?: DefaultValues<T>, options?: CollectionOptions): Promise<AsyncCollection<Readable<T>>>;
+
+    /**
+     * Deletes a key.
+     * @param {string} key The key to delete
+     * @returns {Promise<boolean>}
+     */
+    delete(key: string): Promise<boolean>;
+
+    /**
+     * Deletes a collection, after its pending writes are done, along with its files (even if it was not loaded).
+     * @param {string} name The name of the collection
+     * @returns {Promise<boolean>}
+     */
+    deleteCollection(name: string): Promise<boolean>;
+
+    /**
+     * Writes the data and the entries of every collection to a folder in one format (see {@link Database.export}).
+     * @param {string} folder The folder to export to
+     * @param {ExportOptions} [options] The format to export in (JSON by default)
+     * @returns {Promise<ExportedCollection[]>}
+     */
+    export(folder: string, options?: ExportOptions): Promise<ExportedCollection[]>;
+
+    /**
+     * Returns the value of the provided key directly from the JSON file.
+     * @param {string} key The key to get the value from
+     * @returns {Promise<T>}
+     */
+    fetch<T extends JSONData>(key: string): Promise<T>;
+
+    /**
+     * Saves the data of the database and the entries of every collection, if they have unsaved changes.
+     */
+    flush(): Promise<void>;
+
+    /**
+     * Returns the value of the provided key.
+     * @param {string} key The key to get the value from
+     * @param {boolean} [decrypt=false] Whether or not to decrypt the returned value
+     * @returns {Promise<T>}
+     */
+    get<T extends JSONData>(key: string, decrypt?: boolean): Promise<T>;
+
+    /**
+     * Returns the information and data from a collection.
+     * A collection found in the collections folder is loaded the first time it is requested (see {@link Database.getCollection}).
+     * @param {string} name The name of the collection
+     * @returns {Promise<AsyncCollection<Readable<T>>|null>}
+     */
+    getCollection<T>(name: string): Promise<AsyncCollection<Readable<T>>|null>;
+
+    /**
+     * Returns the schema version the migrations led to (0 if none ran).
+     * @returns {Promise<number>}
+     */
+    getSchemaVersion(): Promise<number>;
+
+    /**
+     * Checks if the provided key exists.
+     * @param {string} key The key that will be checked
+     * @returns {Promise<boolean>}
+     */
+    has(key: string): Promise<boolean>;
+
+    /**
+     * Brings in an export at once, after the pending writes are done (see {@link Database.import}).
+     * @param {string} folder The folder of the export
+     * @param {ExportOptions} [options] The format of the export (JSON by default)
+     * @returns {Promise<ExportedCollection[]>}
+     */
+    import(folder: string, options?: ExportOptions): Promise<ExportedCollection[]>;
+
+    /**
+     * Returns the name, the amount of entries and the size in bytes of every collection, including the ones found in the collections folder (see {@link Database.listCollections}).
+     * @returns {Promise<CollectionInfo[]>}
+     */
+    listCollections(): Promise<CollectionInfo[]>;
+
+    /**
+     * Runs the migrations up (or down) to the provided version in a single transaction (see {@link Database.migrate}).
+     * @param {Migration<AsyncDatabase>[]} migrations The migrations, whose up and down functions can be asynchronous
+     * @param {number} [version] The schema version to migrate to
+     * @returns {Promise<number>} The new schema version
+     */
+    migrate(migrations: Migration<AsyncDatabase>[], version?: number): Promise<number>;
+
+    /**
+     * Removes a listener of the provided event.
+     */
+    off<E extends keyof DatabaseEvents>(event: E, listener: (...args: DatabaseEvents[E]) => void): this;
+
+    /**
+     * Listens to the provided event.
+     */
+    on<E extends keyof DatabaseEvents>(event: E, listener: (...args: DatabaseEvents[E]) => void): this;
+
+    /**
+     * Listens to the next emission of the provided event.
+     */
+    once<E extends keyof DatabaseEvents>(event: E, listener: (...args: DatabaseEvents[E]) => void): this;
+
+    /**
+     * Removes all the elements with the same value as the provided value from an array based on the provided key.
+     * @param {string} key The key of the target array
+     * @param {JSONData} value The value to remove from the array
+     * @returns {Promise<T>}
+     */
+    pull<T extends JSONData>(key: string, value: T): Promise<T>;
+
+    /**
+     * Pushes an element into an array based on the provided key.
+     * @param {string} key The key of the target array
+     * @param {JSONData} value The value to push into the array
+     * @returns {Promise<T>}
+     */
+    push<T extends JSONData>(key: string, value: T): Promise<T>;
+
+    /**
+     * Renames a key.
+     * @param {string} key The target key
+     * @param {string} newName The new name for the key
+     * @returns {Promise<T>}
+     */
+    rename<T extends JSONData>(key: string, newName: string): Promise<T>;
+
+    /**
+     * Moves the saved entries of a collection to a new collection, created with the same default values, options and indexes, and deletes the collection (see {@link Database.renameCollection}).
+     * @param {string} name The name of the collection
+     * @param {string} newName The new name for the collection
+     * @returns {Promise<CollectionInfo>} The name, amount of entries and size in bytes of the renamed collection
+     */
+    renameCollection(name: string, newName: string): Promise<CollectionInfo>;
+
+    /**
+     * Brings back the data of the database and the entries of its collections from a snapshot (see {@link Database.restore}).
+     * @param {string} folder The folder of the snapshot
+     */
+    restore(folder: string): Promise<void>;
+
+    /**
+     * Re-encrypts every value encrypted with the Encryption Key, in the database and in the encrypted fields of its collections, with a new key (see {@link Database.rotateEncryptionKey}).
+     * @param {string} oldKey The current Encryption Key
+     * @param {string} newKey The new Encryption Key (32 characters)
+     */
+    rotateEncryptionKey(oldKey: string, newKey: string): Promise<void>;
+
+    /**
+     * Writes the cached data into the JSON file.
+     * Calls made while a write is running are merged into the next write.
+     */
+    save(): Promise<void>;
+
+    /**
+     * Sets a new value to the value of the provided key.
+     * @param {string} key The target key
+     * @param {JSONData} value The value to set
+     * @param {boolean|SetOptions} [options=false] Whether or not to encrypt the value before setting it, or the options to set it with (see {@link Database.set})
+     * @returns {Promise<T>}
+     */
+    set<T extends JSONData>(key: string, value: JSONData, options?: boolean|SetOptions): Promise<T|Data>;
+
+    /**
+     * Subtracts the provided value from the value of the provided key.
+     * If no existing number, the provided value will be subtracted from 0 (zero).
+     * @param {string} key The key that will have its value decremented
+     * @param {number} value The value to decrement
+     * @returns {Promise<T>}
+     */
+    subtract<T extends JSONData>(key: string, value: number): Promise<T>;
+
+    /**
+     * Parses and returns all the data from the database as an object.
+     * @returns {Data}
+     */
+    toJSON(): Data;
+
+    /**
+     * Runs the provided callback as a transaction: the changes it makes to the database and to its collections are written all at once when it resolves, or none of them are if it rejects.
+     * Only one transaction can run at a time, and any other call made while it runs becomes part of it.
+     * @param {(tx: AsyncDatabase) => Promise<T>|T} callback Function making the changes, which receives the database
+     * @returns {Promise<T>} What the callback resolved with
+     */
+    transaction<T>(callback: (tx: AsyncDatabase) => Promise<T>|T): Promise<T>;
+
+    /**
+     * Removes every entry of a collection.
+     * @param {string} name The name of the collection
+     * @returns {Promise<CollectionInfo>} The name, amount of entries and size in bytes of the collection
+     */
+    truncateCollection(name: string): Promise<CollectionInfo>;
+
+    /**
+     * Returns the milliseconds left before the provided key expires (or one of its parents does).
+     * @param {string} key The target key
+     * @returns {Promise<number|null>} Infinity if the key does not expire, or null if it does not exist
+     */
+    ttl(key: string): Promise<number|null>;
+
+    /**
+     * Updates the provided key's value with the provided callback.
+     * @param {string} key The target key
+     * @param {UpdateCallback<any>} updateCallback The function to call to update the data
+     * @returns {Promise<T>}
+     */
+    update<T extends JSONData>(key: string, updateCallback: UpdateCallback<T>): Promise<T>;
+
+    /**
+     * Listens to the changes of the provided key, of its children and of its parents.
+     * @param {string} key The key to watch
+     * @param {WatchListener} listener Function called with the name and the payload of every related set, delete, rename and clear event
+     * @returns {() => void} Function that stops watching
+     */
+    watch(key: string, listener: WatchListener): () => void;
+  }
+
+
+  /**
+   * Promise-based version of a collection.
+   */
+  export class AsyncCollection<T> extends EventEmitter {
+    #changes;
+    #collection: Collection<T>;
+    #compacting;
+    #config: CollectionConfig;
+    #queue;
+    #storage;
+
+    /**
+     * The database where the collection is stored.
+     */
+    public database: AsyncDatabase;
+
+    /**
+     * The total amount of entries in the collection.
+     */
+    public readonly entries: number;
+
+    /**
+     * The name of the collection.
+     */
+    public name: string;
+
+    /**
+     * @constructor
+     * @param {Collection<T>} collection The collection to wrap
+     * @param {CollectionConfig} config The configuration to use in the collection
+     */
+    private constructor(collection: Collection<T>, config: CollectionConfig);
+
+    #append;
+    #autoSave;
+    #fetchData;
+    #fetched;
+    #modifiable;
+    #path;
+    #withLock;
+    #write;
+
+    /**
+     * Runs the provided pipeline of stages over the entries of the collection and returns the resulting documents, which are always copies.
+     * Supported stages are $match, $group (with $count, $sum, $avg, $min, $max and $push), $sort, $skip, $limit, $project and $unwind.
+     * @param {AggregationStage<T>[]} pipeline Stages to run, in order
+     * @returns {Promise<R[]>}
+     */
+    aggregate<R = Data>(pipeline: AggregationStage<T>[]): Promise<R[]>;
+
+    /**
+     * Stops watching the JSON file of the collection, and saves its batched changes.
+     */
+    close(): Promise<void>;
+
+    /**
+     * Writes the whole JSON file of the collection, folding the log of the journal mode back into it.
+     */
+    compact(): Promise<void>;
+
+    /**
+     * Counts the entries that match the provided filter.
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {Promise<number>}
+     */
+    count(filter?: Filter<T>|Query<T>): Promise<number>;
+
+    /**
+     * Creates and pushes a new entry into the collection.
+     * @param {Partial<T>} data Entry's data
+     * @returns {Promise<T>}
+     */
+    create(data: Partial<T>): Promise<T>;
+
+    /**
+     * Creates and pushes more than one entry into the collection.
+     * @param {Partial<T>[]} entries Entries' data
+     * @returns {Promise<T[]>}
+     */
+    createBulk(entries: Partial<T>[]): Promise<T[]>;
+
+    /**
+     * Creates an in-memory index over one or more fields (dot paths are supported).
+     * @param {string|string[]} fields The field or fields (compound index) to index
+     * @param {IndexOptions} [options] The options of the index
+     * @returns {Promise<string>} The name of the index
+     */
+    createIndex(fields: string|string[], options?: IndexOptions): Promise<string>;
+
+    /**
+     * Returns the distinct values of the provided field among the entries that match the filter. The elements of array values are counted separately.
+     * @param {string} field The field (or dot path) to read
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {Promise<V[]>}
+     */
+    distinct<V extends JSONData = JSONData>(field: string, filter?: Filter<T>|Query<T>): Promise<V[]>;
+
+    /**
+     * Deletes an index.
+     * @param {string} name The name of the index
+     * @returns {Promise<boolean>}
+     */
+    dropIndex(name: string): Promise<boolean>;
+
+    /**
+     * Writes the entries that have not expired to a file (see {@link Collection.exportTo}).
+     * @param {string} filePath The file to write
+     * @param {ExportOptions} [options] The format to write in
+     * @returns {Promise<number>} The amount of entries written
+     */
+    exportTo(filePath: string, options?: ExportOptions): Promise<number>;
+
+    /**
+     * Fetches the entries directly from the JSON file and returns the first one that matches the provided filter.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @returns {Promise<T|null>}
+     */
+    fetch(filter: Filter<T>|Query<T>): Promise<T|null>;
+
+    /**
+     * Fetches all the entries from the collection directly from the JSON file.
+     * @returns {Promise<T[]>}
+     */
+    fetchAll(): Promise<T[]>;
+
+    /**
+     * Fetches the entries directly from the JSON file and returns the ones that match the provided filter.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @param {FindOptions<T>} [options] Sorting, pagination, projection and references to populate to apply
+     * @returns {Promise<T[]>}
+     */
+    fetchMany(filter: Filter<T>|Query<T>, options?: FindOptions<T> & { select?: undefined }): Promise<T[]>;
+    fetchMany(filter: Filter<T>|Query<T>, options: SelectedFindOptions<T>): Promise<Partial<T>[]>;
+
+    /**
+     * Fetches the entry with the provided _id directly from the JSON file.
+     * @param {string|number} id The _id of the entry
+     * @returns {Promise<T|null>}
+     */
+    fetchById(id: string|number): Promise<T|null>;
+
+    /**
+     * Fetches the first entry that matches the provided filter directly from the JSON file.
+     * If no entry is found, creates and pushes a new one with the provided data into the collection.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @param {Partial<T>} data Entry's data
+     * @returns {Promise<T|null>}
+     */
+    fetchOrCreate(filter: Filter<T>|Query<T>, data: Partial<T>): Promise<T|null>;
+
+    /**
+     * Returns the entries that match the provided filter, sorted, paginated and projected with the provided options.
+     * Entries are sorted by each of the fields of `sort` in turn, and `after` keeps only the ones that come after the provided entry in that order.
+     * Entries are only modifiable when no fields are selected and no references are populated.
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @param {FindOptions<T>} [options] Sorting, pagination, projection and references to populate to apply
+     * @returns {Promise<T[]>}
+     */
+    find(filter?: Filter<T>|Query<T>, options?: FindOptions<T> & { select?: undefined }): Promise<T[]>;
+    find(filter: Filter<T>|Query<T>, options: SelectedFindOptions<T>): Promise<Partial<T>[]>;
+
+    /**
+     * Saves the entries if they have unsaved changes.
+     */
+    flush(): Promise<void>;
+
+    /**
+     * Returns the first entry that matches the provided filter (see {@link Collection.get} for the populate option).
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @param {GetOptions} [options] The reference fields to populate
+     * @returns {Promise<T|null>}
+     */
+    get(filter: Filter<T>|Query<T>, options?: GetOptions): Promise<T|null>;
+
+    /**
+     * Returns all the entries from the collection.
+     * @returns {Promise<T[]>}
+     */
+    getAll(): Promise<T[]>;
+
+    /**
+     * Returns the entries that match the provided filter.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @param {FindOptions<T>} [options] Sorting, pagination, projection and references to populate to apply
+     * @returns {Promise<T[]>}
+     */
+    getMany(filter: Filter<T>|Query<T>, options?: FindOptions<T> & { select?: undefined }): Promise<T[]>;
+    getMany(filter: Filter<T>|Query<T>, options: SelectedFindOptions<T>): Promise<Partial<T>[]>;
+
+    /**
+     * Returns the entry with the provided _id.
+     * @param {string|number} id The _id of the entry
+     * @returns {Promise<T|null>}
+     */
+    getById(id: string|number): Promise<T|null>;
+
+    /**
+     * Returns the first entry that matches the provided filter.
+     * If no entry is found, creates and pushes a new one with the provided data into the collection.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @param {Partial<T>} data Entry's data
+     * @returns {Promise<T|null>}
+     */
+    getOrCreate(filter: Filter<T>|Query<T>, data: Partial<T>): Promise<T|null>;
+
+    /**
+     * Groups the entries that match the filter by the value of the provided field. Entries missing the field are grouped under "null".
+     * @param {string} field The field (or dot path) to group by
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {Promise<{ [value: string]: T[] }>}
+     */
+    groupBy(field: string, filter?: Filter<T>|Query<T>): Promise<{ [value: string]: T[] }>;
+
+    /**
+     * Checks if there is any entry matching the provided filter.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @returns {Promise<boolean>}
+     */
+    has(filter: Filter<T>|Query<T>): Promise<boolean>;
+
+    /**
+     * Creates the entries of a file (see {@link Collection.importFrom}).
+     * @param {string} filePath The file to read
+     * @param {ExportOptions} [options] The format of the file
+     * @returns {Promise<T[]>}
+     */
+    importFrom(filePath: string, options?: ExportOptions): Promise<T[]>;
+
+    /**
+     * Returns the indexes of the collection.
+     * @returns {Promise<IndexInfo[]>}
+     */
+    listIndexes(): Promise<IndexInfo[]>;
+
+    /**
+     * Removes a listener of the provided event.
+     */
+    off<E extends keyof CollectionEvents<T>>(event: E, listener: (...args: CollectionEvents<T>[E]) => void): this;
+
+    /**
+     * Listens to the provided event.
+     */
+    on<E extends keyof CollectionEvents<T>>(event: E, listener: (...args: CollectionEvents<T>[E]) => void): this;
+
+    /**
+     * Listens to the next emission of the provided event.
+     */
+    once<E extends keyof CollectionEvents<T>>(event: E, listener: (...args: CollectionEvents<T>[E]) => void): this;
+
+    /**
+     * Returns one ore more random entries from the collection.
+     * @param {number} [amount] Number of entries to return
+     * @returns {Promise<T|T[]>}
+     */
+    random(amount?: number): Promise<T|T[]>;
+
+    /**
+     * Removes the entries that match the provided filter.
+     * Removes all the entries from the collection if no filter is provided.
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {Promise<T[]>}
+     */
+    remove(filter?: Filter<T>|Query<T>): Promise<T[]>;
+
+    /**
+     * Removes the entry with the provided _id.
+     * @param {string|number} id The _id of the entry
+     * @returns {Promise<T|null>}
+     */
+    removeById(id: string|number): Promise<T|null>;
+
+    /**
+     * Resets the keys with default values from the entries that match the provided filter to their default values.
+     * Resets the keys with default values from all the entries from the collection if no filter is provided.
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {Promise<T[]>}
+     */
+    reset(filter?: Filter<T>|Query<T>): Promise<T[]>;
+
+    /**
+     * Writes the cached data into the collection's JSON file.
+     * Calls made while a write is running are merged into the next write.
+     */
+    save(): Promise<void>;
+
+    /**
+     * Sums the numeric values of the provided field among the entries that match the filter.
+     * @param {string} field The field (or dot path) to sum
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {Promise<number>}
+     */
+    sum(field: string, filter?: Filter<T>|Query<T>): Promise<number>;
+
+    /**
+     * Parses and returns all the entries from the collection as an array.
+     * @returns {T[]}
+     */
+    toJSON(): T[];
+
+    /**
+     * Returns the milliseconds left before the first entry that matches the provided filter expires.
+     * @param {Filter<T>|Query<T>} filter Filter to apply
+     * @returns {Promise<number|null>} Infinity if the entry does not expire, or null if no entry matches the filter
+     */
+    ttl(filter: Filter<T>|Query<T>): Promise<number|null>;
+
+    /**
+     * Updates the entries that match the provided filter with the provided callback.
+     * Updates all the entries if no filter is provided.
+     * @param {UpdateCallback<Writable<T>>} updateCallback Function to run for each entry returned by the filter
+     * @param {Filter<T>|Query<T>} [filter] Filter to apply
+     * @returns {Promise<T[]>}
+     */
+    update(updateCallback: UpdateCallback<Writable<T>>, filter?: Filter<T>|Query<T>): Promise<T[]>;
+
+    /**
+     * Updates the entry with the provided _id with the provided callback.
+     * @param {string|number} id The _id of the entry
+     * @param {UpdateCallback<Writable<T>>} updateCallback Function to run for the entry
+     * @returns {Promise<T|null>}
+     */
+    updateById(id: string|number, updateCallback: UpdateCallback<Writable<T>>): Promise<T|null>;
+  }
+
+
+  /**
+   * Storage encrypting every file of another storage with AES-256-GCM, used when the encryption option is provided.
+   * Its files cannot be appended to, so the journals of collections are rewritten whole.
+   */
+  export class EncryptedStorage implements StorageAdapter {
+    #derived;
+    #options;
+    #storage;
+
+    /**
+     * Asynchronous versions of the methods of the storage, if the encrypted storage has them.
+     */
+    public promises?: {
+      delete(filePath: string): Promise<boolean>;
+      list(folderPath: string): Promise<string[]>;
+      lock<R>(filePaths: string[], lock: boolean|number, callback: () => R|Promise<R>): Promise<R>;
+      read(filePath: string): Promise<string|null>;
+      write(filePath: string, data: string): Promise<void>;
+    };
+
+    /**
+     * @constructor
+     * @param {StorageAdapter} storage The storage to keep the encrypted files in
+     * @param {EncryptionOptions} options The key, or the passphrase to derive it from
+     */
+    constructor(storage: StorageAdapter, options: EncryptionOptions);
+
+    /**
+     * Deletes a file.
+     * @param {string} filePath The path of the file
+     * @returns {boolean} Whether or not the file existed
+     */
+    delete(filePath: string): boolean;
+
+    /**
+     * Lists the names of the files in a folder.
+     * @param {string} folderPath The path of the folder
+     * @returns {string[]}
+     */
+    list(folderPath: string): string[];
+
+    /**
+     * Runs the provided callback while the encrypted storage holds a lock on the provided files, if it can.
+     * @param {string[]} filePaths The paths of the files
+     * @param {boolean|number} lock Whether or not to lock the files
+     * @param {Function} callback Function to run while the files are locked
+     * @returns {R}
+     */
+    lock<R>(filePaths: string[], lock: boolean|number, callback: () => R): R;
+
+    /**
+     * Reads and decrypts a file.
+     * Throws a {@link DecryptionError} if it was modified, is not encrypted or was encrypted with another key.
+     * @param {string} filePath The path of the file
+     * @returns {string|null} The decrypted content of the file, or null if it does not exist
+     */
+    read(filePath: string): string|null;
+
+    /**
+     * Finishes a write of the file that was interrupted, if the encrypted storage can.
+     * @param {string} filePath The path of the file
+     * @returns {boolean}
+     */
+    recover(filePath: string): boolean;
+
+    /**
+     * Runs the provided function when another process changes a file, if the encrypted storage can notice it.
+     * @param {string} filePath The path of the file
+     * @param {number} interval How often to check the file, in milliseconds
+     * @param {Function} onChange Function to run when the file changes
+     * @returns {Function} Function that stops watching the file
+     */
+    watch(filePath: string, interval: number, onChange: () => void): () => void;
+
+    /**
+     * Encrypts and writes a file.
+     * @param {string} filePath The path of the file
+     * @param {string} data The content of the file
+     */
+    write(filePath: string, data: string): void;
+  }
+
+
+  /**
+   * Storage keeping every file as a JSON file on the disk (the default one).
+   * Its asynchronous methods, in promises, are the ones used by {@link AsyncDatabase} and {@link AsyncCollection}.
+   */
+  export class JSONStorage implements StorageAdapter {
+    #fsync;
+
+    /**
+     * Asynchronous versions of the methods of the storage.
+     */
+    public promises: {
+      append(filePath: string, data: string): Promise<void>;
+      delete(filePath: string): Promise<boolean>;
+      list(folderPath: string): Promise<string[]>;
+      lock<R>(filePaths: string[], lock: boolean|number, callback: () => R|Promise<R>): Promise<R>;
+      read(filePath: string): Promise<string|null>;
+      write(filePath: string, data: string): Promise<void>;
+    };
+
+    /**
+     * @constructor
+     * @param {object} [options={}] The options of the storage
+     * @param {boolean} [options.fsync] Whether or not to flush every write to the disk before it is considered done
+     */
+    constructor(options?: { fsync?: boolean });
+
+    /**
+     * Adds data to the end of a file, creating it if it does not exist.
+     * @param {string} filePath The path of the file
+     * @param {string} data The data to add
+     */
+    append(filePath: string, data: string): void;
+
+    /**
+     * Deletes a file.
+     * @param {string} filePath The path of the file
+     * @returns {boolean} Whether or not the file existed
+     */
+    delete(filePath: string): boolean;
+
+    /**
+     * Lists the names of the files in a folder.
+     * @param {string} folderPath The path of the folder
+     * @returns {string[]}
+     */
+    list(folderPath: string): string[];
+
+    /**
+     * Runs the provided callback while holding a lock file next to each of the provided files.
+     * @param {string[]} filePaths The paths of the files
+     * @param {boolean|number} lock Whether or not to lock the files (a number sets how long to wait for the locks in milliseconds)
+     * @param {Function} callback Function to run while the files are locked
+     * @returns {R}
+     */
+    lock<R>(filePaths: string[], lock: boolean|number, callback: () => R): R;
+
+    /**
+     * Reads a file.
+     * @param {string} filePath The path of the file
+     * @returns {string|null} The content of the file, or null if it does not exist
+     */
+    read(filePath: string): string|null;
+
+    /**
+     * Finishes a write of the file that was interrupted before it was done.
+     * @param {string} filePath The path of the file
+     * @returns {boolean} Whether or not there was a write to finish
+     */
+    recover(filePath: string): boolean;
+
+    /**
+     * Runs the provided function when another process changes a file.
+     * @param {string} filePath The path of the file
+     * @param {number} interval How often to check the file, in milliseconds
+     * @param {Function} onChange Function to run when the file changes
+     * @returns {Function} Function that stops watching the file
+     */
+    watch(filePath: string, interval: number, onChange: () => void): () => void;
+
+    /**
+     * Writes a file, replacing it only once the new content is fully written.
+     * @param {string} filePath The path of the file
+     * @param {string} data The content of the file
+     */
+    write(filePath: string, data: string): void;
+  }
+
+
+  /**
+   * Storage keeping every file in memory, which is lost when the process exits.
+   * Databases sharing the same storage see the files written by each other.
+   */
+  export class MemoryStorage implements StorageAdapter {
+    #files;
+
+    /**
+     * @constructor
+     * @param {object} [files={}] The initial files, by their paths
+     */
+    constructor(files?: { [filePath: string]: string });
+
+    /**
+     * Adds data to the end of a file, creating it if it does not exist.
+     * @param {string} filePath The path of the file
+     * @param {string} data The data to add
+     */
+    append(filePath: string, data: string): void;
+
+    /**
+     * Deletes a file.
+     * @param {string} filePath The path of the file
+     * @returns {boolean} Whether or not the file existed
+     */
+    delete(filePath: string): boolean;
+
+    /**
+     * Lists the names of the files in a folder.
+     * @param {string} folderPath The path of the folder
+     * @returns {string[]}
+     */
+    list(folderPath: string): string[];
+
+    /**
+     * Reads a file.
+     * @param {string} filePath The path of the file
+     * @returns {string|null} The content of the file, or null if it does not exist
+     */
+    read(filePath: string): string|null;
+
+    /**
+     * Writes a file.
+     * @param {string} filePath The path of the file
+     * @param {string} data The content of the file
+     */
+    write(filePath: string, data: string): void;
+  }
+
+  /**
+   * Registers the codec of a class, with which its instances are written to the files as { $$type, $$value } objects and turned back into instances when they are read.
+   * Dates, Maps, Sets, BigInts and Buffers already have one, and "Object" is reserved. A file holding a value that deserialize throws on cannot be read.
+   * @param {string} name The name the values are tagged with, which must stay the same for the files to be read
+   * @param {Codec<T>} codec The class, and how to turn its instances into JSON values and back
+   */
+  export function registerCodec<T>(name: string, codec: Codec<T>): void|never;
 }
 
 export = SimplDB;
\ No newline at end of file
@@ -4,7 +4,17 @@ const Database = require('./lib/Database');
 
 function SimplDB(config) { return new Database(config); }
 
+SimplDB.AsyncCollection = require('./lib/AsyncCollection');
+SimplDB.AsyncDatabase = require('./lib/AsyncDatabase');
 SimplDB.Collection = require('./lib/Collection');
+SimplDB.ConflictError = require('./lib/Errors').ConflictError;
 SimplDB.Database = Database;
+SimplDB.DecryptionError = require('./lib/Errors').DecryptionError;
+SimplDB.DuplicateKeyError = require('./lib/Errors').DuplicateKeyError;
+SimplDB.EncryptedStorage = require('./lib/Storage').EncryptedStorage;
+SimplDB.JSONStorage = require('./lib/Storage').JSONStorage;
+SimplDB.MemoryStorage = require('./lib/Storage').MemoryStorage;
+SimplDB.SchemaValidationError = require('./lib/Errors').SchemaValidationError;
+SimplDB.registerCodec = require('./lib/Serialization').registerCodec;
 
 module.exports = SimplDB;
\ No newline at end of file
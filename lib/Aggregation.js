@@ -0,0 +1,163 @@
+'use strict';
+
+const { applyFindOptions, checkFindOptions, compare } = require('./FindOptions');
+const { compileFilter, getPath } = require('./Query');
+const { clone, stringify } = require('./Serialization');
+const { isObject } = require('./Utils');
+
+const stages = {
+  $group: group,
+  $limit: (entries, limit) => applyFindOptions(entries, checkStageOptions('$limit', { limit })),
+  $match: (entries, filter) => entries.filter(compileFilter(filter)),
+  $project: project,
+  $skip: (entries, skip) => applyFindOptions(entries, checkStageOptions('$skip', { skip })),
+  $sort: (entries, sort) => applyFindOptions(entries, checkStageOptions('$sort', { sort })),
+  $unwind: unwind
+};
+
+const accumulators = {
+  $avg: values => {
+    const numbers = values.filter(v => typeof v === 'number');
+
+    return numbers.length ? numbers.reduce((acc, curr) => acc + curr, 0) / numbers.length : null;
+  },
+  $count: values => values.length,
+  $max: values => values.filter(v => v !== undefined && v !== null).reduce((acc, curr) => acc === null || compare(curr, acc) > 0 ? curr : acc, null),
+  $min: values => values.filter(v => v !== undefined && v !== null).reduce((acc, curr) => acc === null || compare(curr, acc) < 0 ? curr : acc, null),
+  $push: values => values.filter(v => v !== undefined),
+  $sum: values => values.reduce((acc, curr) => typeof curr === 'number' ? acc + curr : acc, 0)
+};
+
+// The returned entries are always copies
+function aggregate(entries, pipeline) {
+  if (!Array.isArray(pipeline)) throw new TypeError('The pipeline must be an array of stages');
+
+  let result = entries;
+
+  for (const stage of pipeline) {
+    if (!isObject(stage) || Object.keys(stage).length !== 1) throw new TypeError('Each stage of the pipeline must be an object with a single operator');
+
+    const [[operator, options]] = Object.entries(stage);
+
+    if (!stages[operator]) throw new TypeError(`Unknown aggregation stage: ${operator}`);
+
+    result = stages[operator](result, options);
+  }
+
+  const originals = new Set(entries);
+
+  return result.map(entry => originals.has(entry) ? clone(entry) : entry);
+}
+
+function groupBy(entries, field) {
+  const groups = {};
+
+  for (const entry of entries) {
+    const value = getPath(entry, field) ?? null;
+    const key = typeof value === 'string' ? value : stringify(value);
+
+    (groups[key] = groups[key] ?? []).push(entry);
+  }
+
+  return groups;
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function checkStageOptions(operator, options) {
+  try {
+    checkFindOptions(options);
+  } catch (e) {
+    throw new TypeError(`The value of the ${operator} stage is invalid`);
+  }
+
+  return options;
+}
+
+function group(entries, options) {
+  if (!isObject(options) || !Object.prototype.hasOwnProperty.call(options, '_id')) throw new TypeError('The $group stage must be an object with an _id');
+
+  const fields = Object.entries(options).filter(([key]) => key !== '_id').map(([key, accumulator]) => {
+    if (!isObject(accumulator) || Object.keys(accumulator).length !== 1) throw new TypeError(`The accumulator of the ${key} field must be an object with a single operator`);
+
+    const [[operator, expression]] = Object.entries(accumulator);
+
+    if (!accumulators[operator]) throw new TypeError(`Unknown accumulator: ${operator}`);
+
+    return [key, operator, expression];
+  });
+
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const id = resolve(entry, options._id) ?? null;
+    const key = stringify(id);
+
+    if (!groups.has(key)) groups.set(key, { _id: id, entries: [] });
+
+    groups.get(key).entries.push(entry);
+  }
+
+  // The ids and the accumulated values can be (or hold) objects of the entries
+  return clone([...groups.values()].map(({ _id, entries }) => ({
+    _id,
+    ...Object.fromEntries(fields.map(([key, operator, expression]) => [key, accumulators[operator](entries.map(e => resolve(e, expression)))]))
+  })));
+}
+
+function project(entries, options) {
+  if (!isObject(options)) throw new TypeError('The value of the $project stage must be an object');
+
+  const isReference = value => typeof value === 'string' && value.startsWith('$');
+  const computed = Object.entries(options).filter(([, value]) => isReference(value));
+  const select = Object.fromEntries(Object.entries(options).filter(([, value]) => !isReference(value)));
+
+  checkStageOptions('$project', { select });
+
+  const projected = Object.keys(select).length ? applyFindOptions(entries, { select }) : entries.map(() => ({}));
+
+  return projected.map((entry, i) => {
+    for (const [key, expression] of computed) {
+      const value = resolve(entries[i], expression);
+
+      if (value !== undefined) entry[key] = clone(value);
+    }
+
+    return entry;
+  });
+}
+
+function resolve(entry, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(entry, expression.slice(1));
+  else if (isObject(expression)) return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, resolve(entry, value)]));
+
+  return expression;
+}
+
+function unwind(entries, options) {
+  const { path, preserveNullAndEmptyArrays } = typeof options === 'string' ? { path: options } : options ?? {};
+
+  if (typeof path !== 'string' || !path.startsWith('$')) throw new TypeError('The $unwind stage must be a field path starting with "$"');
+
+  const field = path.slice(1);
+  const keys = field.split('.');
+
+  return entries.flatMap(entry => {
+    const value = getPath(entry, field);
+
+    if (!Array.isArray(value) || !value.length)
+      return preserveNullAndEmptyArrays || (value !== undefined && value !== null && !Array.isArray(value)) ? [entry] : [];
+
+    return value.map(item => {
+      const copy = clone(entry);
+
+      keys.slice(0, -1).reduce((acc, key) => acc[key], copy)[keys[keys.length - 1]] = item;
+
+      return copy;
+    });
+  });
+}
+
+module.exports = { aggregate, groupBy };
\ No newline at end of file
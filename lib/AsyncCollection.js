@@ -0,0 +1,385 @@
+'use strict';
+
+const { join } = require('path');
+const EventEmitter = require('events');
+const AutoSave = require('./AutoSave');
+const WriteQueue = require('./WriteQueue');
+const hooks = require('./Hooks');
+const { applyFindOptions, checkFindOptions } = require('./FindOptions');
+const { formatEntries, parseEntries, resolveFormat } = require('./Formats');
+const { compileFilter } = require('./Query');
+const { parse } = require('./Serialization');
+const { EncryptedStorage, JSONStorage } = require('./Storage');
+const { assignEntry, emitError } = require('./Utils');
+
+class AsyncCollection extends EventEmitter {
+  #changes;
+  #collection;
+  #compacting;
+  #config;
+  #queue;
+  #storage;
+
+  constructor(collection, config) {
+    super();
+
+    this.#collection = collection;
+    this.#config = Object.assign({
+      autoSave: true,
+      encryption: null,
+      folderPath: './collections',
+      fsync: false,
+      lock: true,
+      storage: null,
+      tabSize: 0
+    }, config);
+
+    this.#changes = new AutoSave(this.#config.autoSave, () => this.save(), e => emitError(this, e));
+
+    const storage = this.#config.storage ?? new JSONStorage({ fsync: this.#config.fsync });
+    const encrypted = this.#config.encryption ? new EncryptedStorage(storage, this.#config.encryption) : storage;
+    this.#storage = encrypted.promises ?? encrypted;
+
+    this.name = collection.name;
+    this.#queue = new WriteQueue(() => this.#write());
+
+    for (const event of ['create', 'error', 'reload', 'remove', 'reset', 'save', 'update'])
+      collection.on(event, payload => event === 'error' ? emitError(this, payload) : this.emit(event, payload));
+
+    collection.on('expired', payload => {
+      this.emit('expired', payload);
+      this.#autoSave().catch(e => emitError(this, e));
+    });
+
+    collection.on(hooks.cascaded, () => this.#autoSave().catch(e => emitError(this, e)));
+  }
+
+
+  get entries() {
+    return this.#collection.entries;
+  }
+
+  async aggregate(pipeline) {
+    return this.#collection.aggregate(pipeline);
+  }
+
+  async close() {
+    await this.#changes.stop();
+
+    this.#collection.close();
+  }
+
+  compact() {
+    this.#compacting = true;
+
+    return this.save();
+  }
+
+  async count(filter=(()=>true)) {
+    return this.#collection.count(filter);
+  }
+
+  async create(data) {
+    const entry = this.#collection.create(data);
+
+    await this.#autoSave();
+
+    return entry;
+  }
+
+  async createBulk(entries) {
+    const created = this.#collection.createBulk(entries);
+
+    await this.#autoSave();
+
+    return created;
+  }
+
+  async createIndex(fields, options={}) {
+    return this.#collection.createIndex(fields, options);
+  }
+
+  async distinct(field, filter=(()=>true)) {
+    return this.#collection.distinct(field, filter);
+  }
+
+  async dropIndex(name) {
+    return this.#collection.dropIndex(name);
+  }
+
+  async exportTo(filePath, options={}) {
+    if (typeof filePath !== 'string' || !filePath) throw new TypeError('The provided path is invalid');
+
+    const entries = this.#collection.getAll();
+
+    await this.#storage.write(filePath, formatEntries(entries, resolveFormat(options, filePath), this.#config.tabSize));
+
+    return entries.length;
+  }
+
+  async fetch(filter) {
+    const predicate = compileFilter(filter);
+
+    const entry = (await this.#fetchData()).find(predicate);
+
+    if (entry) this.#fetched(entry);
+
+    return entry ?? null;
+  }
+
+  async fetchAll() {
+    const data = await this.#fetchData();
+
+    for (var i = 0; i < data.length; i++)
+      this.#fetched(data[i]);
+
+    return data;
+  }
+
+  async fetchMany(filter, options={}) {
+    const predicate = compileFilter(filter);
+
+    checkFindOptions(options);
+
+    const filtered = applyFindOptions((await this.#fetchData()).filter(predicate), options);
+
+    if (!options.select)
+      for (var i = 0; i < filtered.length; i++)
+        this.#fetched(filtered[i]);
+
+    return options.populate === undefined ? filtered : this.#collection[hooks.populate](filtered, options.populate);
+  }
+
+  async fetchById(id) {
+    if (!['string', 'number'].includes(typeof id)) throw new TypeError('The provided id must be a string or a number');
+
+    return this.fetch({ _id: id });
+  }
+
+  async fetchOrCreate(filter, data) {
+    if (!(await this.has(filter)))
+      return this.create(data);
+
+    return this.fetch(filter);
+  }
+
+  async find(filter=(()=>true), options={}) {
+    return this.getMany(filter, options);
+  }
+
+  async flush() {
+    await this.#changes.flush();
+  }
+
+  async get(filter, options={}) {
+    const entry = this.#collection.get(filter, options);
+
+    return options.populate === undefined ? this.#modifiable(entry) : entry;
+  }
+
+  async getAll() {
+    return this.#collection.getAll().map(entry => this.#modifiable(entry));
+  }
+
+  async getById(id) {
+    return this.#modifiable(this.#collection.getById(id));
+  }
+
+  async getMany(filter, options={}) {
+    const entries = this.#collection.getMany(filter, options);
+
+    return options.select || options.populate !== undefined ? entries : entries.map(entry => this.#modifiable(entry));
+  }
+
+  async getOrCreate(filter, data) {
+    if (!(await this.has(filter)))
+      return this.create(data);
+
+    return this.get(filter);
+  }
+
+  async groupBy(field, filter=(()=>true)) {
+    const groups = this.#collection.groupBy(field, filter);
+
+    for (const key of Object.keys(groups))
+      groups[key] = groups[key].map(entry => this.#modifiable(entry));
+
+    return groups;
+  }
+
+  async has(filter) {
+    return this.#collection.has(filter);
+  }
+
+  async importFrom(filePath, options={}) {
+    if (typeof filePath !== 'string' || !filePath) throw new TypeError('The provided path is invalid');
+
+    const format = resolveFormat(options, filePath);
+    const content = await this.#storage.read(filePath);
+
+    if (content === null) throw new Error('The provided file does not exist');
+
+    return this.createBulk(parseEntries(content, format, filePath));
+  }
+
+  async listIndexes() {
+    return this.#collection.listIndexes();
+  }
+
+  async random(amount=1) {
+    return this.#collection.random(amount);
+  }
+
+  async remove(filter=(()=>true)) {
+    const removed = this.#collection.remove(filter);
+
+    await this.#autoSave();
+
+    return removed;
+  }
+
+  async removeById(id) {
+    const removed = this.#collection.removeById(id);
+
+    if (removed) await this.#autoSave();
+
+    return removed;
+  }
+
+  async reset(filter=(()=>true)) {
+    const entries = this.#collection.reset(filter);
+
+    if (entries.length) await this.#autoSave();
+
+    return entries;
+  }
+
+  save() {
+    return this.#queue.push();
+  }
+
+  async sum(field, filter=(()=>true)) {
+    return this.#collection.sum(field, filter);
+  }
+
+  toJSON() {
+    return this.#collection.toJSON();
+  }
+
+  async ttl(filter) {
+    return this.#collection.ttl(filter);
+  }
+
+  async update(updateCallback, filter=(()=>true)) {
+    const entries = this.#collection.update(updateCallback, filter);
+
+    if (entries.length) await this.#autoSave();
+
+    return entries;
+  }
+
+  async updateById(id, updateCallback) {
+    const entry = this.#collection.updateById(id, updateCallback);
+
+    if (entry) await this.#autoSave();
+
+    return entry;
+  }
+
+  [hooks.discard]() {
+    this.#changes.saved();
+  }
+
+  [hooks.idle]() {
+    return this.#queue.idle();
+  }
+
+
+
+  /* ==================== Private Methods ==================== */
+
+  async #append(filePath, data) {
+    if (this.#storage.append) await this.#storage.append(filePath, data);
+    else await this.#storage.write(filePath, ((await this.#storage.read(filePath)) ?? '') + data);
+  }
+
+  async #autoSave() {
+    if (!this.database?.[hooks.active]) await this.#changes.change();
+  }
+
+  async #fetchData() {
+    try {
+      const fileContent = await this.#storage.read(this.#path());
+
+      if (fileContent === null) return [];
+
+      return this.#collection[hooks.unexpired](this.#collection[hooks.replay](parse(fileContent), fileContent, await this.#storage.read(this.#path() + '.log')));
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The collection\'s file could not be accessed');
+      else throw e;
+    }
+  }
+
+  // Copies fetched from the JSON file are saved by their id, like in Collection
+  #fetched(entry) {
+    entry.save = () => {
+      if (entry._id === undefined) return this.update(()=>{}, document => !!document.save);
+
+      return this.update(target => assignEntry(target, 'updatedAt' in target ? { ...entry, updatedAt: target.updatedAt } : entry), { _id: entry._id });
+    };
+  }
+
+  #modifiable(entry) {
+    if (entry) {
+      const save = entry.save;
+
+      entry.save = async () => {
+        const entries = save();
+
+        await this.#autoSave();
+
+        return entries;
+      };
+    }
+
+    return entry;
+  }
+
+  #path() {
+    return join(this.#config.folderPath, `${this.name}.json`);
+  }
+
+  async #withLock(paths, callback) {
+    return this.#config.lock && this.#storage.lock ? this.#storage.lock(paths, this.#config.lock, callback) : callback();
+  }
+
+  async #write() {
+    try {
+      await this.#withLock([this.#path()], async () => {
+        const changes = this.#changes.pending;
+        const log = this.#compacting ? null : this.#collection[hooks.journal]();
+
+        this.#compacting = false;
+
+        if (log) {
+          if (log.data) await this.#append(log.path, log.data);
+          this.#collection[hooks.logged](log);
+        } else {
+          const data = this.#collection[hooks.prepare]();
+
+          await this.#storage.write(this.#path(), data);
+          this.#collection[hooks.written](data);
+        }
+
+        this.#changes.saved(changes);
+      });
+
+      this.emit('save');
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The collection\'s file could not be accessed');
+      else throw e;
+    }
+  }
+}
+
+module.exports = AsyncCollection;
\ No newline at end of file
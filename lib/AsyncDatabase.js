@@ -0,0 +1,396 @@
+'use strict';
+
+const path = require('path');
+const EventEmitter = require('events');
+const AsyncCollection = require('./AsyncCollection');
+const AutoSave = require('./AutoSave');
+const Database = require('./Database');
+const WriteQueue = require('./WriteQueue');
+const hooks = require('./Hooks');
+const { metadataPath, planMigrations, readSchemaVersion, updateMetadata } = require('./Migrations');
+const { parse } = require('./Serialization');
+const { EncryptedStorage, JSONStorage } = require('./Storage');
+const { commitFilesAsync } = require('./Transaction');
+const { emitError, isValidKey } = require('./Utils');
+
+class AsyncDatabase extends EventEmitter {
+  #changes;
+  #config;
+  #database;
+  #queue;
+  #storage;
+
+  constructor(config) {
+    super();
+
+    this.collections = [];
+    this.#config = Object.assign({
+      autoSave: true,
+      collectionsFolder: './collections',
+      dataFile: './database.json',
+      encryption: null,
+      fsync: false,
+      lock: true,
+      storage: null,
+      tabSize: 0
+    }, config);
+
+    this.#changes = new AutoSave(this.#config.autoSave, () => this.save(), e => emitError(this, e));
+
+    // The wrapped database never writes by itself, every write goes through the queue
+    this.#database = new Database({ ...this.#config, autoSave: false });
+    this.#queue = new WriteQueue(() => this.#write());
+
+    const storage = this.#config.storage ?? new JSONStorage({ fsync: this.#config.fsync });
+    const encrypted = this.#config.encryption ? new EncryptedStorage(storage, this.#config.encryption) : storage;
+    this.#storage = encrypted.promises ?? encrypted;
+
+    for (const event of ['clear', 'delete', 'error', 'reload', 'rename', 'save', 'set'])
+      this.#database.on(event, payload => event === 'error' ? emitError(this, payload) : this.emit(event, payload));
+
+    this.#database.on('expired', payload => {
+      this.emit('expired', payload);
+      this.#autoSave().catch(e => emitError(this, e));
+    });
+
+    this.version = this.#database.version;
+  }
+
+
+  async add(key, value) {
+    const data = this.#database.add(key, value);
+
+    await this.#autoSave();
+
+    return data;
+  }
+
+  async backup(folder) {
+    await this.flush();
+    await Promise.all([this.#queue.idle(), ...this.collections.map(c => c[hooks.idle]())]);
+
+    return this.#database.backup(folder);
+  }
+
+  async clear() {
+    this.#database.clear();
+
+    await this.#autoSave();
+  }
+
+  async close() {
+    await this.#changes.stop();
+    await Promise.all(this.collections.map(collection => collection.close()));
+
+    this.#database.close();
+  }
+
+  async copyCollection(name, newName) {
+    const collection = await this.getCollection(name);
+
+    await collection?.flush();
+    await collection?.[hooks.idle]();
+
+    const copy = this.#database.copyCollection(name, newName);
+
+    this.#wrap(this.#database.getCollection(newName));
+
+    return copy;
+  }
+
+  async createCollection(name, defaultValues={}, options={}) {
+    return this.#wrap(this.#database.createCollection(name, defaultValues, { ...options, autoSave: false }), options);
+  }
+
+  async delete(key) {
+    const deleted = this.#database.delete(key);
+
+    await this.#autoSave();
+
+    return deleted;
+  }
+
+  async deleteCollection(name) {
+    if (!isValidKey(name)) throw new TypeError('The provided name is invalid');
+
+    const collectionIndex = this.collections.findIndex(c => c.name === name);
+
+    if (collectionIndex === -1) return this.#database.deleteCollection(name);
+    else if (this.#database[hooks.active]) throw new Error('Collections cannot be deleted during a transaction');
+
+    const [collection] = this.collections.splice(collectionIndex, 1);
+
+    // Unsaved changes would bring the file back after it is deleted
+    collection[hooks.discard]();
+    await collection[hooks.idle]();
+
+    return this.#database.deleteCollection(name);
+  }
+
+  async export(folder, options={}) {
+    const exported = this.#database.export(folder, options);
+
+    for (const { name } of exported)
+      await this.getCollection(name);
+
+    return exported;
+  }
+
+  async fetch(key) {
+    if (!isValidKey(key)) throw new TypeError('The provided key is invalid');
+
+    return this.#database[hooks.unexpired](key, key.split('.').reduce((acc, curr) => acc?.[curr], await this.#fetchData()));
+  }
+
+  async flush() {
+    await this.#changes.flush();
+    await Promise.all(this.collections.map(collection => collection.flush()));
+  }
+
+  async get(key, decrypt=false) {
+    return this.#database.get(key, decrypt);
+  }
+
+  async getCollection(name) {
+    if (!isValidKey(name)) throw new TypeError('The provided name is invalid');
+
+    const collection = this.collections.find(c => c.name === name) ?? this.#database.getCollection(name);
+
+    return !collection || collection instanceof AsyncCollection ? collection : this.#wrap(collection);
+  }
+
+  async getSchemaVersion() {
+    return readSchemaVersion(await this.#storage.read(metadataPath(this.#config.dataFile)));
+  }
+
+  async has(key) {
+    return this.#database.has(key);
+  }
+
+  async import(folder, options={}) {
+    await Promise.all([this.#queue.idle(), ...this.collections.map(c => c[hooks.idle]())]);
+
+    const imported = this.#database.import(folder, options);
+
+    for (const { name } of imported)
+      await this.getCollection(name);
+
+    return imported;
+  }
+
+  async listCollections() {
+    await Promise.all(this.collections.map(c => c[hooks.idle]()));
+
+    return this.#database.listCollections();
+  }
+
+  async migrate(migrations, version) {
+    const current = await this.getSchemaVersion();
+    const { steps, version: target } = planMigrations(migrations, current, version);
+
+    if (target === current) return current;
+
+    await this.#transaction(async () => {
+      for (const step of steps)
+        await step(this);
+    }, [{ path: metadataPath(this.#config.dataFile), data: updateMetadata(await this.#storage.read(metadataPath(this.#config.dataFile)), { schemaVersion: target }) }]);
+
+    return target;
+  }
+
+  async pull(key, value) {
+    const data = this.#database.pull(key, value);
+
+    await this.#autoSave();
+
+    return data;
+  }
+
+  async push(key, value) {
+    const data = this.#database.push(key, value);
+
+    await this.#autoSave();
+
+    return data;
+  }
+
+  async rename(key, newName) {
+    const data = this.#database.rename(key, newName);
+
+    await this.#autoSave();
+
+    return data;
+  }
+
+  async renameCollection(name, newName) {
+    const collection = await this.getCollection(name);
+
+    await collection?.flush();
+    await collection?.[hooks.idle]();
+
+    const renamed = this.#database.renameCollection(name, newName);
+
+    this.collections = this.collections.filter(c => c !== collection);
+    await collection.close();
+    this.#wrap(this.#database.getCollection(newName));
+
+    return renamed;
+  }
+
+  async restore(folder) {
+    await Promise.all([this.#queue.idle(), ...this.collections.map(c => c[hooks.idle]())]);
+
+    this.#database.restore(folder);
+  }
+
+  async rotateEncryptionKey(oldKey, newKey) {
+    await this.transaction(() => this.#database[hooks.rotate](oldKey, newKey));
+  }
+
+  save() {
+    return this.#queue.push();
+  }
+
+  async set(key, value, options=false) {
+    const data = this.#database.set(key, value, options);
+
+    await this.#autoSave();
+
+    return data;
+  }
+
+  async subtract(key, value) {
+    const data = this.#database.subtract(key, value);
+
+    await this.#autoSave();
+
+    return data;
+  }
+
+  toJSON() {
+    return this.#database.toJSON();
+  }
+
+  async transaction(callback) {
+    if (typeof callback !== 'function') throw new TypeError('A valid callback must be provided');
+
+    return this.#transaction(callback);
+  }
+
+  async truncateCollection(name) {
+    const collection = await this.getCollection(name);
+
+    if (!collection) throw new Error('The provided collection does not exist');
+
+    await collection.remove();
+
+    return this.#database.truncateCollection(name);
+  }
+
+  async ttl(key) {
+    return this.#database.ttl(key);
+  }
+
+  async update(key, callback) {
+    const data = this.#database.update(key, callback);
+
+    await this.#autoSave();
+
+    return data;
+  }
+
+  watch(key, listener) {
+    return this.#database.watch(key, listener);
+  }
+
+  get [hooks.active]() {
+    return this.#database[hooks.active];
+  }
+
+
+
+  /* ==================== Private Methods ==================== */
+
+  async #autoSave() {
+    if (!this.#database[hooks.active]) await this.#changes.change();
+  }
+
+  async #fetchData() {
+    try {
+      const fileContent = await this.#storage.read(path.normalize(this.#config.dataFile));
+
+      return fileContent === null ? {} : parse(fileContent);
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
+      else throw e;
+    }
+  }
+
+  // Any call made while a transaction runs becomes part of it
+  async #transaction(callback, extraFiles=[]) {
+    // Writes requested before the transaction must not pick up its changes
+    await Promise.all([this.#queue.idle(), ...this.collections.map(c => c[hooks.idle]())]);
+
+    const collections = [...this.collections];
+
+    this.#database[hooks.begin]();
+
+    try {
+      const result = await callback(this);
+
+      const changed = this.#database[hooks.files]();
+      const files = [...changed, ...extraFiles];
+
+      await this.#withLock(files.map(f => f.path), async () => {
+        for (const file of changed)
+          file.data = file.source[hooks.prepare]();
+
+        await commitFilesAsync(files, path.normalize(this.#config.dataFile) + '.journal', this.#storage);
+      });
+
+      this.#database[hooks.end](changed);
+
+      return result;
+    } catch (e) {
+      this.#database[hooks.rollback]();
+      this.collections = collections;
+      throw e;
+    }
+  }
+
+  async #withLock(paths, callback) {
+    return this.#config.lock && this.#storage.lock ? this.#storage.lock(paths, this.#config.lock, callback) : callback();
+  }
+
+  #wrap(collection, options={}) {
+    const newCollection = new AsyncCollection(collection, { folderPath: this.#config.collectionsFolder, tabSize: this.#config.tabSize, autoSave: this.#config.autoSave, encryption: this.#config.encryption, fsync: this.#config.fsync, lock: this.#config.lock, storage: this.#config.storage, ...options });
+
+    newCollection.database = this;
+
+    this.collections.push(newCollection);
+
+    return newCollection;
+  }
+
+  async #write() {
+    try {
+      const dataFile = path.normalize(this.#config.dataFile);
+
+      await this.#withLock([dataFile], async () => {
+        const changes = this.#changes.pending;
+        const data = this.#database[hooks.prepare]();
+
+        await this.#storage.write(dataFile, data);
+        this.#database[hooks.written](data);
+        this.#changes.saved(changes);
+      });
+
+      this.emit('save');
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
+      else throw e;
+    }
+  }
+}
+
+module.exports = AsyncDatabase;
\ No newline at end of file
@@ -0,0 +1,112 @@
+'use strict';
+
+class AutoSave {
+  // Only the instances with unsaved changes are kept, so that the others can be garbage collected
+  static #instances = new Set();
+  static #listening = false;
+
+  #batched;
+  #debounce;
+  #interval;
+  #onError;
+  #options;
+  #pending;
+  #save;
+
+  constructor(options, save, onError) {
+    if (typeof options !== 'boolean' && (!options || typeof options !== 'object' || Array.isArray(options) || !Object.keys(options).length || Object.entries(options).some(([key, value]) => !['debounce', 'interval', 'maxPendingChanges'].includes(key) || !Number.isInteger(value) || value <= 0)))
+      throw new TypeError('The autoSave option must be a boolean or an object with a debounce, an interval or a maxPendingChanges (positive integers)');
+
+    this.#batched = typeof options === 'object';
+    this.#options = options === true ? { maxPendingChanges: 1 } : options || {};
+    this.#pending = 0;
+    this.#save = save;
+    this.#onError = onError;
+
+    if (this.#batched) AutoSave.#listen();
+  }
+
+
+  get pending() {
+    return this.#pending;
+  }
+
+  change() {
+    const { debounce, interval, maxPendingChanges } = this.#options;
+
+    this.#pending++;
+
+    if (this.#batched) AutoSave.#instances.add(this);
+    if (this.#pending >= maxPendingChanges) return this.flush();
+
+    if (debounce) {
+      clearTimeout(this.#debounce);
+      this.#debounce = setTimeout(() => this.#flushSafely(), debounce).unref();
+    }
+
+    if (interval && !this.#interval) this.#interval = setTimeout(() => this.#flushSafely(), interval).unref();
+  }
+
+  flush() {
+    this.#clear();
+
+    if (this.#pending) return this.#save();
+  }
+
+  saved(changes=this.#pending) {
+    this.#pending = Math.max(this.#pending - changes, 0);
+
+    if (!this.#pending) {
+      this.#clear();
+      AutoSave.#instances.delete(this);
+    }
+  }
+
+  stop() {
+    this.#batched = false;
+
+    if (!AutoSave.#instances.delete(this)) return this.#clear();
+
+    return this.flush();
+  }
+
+
+
+  /* ==================== Private Methods ==================== */
+
+  static #listen() {
+    if (AutoSave.#listening) return;
+
+    AutoSave.#listening = true;
+
+    const flushAll = () => [...AutoSave.#instances].map(instance => instance.#flushSafely());
+
+    // Only synchronous saves can end before the process exits with process.exit(), every other exit waits for the saves
+    process.on('beforeExit', flushAll);
+    process.on('exit', flushAll);
+
+    // The signal is sent again once the changes are saved, so it ends the process if nothing else listens to it
+    for (const signal of ['SIGINT', 'SIGTERM'])
+      process.once(signal, () => Promise.allSettled(flushAll()).then(() => {
+        if (!process.listenerCount(signal)) process.kill(process.pid, signal);
+      }));
+  }
+
+  #clear() {
+    clearTimeout(this.#debounce);
+    clearTimeout(this.#interval);
+
+    this.#debounce = null;
+    this.#interval = null;
+  }
+
+  #flushSafely() {
+    try {
+      return Promise.resolve(this.flush()).catch(this.#onError);
+    } catch (e) {
+      this.#onError(e);
+    }
+  }
+}
+
+module.exports = AutoSave;
\ No newline at end of file
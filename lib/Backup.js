@@ -0,0 +1,93 @@
+'use strict';
+
+const FS = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+
+function checkBackupOptions(options) {
+  const { folder, interval, keep=5 } = options && typeof options === 'object' ? options : {};
+
+  if (typeof folder !== 'string' || !folder || !Number.isInteger(interval) || interval <= 0 || !Number.isInteger(keep) || keep <= 0)
+    throw new TypeError('The backup option must be an object with a folder, an interval in milliseconds and how many snapshots to keep');
+}
+
+function readSnapshot(folder, storage) {
+  let manifest;
+
+  try {
+    manifest = JSON.parse(storage.read(path.join(folder, 'manifest.json')));
+  } catch (e) {} // eslint-disable-line no-empty
+
+  if (!Array.isArray(manifest?.files)) throw new Error('The provided folder does not hold a complete snapshot');
+
+  const files = new Map();
+
+  for (const { name, sha256 } of manifest.files) {
+    const data = storage.read(path.join(folder, name));
+
+    if (data === null || checksum(data) !== sha256) throw new Error(`The file ${name} of the snapshot is missing or does not match its checksum`);
+
+    files.set(name, data);
+  }
+
+  return files;
+}
+
+// The snapshots are listed in snapshots.json, since storages cannot list folders
+function rotateSnapshots(folder, keep, storage, folders, takeSnapshot) {
+  const indexPath = path.join(folder, 'snapshots.json');
+  let snapshots;
+
+  try {
+    snapshots = JSON.parse(storage.read(indexPath));
+  } catch (e) {} // eslint-disable-line no-empty
+
+  if (!Array.isArray(snapshots)) snapshots = [];
+
+  let name = new Date().toISOString().replace(/[:.]/g, '-');
+
+  if (snapshots.includes(name)) name += '-' + snapshots.length;
+
+  takeSnapshot(path.join(folder, name));
+  snapshots.push(name);
+
+  for (const old of snapshots.splice(0, Math.max(snapshots.length - keep, 0))) {
+    const snapshotFolder = path.join(folder, old);
+
+    for (const subfolder of [snapshotFolder, path.join(snapshotFolder, 'collections')])
+      for (const file of storage.list(subfolder))
+        storage.delete(path.join(subfolder, file));
+
+    if (folders) FS.rmSync(snapshotFolder, { recursive: true, force: true });
+  }
+
+  storage.write(indexPath, JSON.stringify(snapshots));
+}
+
+// The manifest is written last, so a snapshot without one was never completed
+function writeSnapshot(folder, files, storage, folders, version) {
+  if (folders) FS.mkdirSync(path.join(folder, 'collections'), { recursive: true });
+
+  for (const file of files)
+    storage.write(path.join(folder, file.name), file.data);
+
+  const manifest = {
+    version,
+    createdAt: new Date().toISOString(),
+    files: files.map(file => ({ name: file.name, size: Buffer.byteLength(file.data), sha256: checksum(file.data) }))
+  };
+
+  storage.write(path.join(folder, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+  return manifest;
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function checksum(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = { checkBackupOptions, readSnapshot, rotateSnapshots, writeSnapshot };
\ No newline at end of file
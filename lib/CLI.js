@@ -0,0 +1,231 @@
+'use strict';
+
+const Database = require('./Database');
+const { readSnapshot } = require('./Backup');
+const { metadataPath, readMetadata } = require('./Migrations');
+const { parse, stringify } = require('./Serialization');
+const { EncryptedStorage, JSONStorage } = require('./Storage');
+
+const usage = `Usage: simpldb <command> [arguments] [options]
+
+Commands:
+  get <key>                          Prints the value of a key (dot paths are supported)
+  set <key> <value>                  Sets the value of a key, as JSON if it is valid JSON and as a string otherwise
+  delete <key>                       Deletes a key
+  keys [key]                         Lists the keys of the data, or of the value of a key
+  collections list                   Lists the collections, with their amount of entries and size
+  collection query <name> [filter]   Prints the entries of a collection matching a JSON query, e.g. '{ "age": { "$gte": 18 } }'
+  export <folder>                    Writes the data and every collection to a folder
+  import <folder>                    Brings in an export
+  backup <folder>                    Takes a snapshot of every file
+  verify <folder>                    Checks that a snapshot is complete and that its files match their checksums
+
+Options:
+  --data-file <path>                 The JSON file of the database (./database.json by default)
+  --collections-folder <path>        The folder of the collections (./collections by default)
+  --key <key>                        The encryption key, with which get decrypts the values set encrypted and set encrypts string values
+  --passphrase <passphrase>          The passphrase of a database whose files are encrypted
+  --format <csv|ndjson|json>         The format of export and import (json by default)
+  --output <table|json>              How query and list print their results (table by default)
+  --limit <amount>                   The maximum amount of entries query prints
+  --help                             Prints this message
+`;
+
+const commands = ['backup', 'collection', 'collections', 'delete', 'export', 'get', 'import', 'keys', 'set', 'verify'];
+const valueOptions = ['collections-folder', 'data-file', 'format', 'key', 'limit', 'output', 'passphrase'];
+
+function run(args, { stdout=process.stdout, stderr=process.stderr }={}) {
+  let db;
+
+  try {
+    const { positionals, options } = parseArgs(args);
+
+    if (options.help || !positionals.length) {
+      stdout.write(usage);
+
+      return options.help ? 0 : 1;
+    }
+
+    if (!commands.includes(positionals[0])) throw new Error(`Unknown command ${positionals[0]}, see simpldb --help`);
+
+    const encryption = options.passphrase === undefined ? null : { passphrase: options.passphrase };
+    const storage = encryption ? new EncryptedStorage(new JSONStorage(), encryption) : new JSONStorage();
+
+    if (positionals[0] !== 'verify') db = new Database({
+      dataFile: options['data-file'] ?? './database.json',
+      collectionsFolder: options['collections-folder'] ?? './collections',
+      encryptionKey: options.key ?? null,
+      encryption
+    });
+
+    const output = runCommand(db, positionals, options, storage);
+
+    if (output !== undefined) stdout.write(output + '\n');
+
+    return 0;
+  } catch (e) {
+    stderr.write(`simpldb: ${e.message}\n`);
+
+    return 1;
+  } finally {
+    db?.close();
+  }
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function checkArgs(args, amount, syntax) {
+  if (args.length < amount) throw new Error(`Missing arguments, the syntax is simpldb ${syntax}`);
+}
+
+function decrypt(db, key, encryptedKeys) {
+  if (encryptedKeys.includes(key)) return db.get(key, true);
+
+  const value = parse(stringify(db.get(key)));
+
+  for (const k of encryptedKeys.filter(k => k.startsWith(key + '.') && db.has(k))) {
+    const path = k.slice(key.length + 1).split('.');
+
+    path.slice(0, -1).reduce((acc, curr) => acc[curr], value)[path[path.length-1]] = db.get(k, true);
+  }
+
+  return value;
+}
+
+// Values are shown as JSON in the cells, except for strings
+function formatTable(rows) {
+  if (!rows.length) return '(no entries)';
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const cells = rows.map(row => columns.map(column => row[column] === undefined ? '' : typeof row[column] === 'string' ? row[column] : JSON.stringify(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(columns), line(widths.map(width => '-'.repeat(width))), ...cells.map(line)].join('\n');
+}
+
+function parseArgs(args) {
+  const positionals = [], options = {};
+
+  for (var i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      positionals.push(args[i]);
+      continue;
+    }
+
+    const [name, inline] = args[i].slice(2).split(/=(.*)/s);
+
+    if (!valueOptions.includes(name)) {
+      if (name !== 'help') throw new Error(`Unknown option --${name}`);
+
+      options.help = true;
+    }
+    else if (inline !== undefined) options[name] = inline;
+    else if (i+1 < args.length) options[name] = args[++i];
+    else throw new Error(`The option --${name} needs a value`);
+  }
+
+  if (options.output !== undefined && !['table', 'json'].includes(options.output)) throw new Error('The output option must be "table" or "json"');
+  else if (options.limit !== undefined && !(Number.isInteger(Number(options.limit)) && Number(options.limit) > 0)) throw new Error('The limit option must be a positive integer');
+
+  return { positionals, options };
+}
+
+function parseValue(value) {
+  try {
+    return parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// The save functions of the entries are left out
+function print(rows, options) {
+  const data = JSON.parse(stringify(rows));
+
+  return options.output === 'json' ? JSON.stringify(data, null, 2) : formatTable(data);
+}
+
+function runCommand(db, [command, ...args], options, storage) {
+  switch (command) {
+    case 'get': {
+      checkArgs(args, 1, 'get <key>');
+
+      if (!db.has(args[0])) throw new Error('The provided key does not exist');
+      else if (options.key === undefined) return stringify(db.get(args[0]), 2);
+
+      const { encryptedKeys=[] } = readMetadata(storage.read(metadataPath(options['data-file'] ?? './database.json')));
+
+      return stringify(decrypt(db, args[0], encryptedKeys), 2);
+    }
+    case 'set': {
+      checkArgs(args, 2, 'set <key> <value>');
+
+      const value = parseValue(args[1]);
+
+      if (options.key !== undefined && typeof value !== 'string') throw new Error('Only strings can be encrypted, quote the value as a JSON string to encrypt it');
+
+      db.set(args[0], value, options.key !== undefined);
+
+      return;
+    }
+    case 'delete': {
+      checkArgs(args, 1, 'delete <key>');
+
+      if (!db.has(args[0])) throw new Error('The provided key does not exist');
+
+      db.delete(args[0]);
+
+      return;
+    }
+    case 'keys': {
+      const value = args.length ? db.get(args[0]) : db.toJSON();
+
+      if (!value || typeof value !== 'object') throw new Error(args.length && value === undefined ? 'The provided key does not exist' : 'The value of the provided key has no keys');
+
+      return Object.keys(value).join('\n');
+    }
+    case 'collections': {
+      if (args[0] !== 'list') throw new Error('Unknown command, the syntax is simpldb collections list');
+
+      return print(db.listCollections(), options);
+    }
+    case 'collection': {
+      if (args[0] !== 'query') throw new Error('Unknown command, the syntax is simpldb collection query <name> [filter]');
+
+      checkArgs(args, 2, 'collection query <name> [filter]');
+
+      const collection = db.getCollection(args[1]);
+      const filter = args[2] === undefined ? {} : parseValue(args[2]);
+
+      if (!collection) throw new Error('The provided collection does not exist');
+      else if (!filter || typeof filter !== 'object' || Array.isArray(filter)) throw new Error('The filter must be a JSON object');
+
+      return print(collection.find(filter, options.limit === undefined ? {} : { limit: Number(options.limit) }), options);
+    }
+    case 'export': {
+      checkArgs(args, 1, 'export <folder>');
+
+      return print(db.export(args[0], { format: options.format }), options);
+    }
+    case 'import': {
+      checkArgs(args, 1, 'import <folder>');
+
+      return print(db.import(args[0], { format: options.format }), options);
+    }
+    case 'backup': {
+      checkArgs(args, 1, 'backup <folder>');
+
+      return print(db.backup(args[0]).files, options);
+    }
+    case 'verify': {
+      checkArgs(args, 1, 'verify <folder>');
+
+      return `The snapshot is complete, its ${readSnapshot(args[0], storage).size} files match their checksums`;
+    }
+  }
+}
+
+module.exports = { run };
\ No newline at end of file
@@ -2,41 +2,164 @@
 
 'use strict';
 
-const FS = require('fs');
 const { join } = require('path');
-const { isObject } = require('./Utils');
-
-class Collection {
+const EventEmitter = require('events');
+const AutoSave = require('./AutoSave');
+const Index = require('./Index');
+const hooks = require('./Hooks');
+const { aggregate, groupBy } = require('./Aggregation');
+const { ConflictError, DecryptionError, DuplicateKeyError, SchemaValidationError } = require('./Errors');
+const { applyFindOptions, checkFindOptions } = require('./FindOptions');
+const { formatEntries, parseEntries, resolveFormat } = require('./Formats');
+const { checksum, replayLog } = require('./Journal');
+const { compileFilter, getPath, isOperatorObject } = require('./Query');
+const { checkSchema, validate } = require('./Schema');
+const { clone, parse, stringify } = require('./Serialization');
+const { EncryptedStorage, JSONStorage, checkStorage } = require('./Storage');
+const { checkSyncOptions, resolveConflict } = require('./Sync');
+const { assignEntry, decryptValue, emitError, encryptValue, isObject, isValidKey, ulid, uuid } = require('./Utils');
+
+class Collection extends EventEmitter {
+  #changes;
   #config;
   #data;
   #defaultValues;
+  #disk;
+  #indexes;
+  #journal;
+  #positions;
+  #sequence;
+  #storage;
+  #sweeper;
+  #unwatch;
 
   constructor(name, config, defaultValues) {
+    super();
+
     this.#checkName(name);
     this.#checkDefaultValues(defaultValues);
 
     this.#config = Object.assign({
       autoSave: true,
+      encryptedFields: [],
+      encryption: null,
+      encryptionKey: null,
+      expireAfter: null,
       folderPath: './collections',
+      fsync: false,
+      id: null,
+      journal: false,
+      lock: true,
+      onConflict: 'ours',
+      refs: {},
+      schema: null,
+      storage: null,
+      sweepInterval: 60000,
       tabSize: 0,
-      timestamps: false
+      timestamps: false,
+      unique: [],
+      watch: false
     }, config);
 
+    if (!Array.isArray(this.#config.unique)) throw new TypeError('The unique option must be an array');
+    else if (this.#config.id && !['uuid', 'ulid'].includes(this.#config.id) && typeof this.#config.id !== 'function') throw new TypeError('The id option must be "uuid", "ulid" or a function');
+    else if (!Number.isInteger(this.#config.sweepInterval) || this.#config.sweepInterval <= 0) throw new TypeError('The sweepInterval option must be a positive number of milliseconds');
+    else if (this.#config.schema) checkSchema(this.#config.schema);
+
+    this.#checkEncryptedFields(this.#config.encryptedFields);
+    this.#checkExpireAfter(this.#config.expireAfter);
+    this.#checkJournal(this.#config.journal);
+    this.#checkRefs(this.#config.refs);
+
+    checkSyncOptions(this.#config);
+
+    this.#storage = this.#config.storage ?? new JSONStorage({ fsync: this.#config.fsync });
+
+    checkStorage(this.#storage);
+
+    if (this.#config.encryption) this.#storage = new EncryptedStorage(this.#storage, this.#config.encryption);
+
+    this.#changes = new AutoSave(this.#config.autoSave, () => this.save(), e => emitError(this, e));
+
+    this.#storage.recover?.(join(this.#config.folderPath, `${this.name}.json`));
+
+    this.#journal = { compact: false, logged: new WeakMap(), pending: [], prepared: 0, size: null, snapshot: 0 };
     this.#data = this.#fetchData() ?? [];
     this.entries = this.#data.length ?? 0;
+    this.#markLogged(this.#data);
+
+    this.#indexes = new Map();
+    this.#positions = new WeakMap();
+    this.#sequence = 0;
+    this.#track(this.#data);
+
+    if (this.#config.id) this.#createIndex('_id', { unique: true });
+
+    for (var i = 0; i < this.#config.unique.length; i++)
+      this.#createIndex(this.#config.unique[i], { unique: true });
+
+    this.#saveOptions();
+
+    if (this.#config.watch || this.#config.onConflict !== 'ours') this.#disk = stringify(this.#data);
+
+    if (this.#config.watch && this.#storage.watch) {
+      const files = [join(this.#config.folderPath, `${this.name}.json`), ...(this.#config.journal ? [join(this.#config.folderPath, `${this.name}.json.log`)] : [])];
+      const unwatch = files.map(file => this.#storage.watch(file, this.#config.watch === true ? 1000 : this.#config.watch, () => this.#reload()));
+
+      this.#unwatch = () => unwatch.forEach(stop => stop());
+    }
+
+    if (this.#config.expireAfter) this.#sweeper = setInterval(() => {
+      try {
+        this.#sweep();
+      } catch (e) {
+        emitError(this, e);
+      }
+    }, this.#config.sweepInterval).unref();
   }
 
   
+  aggregate(pipeline) {
+    const match = Array.isArray(pipeline) && isObject(pipeline[0]) ? pipeline[0].$match : undefined;
+
+    return aggregate(match === undefined ? this[hooks.unexpired](this.#data) : this.#candidates(match), pipeline);
+  }
+
+  close() {
+    this.#changes.stop();
+
+    this.#unwatch?.();
+    this.#unwatch = null;
+
+    clearInterval(this.#sweeper);
+    this.#sweeper = null;
+  }
+
+  compact() {
+    this.#journal.compact = true;
+    this.save();
+  }
+
+  count(filter=(()=>true)) {
+    return this.#filter(filter).length;
+  }
+
   create(data) {
     this.#checkEntry(data);
 
     const now = Date.now();
-    const entry = { ...data, ...(this.#config.timestamps ? { createdAt: now, updatedAt: now } : {}) };
+    const entry = { ...this.#generateId(data), ...data, ...(this.#config.timestamps ? { createdAt: now, updatedAt: now } : {}) };
+
+    this.#validate([entry]);
+    this.#checkUnique([entry]);
 
     this.#data.push(entry);
+    this.#track([entry]);
+    this.#log('create', [entry]);
     this.entries = this.#data.length;
 
-    if (this.#config.autoSave) this.save();
+    this.#emit('create', { entries: [entry] });
+    this.#persist();
 
     return { ...Object.fromEntries(Object.entries(this.#defaultValues).filter(([k]) => !Object.keys(this.#defaultValues).includes(k))), ...entry };
   }
@@ -50,42 +173,97 @@ class Collection {
     const now = Date.now();
     const entry = this.#config.timestamps ? { createdAt: now, updatedAt: now } : {};
 
-    this.#data.push(...entries.map(e => ({ ...e, ...entry })));
+    const newEntries = entries.map(e => ({ ...this.#generateId(e), ...e, ...entry }));
+
+    this.#validate(newEntries);
+    this.#checkUnique(newEntries);
+
+    this.#data.push(...newEntries);
+    this.#track(newEntries);
+    this.#log('create', newEntries);
     this.entries = this.#data.length;
 
-    if (this.#config.autoSave) this.save();
+    if (newEntries.length) this.#emit('create', { entries: newEntries });
+    this.#persist();
+
+    return newEntries.map(e => ({ ...Object.fromEntries(Object.entries(this.#defaultValues).filter(([k]) => !Object.keys(this.#defaultValues).includes(k))), ...e }));
+  }
+
+  createIndex(fields, options={}) {
+    const name = this.#createIndex(fields, options);
+
+    this.#saveOptions();
+
+    return name;
+  }
+
+  distinct(field, filter=(()=>true)) {
+    this.#checkField(field);
 
-    return entries.map(e => ({ ...Object.fromEntries(Object.entries(this.#defaultValues).filter(([k]) => !Object.keys(this.#defaultValues).includes(k))), ...e, ...entry }));
+    const values = new Map();
+
+    for (const entry of this.#filter(filter))
+      for (const value of [].concat(getPath(entry, field)))
+        if (value !== undefined) values.set(stringify(value), value);
+
+    return [...values.values()];
+  }
+
+  dropIndex(name) {
+    const dropped = this.#indexes.delete(name);
+
+    if (dropped) this.#saveOptions();
+
+    return dropped;
+  }
+
+  exportTo(filePath, options={}) {
+    if (typeof filePath !== 'string' || !filePath) throw new TypeError('The provided path is invalid');
+
+    const entries = this[hooks.unexpired](this.#data);
+
+    this.#storage.write(filePath, formatEntries(entries, resolveFormat(options, filePath), this.#config.tabSize));
+
+    return entries.length;
   }
 
   fetch(filter) {
-    this.#checkFunction(filter);
+    const predicate = compileFilter(filter);
 
-    const entry = this.#fetchData().find(filter);
+    const entry = this[hooks.unexpired](this.#fetchData()).find(predicate);
 
-    if (entry) entry.save = () => this.update(()=>{}, document => !!document.save);
+    if (entry) this.#modifiable(entry);
 
     return entry ?? null;
   }
 
   fetchAll() {
-    const data = this.#fetchData();
+    const data = this[hooks.unexpired](this.#fetchData());
 
     for (var i = 0; i < data.length; i++)
-      data[i].save = () => this.update(()=>{}, document => !!document.save);
+      this.#modifiable(data[i]);
 
     return data;
   }
 
-  fetchMany(filter) {
-    this.#checkFunction(filter);
+  fetchMany(filter, options={}) {
+    const predicate = compileFilter(filter);
 
-    const filtered = this.#fetchData().filter(filter);
+    checkFindOptions(options);
 
-    for (var i = 0; i < filtered.length; i++)
-      filtered[i].save = () => this.update(()=>{}, document => !!document.save);
+    const filtered = applyFindOptions(this[hooks.unexpired](this.#fetchData()).filter(predicate), options);
 
-    return filtered;
+    if (!options.select)
+      for (var i = 0; i < filtered.length; i++)
+        this.#modifiable(filtered[i]);
+
+    return options.populate === undefined ? filtered : this[hooks.populate](filtered, options.populate);
+  }
+
+  fetchById(id) {
+    this.#checkId(id);
+
+    return this.fetch({ _id: id });
   }
 
   fetchOrCreate(filter, data) {
@@ -95,34 +273,53 @@ class Collection {
     return this.fetch(filter);
   }
 
-  get(filter) {
-    this.#checkFunction(filter);
+  find(filter=(()=>true), options={}) {
+    return this.getMany(filter, options);
+  }
 
-    const entry = this.#data.find(filter);
+  flush() {
+    this.#changes.flush();
+  }
 
-    if (entry) entry.save = () => this.update(()=>{}, document => !!document.save);
+  get(filter, options={}) {
+    const predicate = compileFilter(filter);
 
-    return entry ?? null;
+    if (!isObject(options)) throw new TypeError('The options parameter must be an object');
+
+    const entry = this.#candidates(filter).find(predicate);
+
+    if (entry) this.#modifiable(entry);
+
+    return entry && options.populate !== undefined ? this[hooks.populate]([entry], options.populate)[0] : entry ?? null;
   }
 
   getAll() {
-    const data = this.#data;
+    const data = this[hooks.unexpired](this.#data);
 
     for (var i = 0; i < data.length; i++)
-      data[i].save = () => this.update(()=>{}, document => !!document.save);
+      this.#modifiable(data[i]);
 
     return data;
   }
 
-  getMany(filter) {
-    this.#checkFunction(filter);
+  getById(id) {
+    this.#checkId(id);
 
-    const filtered = this.#data.filter(filter);
+    return this.get({ _id: id });
+  }
 
-    for (var i = 0; i < filtered.length; i++)
-      filtered[i].save = () => this.update(()=>{}, document => !!document.save);
+  getMany(filter, options={}) {
+    const predicate = compileFilter(filter);
 
-    return filtered;
+    checkFindOptions(options);
+
+    const filtered = applyFindOptions(this.#candidates(filter).filter(predicate), options);
+
+    if (!options.select)
+      for (var i = 0; i < filtered.length; i++)
+        this.#modifiable(filtered[i]);
+
+    return options.populate === undefined ? filtered : this[hooks.populate](filtered, options.populate);
   }
 
   getOrCreate(filter, data) {
@@ -132,38 +329,71 @@ class Collection {
     return this.get(filter);
   }
 
-  has(filter) {
-    this.#checkFunction(filter);
+  groupBy(field, filter=(()=>true)) {
+    this.#checkField(field);
 
+    return groupBy(this.getMany(filter), field);
+  }
+
+  has(filter) {
     const data = this.get(filter);
 
     return !!data || data?.length > 0;
   }
 
+  importFrom(filePath, options={}) {
+    if (typeof filePath !== 'string' || !filePath) throw new TypeError('The provided path is invalid');
+
+    const format = resolveFormat(options, filePath);
+    const content = this.#storage.read(filePath);
+
+    if (content === null) throw new Error('The provided file does not exist');
+
+    return this.createBulk(parseEntries(content, format, filePath));
+  }
+
+  listIndexes() {
+    return [...this.#indexes.values()].map(index => index.toJSON());
+  }
+
   random(amount=1) {
+    const data = this[hooks.unexpired](this.#data);
+
     if (typeof amount !== 'number' || amount <= 0) throw new TypeError('The amount of entries must be a number bigger than 0 (zero)');
-    else if (amount > this.#data.length) throw new RangeError('The provided amount of entries exceeds the total amount of entries from the collection');
+    else if (amount > data.length) throw new RangeError('The provided amount of entries exceeds the total amount of entries from the collection');
 
-    const randomS = this.#data.sort(() => 0.5 - Math.random()).slice(0, amount);
+    const randomS = [...data].sort(() => 0.5 - Math.random()).slice(0, amount);
 
     return randomS.length === 1 ? randomS[0] : randomS;
   }
 
   remove(filter=(()=>true)) {
-    this.#checkFunction(filter);
+    const predicate = compileFilter(filter);
 
-    const filtered = this.#data.filter(filter);
+    const filtered = this.#candidates(filter).filter(predicate);
+    const removed = new Set(filtered);
 
-    this.#data = this.#data.filter(d => !filtered.includes(d));
+    this.database?.[hooks.cascade](this, filtered);
+
+    this.#log('remove', filtered);
+    this.#data = this.#data.filter(d => !removed.has(d));
+    this.#untrack(filtered);
     this.entries = this.#data.length;
 
-    if (this.#config.autoSave) this.save();
+    if (filtered.length) this.#emit('remove', { filter, entries: filtered });
+    this.#persist();
 
     return filtered;
   }
 
+  removeById(id) {
+    this.#checkId(id);
+
+    return this.remove({ _id: id })[0] ?? null;
+  }
+
   reset(filter=(()=>true)) {
-    return this.update(
+    return this.#update(
       entry => {
         const defaults = Object.fromEntries(Object.entries(this.#defaultValues).filter(([k]) => !k.startsWith('$')));
 
@@ -171,43 +401,240 @@ class Collection {
           if (defaults.hasOwnProperty(val) && !['createdAt', 'updatedAt'].includes(val))
             entry[val] = defaults[val];
       },
-      filter
+      filter,
+      'reset'
     );
   }
 
   save() {
     this.entries = this.#data.length;
 
+    const dataPath = join(this.#config.folderPath, `${this.name}.json`);
+
     try {
-      FS.writeFileSync(join(this.#config.folderPath, `${this.name}.json`), JSON.stringify(this.#data, null, this.#config.tabSize));
+      this.#withLock([dataPath], () => {
+        const log = this[hooks.journal]();
+
+        if (log) {
+          if (log.data) this.#append(log.path, log.data);
+          this[hooks.logged](log);
+          this.#changes.saved();
+        } else {
+          const data = this[hooks.prepare]();
+
+          this.#storage.write(dataPath, data);
+          this[hooks.written](data);
+        }
+      });
+
+      this.emit('save');
     } catch (e) {
       if (e.code === 'EACCES') throw new Error('The collection\'s file could not be accessed');
+      else throw e;
     }
   }
 
+  sum(field, filter=(()=>true)) {
+    this.#checkField(field);
+
+    return this.#filter(filter).reduce((acc, curr) => typeof getPath(curr, field) === 'number' ? acc + getPath(curr, field) : acc, 0);
+  }
+
+  toJSON() {
+    return clone(this[hooks.unexpired](this.#data));
+  }
+
+  ttl(filter) {
+    const entry = this.#filter(filter)[0];
+
+    if (!entry) return null;
+
+    const expiresAt = this.#expiresAt(entry);
+
+    return expiresAt === Infinity ? Infinity : Math.max(expiresAt - Date.now(), 0);
+  }
+
   update(updateCallback, filter=(()=>true)) {
-    this.#checkFunction(updateCallback);
-    this.#checkFunction(filter);
+    return this.#update(updateCallback, filter, 'update');
+  }
 
-    const newData = this.#data.filter(filter);
+  updateById(id, updateCallback) {
+    this.#checkId(id);
+
+    return this.update(updateCallback, { _id: id })[0] ?? null;
+  }
+
+  [hooks.discard]() {
+    this.#changes.saved();
+  }
+
+  [hooks.journal]() {
+    if (!this.#config.journal) return null;
+
+    if (this.#disk !== undefined) this.#sync(this.#readFile(), true);
+
+    if (this.#journal.compact || this.#journal.size === null) return null;
+
+    // Entries changed in place (through the ones returned by get or getAll) were never logged
+    this.#log('update', this.#data.filter(entry => this.#journal.logged.get(entry) !== stringify(entry)));
+
+    const { maxSize=16777216, ratio=1 } = this.#config.journal === true ? {} : this.#config.journal;
+    const data = this.#journal.pending.join('');
+    const size = this.#journal.size + Buffer.byteLength(data);
+
+    if (size > maxSize || size > this.#journal.snapshot * ratio) return null;
+
+    return { path: join(this.#config.folderPath, `${this.name}.json.log`), data, count: this.#journal.pending.length, disk: this.#disk === undefined ? undefined : stringify(this.#data) };
+  }
+
+  [hooks.logged](log) {
+    this.#journal.pending.splice(0, log.count);
+    this.#journal.size += Buffer.byteLength(log.data);
+
+    if (log.disk !== undefined) this.#disk = log.disk;
+  }
+
+  [hooks.options]() {
+    return { defaultValues: this.#defaultValues, indexes: this.listIndexes(), options: { ...this.#config } };
+  }
+
+  [hooks.populate](entries, populate) {
+    const fields = typeof populate === 'string' ? [populate] : populate;
+
+    if (!Array.isArray(fields) || !fields.every(field => typeof field === 'string')) throw new TypeError('The populate option must be a reference field or an array of them');
+    else if (!this.database) throw new Error('References can only be populated in the collections of a database');
+
+    for (const field of fields)
+      if (!this.#config.refs.hasOwnProperty(field)) throw new Error(`The field ${field} is not a reference`);
+
+    return entries.map(entry => {
+      const copy = clone(entry);
+
+      for (const field of fields) {
+        const { ref, field: key='_id' } = this.#config.refs[field];
+        const collection = this.database.getCollection(ref);
+        const keys = field.split('.');
+        const parent = keys.slice(0, -1).reduce((acc, curr) => acc?.[curr], copy);
+        const value = parent?.[keys[keys.length - 1]];
+        const resolve = v => collection?.get({ [key]: v }) ?? null;
+
+        if (value !== undefined && value !== null) parent[keys[keys.length - 1]] = Array.isArray(value) ? value.map(resolve) : resolve(value);
+      }
+
+      return copy;
+    });
+  }
+
+  [hooks.prepare]() {
+    if (this.#disk !== undefined) this.#sync(this.#readFile(), true);
+
+    this.#journal.prepared = this.#journal.pending.length;
+    this.#markLogged(this.#data);
+
+    return stringify(this.#encryptEntries(this.#data), this.#config.tabSize);
+  }
+
+  // A log whose header does not match the file was left behind by an interrupted compaction
+  [hooks.replay](entries, snapshot, log) {
+    this.#journal.snapshot = Buffer.byteLength(snapshot);
+    this.#journal.size = log === null ? null : Buffer.byteLength(log);
+
+    if (log === null || !Array.isArray(entries)) return this.#decryptEntries(entries);
+
+    const replayed = replayLog(entries, snapshot, log);
+
+    if (replayed === null) this.#journal.compact = true;
+
+    return this.#decryptEntries(replayed ?? entries);
+  }
+
+  [hooks.restore](json, encryptionKey=this.#config.encryptionKey) {
+    this.#config.encryptionKey = encryptionKey;
+    this.#load(parse(json));
+  }
+
+  [hooks.rotate](oldKey, newKey) {
+    if (this.#config.encryptionKey === oldKey) this.#config.encryptionKey = newKey;
+  }
+
+  [hooks.serialize]() {
+    return { path: join(this.#config.folderPath, `${this.name}.json`), data: stringify(this.#data, this.#config.tabSize), encryptionKey: this.#config.encryptedFields.length ? this.#config.encryptionKey : null };
+  }
+
+  [hooks.unexpired](entries) {
+    if (!this.#config.expireAfter) return entries;
 
     const now = Date.now();
 
-    for (var i = 0; i < newData.length; i++) {
-      if (this.#config.timestamps) newData[i].updatedAt = now;
+    return entries.filter(entry => this.#expiresAt(entry) > now);
+  }
 
-      updateCallback(newData[i]);
-    }
+  // A new JSON file starts a new log, whose header ties it to the file
+  [hooks.written](data) {
+    const logPath = join(this.#config.folderPath, `${this.name}.json.log`);
 
-    if (this.#config.autoSave && newData.length) this.save();
+    if (this.#disk !== undefined) this.#disk = stringify(this.#decryptEntries(parse(data)));
 
-    return newData;
+    this.#changes.saved();
+    this.#journal.pending.splice(0, this.#journal.prepared);
+    this.#journal.compact = false;
+    this.#journal.snapshot = Buffer.byteLength(data);
+
+    if (this.#config.journal) {
+      const header = JSON.stringify({ snapshot: checksum(data) }) + '\n';
+
+      this.#storage.write(logPath, header);
+      this.#journal.size = Buffer.byteLength(header);
+    }
+    else if (this.#journal.size !== null) {
+      this.#storage.delete(logPath);
+      this.#journal.size = null;
+    }
   }
 
 
 
   /* ==================== Private Methods ==================== */
 
+  #append(filePath, data) {
+    if (this.#storage.append) this.#storage.append(filePath, data);
+    else this.#storage.write(filePath, (this.#storage.read(filePath) ?? '') + data);
+  }
+
+  #candidates(filter) {
+    if (!this.#indexes.size || typeof filter === 'function' || !isObject(filter)) return this[hooks.unexpired](this.#data);
+
+    const equalities = new Map(), lists = new Map(), ranges = new Map();
+
+    for (const [field, condition] of Object.entries(filter)) {
+      if (field.startsWith('$') || condition === undefined || condition instanceof RegExp) continue;
+      else if (!isOperatorObject(condition)) equalities.set(field, condition);
+      else if (condition.hasOwnProperty('$eq')) equalities.set(field, condition.$eq);
+      else if (Array.isArray(condition.$in)) lists.set(field, condition.$in);
+      else {
+        const bounds = Object.fromEntries(['$gt', '$gte', '$lt', '$lte'].filter(o => condition[o] !== undefined).map(o => [o, condition[o]]));
+        const types = new Set(Object.values(bounds).map(b => typeof b));
+
+        if (types.size === 1 && (types.has('number') || types.has('string'))) ranges.set(field, bounds);
+      }
+    }
+
+    let best = null;
+
+    for (const index of this.#indexes.values()) {
+      const [field] = index.fields;
+      let candidates = null;
+
+      if (index.fields.every(f => equalities.has(f))) candidates = index.find(index.fields.map(f => equalities.get(f)));
+      else if (index.fields.length === 1 && lists.has(field)) candidates = [...new Set(lists.get(field).flatMap(v => index.find([v])))];
+      else if (index.fields.length === 1 && ranges.has(field)) candidates = index.range(ranges.get(field));
+
+      if (candidates && (!best || candidates.length < best.length)) best = candidates;
+    }
+
+    return this[hooks.unexpired](best?.sort((a, b) => this.#positions.get(a) - this.#positions.get(b)) ?? this.#data);
+  }
+
   #checkDefaultValues(defaultValues) {
     if (!isObject(defaultValues)) throw new TypeError('The defaultValues option must be an object');
 
@@ -232,8 +659,36 @@ class Collection {
           entry[defaults[i][0]] = defaults[i][1]; 
   }
 
-  #checkFunction(filter) {
-    if (typeof filter !== 'function') throw new TypeError('The provided parameter must be a function');
+  #checkEncryptedFields(fields) {
+    if (!Array.isArray(fields) || !fields.every(isValidKey)) throw new TypeError('The encryptedFields option must be an array of field names');
+    else if (!fields.length) return;
+    else if (!this.#config.encryptionKey) throw new Error('Missing Encryption Key');
+    else if (typeof this.#config.encryptionKey !== 'string') throw new TypeError('The Encryption Key must be a string');
+    else if (this.#config.encryptionKey.length !== 32) throw new Error('The Encryption Key must have a length of 32 characters');
+  }
+
+  #checkExpireAfter(expireAfter) {
+    if (expireAfter === null) return;
+    else if (typeof expireAfter === 'number' ? expireAfter < 0 : !isObject(expireAfter) || typeof expireAfter.field !== 'string' || !expireAfter.field.length || (expireAfter.ttl ?? 0) < 0)
+      throw new TypeError('The expireAfter option must be a number of milliseconds or an object with a field and a ttl');
+  }
+
+  #checkField(field) {
+    if (typeof field !== 'string' || !field.length) throw new TypeError('The provided field must be a non-empty string');
+  }
+
+  #checkFunction(callback) {
+    if (typeof callback !== 'function') throw new TypeError('The provided parameter must be a function');
+  }
+
+  #checkId(id) {
+    if (!['string', 'number'].includes(typeof id)) throw new TypeError('The provided id must be a string or a number');
+  }
+
+  #checkJournal(journal) {
+    if (typeof journal === 'boolean') return;
+    else if (!isObject(journal) || ['maxSize', 'ratio'].some(key => journal[key] !== undefined && (typeof journal[key] !== 'number' || journal[key] <= 0)))
+      throw new TypeError('The journal option must be a boolean or an object with a positive maxSize and ratio');
   }
 
   #checkName(name) {
@@ -243,19 +698,343 @@ class Collection {
     this.name = name;
   }
 
+  #checkRefs(refs) {
+    if (!isObject(refs) || !Object.entries(refs).every(([field, ref]) => isValidKey(field) && isObject(ref) && isValidKey(ref.ref) && (ref.field === undefined || isValidKey(ref.field)) && (ref.onDelete === undefined || ['restrict', 'cascade', 'nullify'].includes(ref.onDelete))))
+      throw new TypeError('The refs option must be an object of fields, each with the collection it references (ref), the field it references and an onDelete of "restrict", "cascade" or "nullify"');
+  }
+
+  // The entries must not be indexed yet, as they are checked against the indexed entries and each other
+  #checkUnique(entries) {
+    for (const index of this.#indexes.values()) {
+      if (!index.unique) continue;
+
+      const batch = new Index(index.fields);
+
+      for (var i = 0; i < entries.length; i++) {
+        const existing = index.conflictOf(entries[i]) ?? batch.conflictOf(entries[i]);
+
+        if (existing) throw new DuplicateKeyError(index.fields, this.#uniqueValue(index, entries[i]), existing);
+
+        batch.add(entries[i]);
+      }
+    }
+  }
+
+  #createIndex(fields, options) {
+    if (typeof fields === 'string') fields = [fields];
+
+    if (!Array.isArray(fields) || !fields.length || !fields.every(f => isValidKey(f))) throw new TypeError('The fields of the index must be a valid key or an array of valid keys');
+    else if (!isObject(options)) throw new TypeError('The options parameter must be an object');
+
+    const index = new Index(fields, options);
+
+    if (this.#indexes.has(index.name)) throw new Error('An index with the provided name already exists');
+
+    index.build(this.#data);
+
+    if (index.unique)
+      for (var i = 0; i < this.#data.length; i++) {
+        const existing = index.conflictOf(this.#data[i]);
+
+        if (existing) throw new DuplicateKeyError(index.fields, this.#uniqueValue(index, this.#data[i]), existing);
+      }
+
+    this.#indexes.set(index.name, index);
+
+    return index.name;
+  }
+
+  #decryptEntries(entries) {
+    if (!this.#config.encryptedFields.length || !Array.isArray(entries)) return entries;
+
+    try {
+      return this.#transformFields(entries, value => decryptValue(value, this.#config.encryptionKey));
+    } catch (e) {
+      throw new DecryptionError(join(this.#config.folderPath, `${this.name}.json`));
+    }
+  }
+
+  #emit(event, payload) {
+    if (this.database?.[hooks.active]) this.database[hooks.emit](this, event, payload);
+    else this.emit(event, payload);
+  }
+
+  #encryptEntries(entries) {
+    if (!this.#config.encryptedFields.length) return entries;
+
+    return this.#transformFields(clone(entries), value => encryptValue(value, this.#config.encryptionKey));
+  }
+
+  #expiresAt(entry) {
+    const { field, ttl=0 } = typeof this.#config.expireAfter === 'number' ? { field: 'createdAt', ttl: this.#config.expireAfter } : this.#config.expireAfter;
+    const date = getPath(entry, field);
+    const time = date instanceof Date ? date.getTime() : typeof date === 'number' ? date : typeof date === 'string' ? Date.parse(date) : NaN;
+
+    return isNaN(time) ? Infinity : time + ttl;
+  }
+
   #fetchData() {
     const dataPath = join(this.#config.folderPath, `${this.name}.json`);
 
     try {
-      return JSON.parse(FS.readFileSync(dataPath, 'utf8'));
-    } catch (e) {
-      if (e.code === 'ENOENT') {
-        FS.writeFileSync(dataPath, '[]');
+      const fileContent = this.#storage.read(dataPath);
+
+      if (fileContent === null) {
+        this.#storage.write(dataPath, '[]');
         return [];
       }
-      else if (e.code === 'EACCES') throw new Error('The collection\'s file could not be accessed');
+
+      return this[hooks.replay](parse(fileContent), fileContent, this.#storage.read(dataPath + '.log'));
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The collection\'s file could not be accessed');
+      else if (!(e instanceof SyntaxError)) throw e;
+    }
+  }
+
+  #filter(filter) {
+    const predicate = compileFilter(filter);
+
+    return this.#candidates(filter).filter(predicate);
+  }
+
+  #generateId(data) {
+    if (!this.#config.id || data?._id !== undefined) return {};
+
+    const id = this.#config.id === 'uuid' ? uuid() : this.#config.id === 'ulid' ? ulid() : this.#config.id(data);
+
+    if (!['string', 'number'].includes(typeof id)) throw new TypeError('The generated id must be a string or a number');
+
+    return { _id: id };
+  }
+
+  #indexEntries(entries) {
+    for (const index of this.#indexes.values())
+      for (var i = 0; i < entries.length; i++)
+        index.add(entries[i]);
+  }
+
+  #load(entries) {
+    this.#data = entries;
+    this.entries = this.#data.length;
+
+    for (const index of this.#indexes.values())
+      index.clear();
+
+    this.#positions = new WeakMap();
+    this.#track(this.#data);
+
+    // The logged changes do not lead to the new entries
+    this.#journal.compact = true;
+    this.#journal.pending = [];
+  }
+
+  #log(op, entries) {
+    if (!this.#config.journal || !entries.length) return;
+
+    this.#markLogged(op === 'remove' ? [] : entries);
+
+    if (op === 'create') return this.#journal.pending.push(stringify({ op, entries: this.#encryptEntries(entries) }) + '\n');
+
+    const changed = new Set(entries);
+    const positions = [];
+
+    for (var i = 0; i < this.#data.length; i++)
+      if (changed.has(this.#data[i])) positions.push(i);
+
+    this.#journal.pending.push(stringify(op === 'update' ? { op, positions, entries: this.#encryptEntries(positions.map(p => this.#data[p])) } : { op, positions }) + '\n');
+  }
+
+  #markLogged(entries) {
+    if (!this.#config.journal) return;
+
+    for (var i = 0; i < entries.length; i++)
+      this.#journal.logged.set(entries[i], stringify(entries[i]));
+  }
+
+  // Entries with an id are saved by their id, which also saves copies of them fetched from the JSON file
+  #modifiable(entry) {
+    entry.save = () => {
+      if (entry._id === undefined) return this.update(()=>{}, document => !!document.save);
+
+      return this.update(target => {
+        if (target !== entry) assignEntry(target, this.#config.timestamps ? { ...entry, updatedAt: target.updatedAt } : entry);
+      }, { _id: entry._id });
+    };
+  }
+
+  #persist() {
+    if (!this.database?.[hooks.active]) this.#changes.change();
+  }
+
+  #readFile() {
+    try {
+      const dataPath = join(this.#config.folderPath, `${this.name}.json`);
+      const fileContent = this.#storage.read(dataPath);
+
+      return fileContent === null ? null : stringify(this[hooks.replay](parse(fileContent), fileContent, this.#storage.read(dataPath + '.log')));
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The collection\'s file could not be accessed');
+      else if (!(e instanceof SyntaxError)) throw e;
+
+      // A missing or half-written file holds no changes to bring in
+      return null;
+    }
+  }
+
+  #reload() {
+    if (this.database?.[hooks.active]) return;
+
+    try {
+      this.#sync(this.#readFile());
+    } catch (e) {
+      emitError(this, e);
+    }
+  }
+
+  #saveOptions() {
+    const filePath = join(this.#config.folderPath, `${this.name}.json.meta`);
+    const options = Object.fromEntries(['encryptedFields', 'expireAfter', 'id', 'journal', 'refs', 'schema', 'timestamps', 'unique']
+      .map(key => [key, this.#config[key]])
+      .filter(([, value]) => value !== null && value !== false && typeof value !== 'function' && !(typeof value === 'object' && !Object.keys(value).length)));
+    const indexes = this.listIndexes();
+    const data = JSON.stringify({ defaultValues: this.#defaultValues, indexes, options }, (key, value) => value instanceof RegExp ? { source: value.source, flags: value.flags } : value);
+
+    if (!Object.keys(options).length && !Object.keys(this.#defaultValues).length && !indexes.length) this.#storage.delete(filePath);
+    else if (this.#storage.read(filePath) !== data) this.#storage.write(filePath, data);
+  }
+
+  #sweep() {
+    if (this.database?.[hooks.active]) return;
+
+    const now = Date.now();
+    const expired = this.#data.filter(entry => this.#expiresAt(entry) <= now);
+
+    if (!expired.length) return;
+
+    const removed = new Set(expired);
+
+    this.#log('remove', expired);
+    this.#data = this.#data.filter(d => !removed.has(d));
+    this.#untrack(expired);
+    this.entries = this.#data.length;
+
+    this.emit('expired', { entries: expired });
+    this.#persist();
+  }
+
+  #sync(content, saving=false) {
+    if (content === null || content === this.#disk) return;
+
+    const ours = clone(this.#data);
+    const theirs = parse(content);
+    let data = theirs;
+
+    if (stringify(ours) !== this.#disk)
+      try {
+        data = resolveConflict(this.#config.onConflict, { base: parse(this.#disk), ours, theirs, file: join(this.#config.folderPath, `${this.name}.json`) });
+      } catch (e) {
+        if (saving || !(e instanceof ConflictError)) throw e;
+
+        return;
+      }
+
+    this.#disk = content;
+
+    if (stringify(data) !== stringify(ours)) {
+      this.#load(Array.isArray(data) ? data : []);
+      this.emit('reload', { oldEntries: ours, newEntries: this.#data });
     }
   }
+
+  #track(entries) {
+    for (var i = 0; i < entries.length; i++)
+      this.#positions.set(entries[i], this.#sequence++);
+
+    this.#indexEntries(entries);
+  }
+
+  #transformFields(entries, transform) {
+    for (const entry of entries)
+      for (const field of this.#config.encryptedFields) {
+        const keys = field.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((acc, curr) => acc?.[curr], entry);
+
+        if (parent && typeof parent === 'object' && parent[last] !== undefined) parent[last] = transform(parent[last]);
+      }
+
+    return entries;
+  }
+
+  #uniqueValue(index, entry) {
+    const values = index.fields.map(field => getPath(entry, field));
+
+    return values.length === 1 ? values[0] : values;
+  }
+
+  #untrack(entries) {
+    for (const index of this.#indexes.values())
+      for (var i = 0; i < entries.length; i++)
+        index.delete(entries[i]);
+  }
+
+  #update(updateCallback, filter, event) {
+    this.#checkFunction(updateCallback);
+
+    const predicate = compileFilter(filter);
+
+    const newData = this.#candidates(filter).filter(predicate);
+    const backups = this.#config.schema || [...this.#indexes.values()].some(index => index.unique) || this.listenerCount(event) ? newData.map(e => clone(e)) : null;
+
+    const now = Date.now();
+
+    this.#untrack(newData);
+
+    try {
+      for (var i = 0; i < newData.length; i++) {
+        if (this.#config.timestamps) newData[i].updatedAt = now;
+
+        updateCallback(newData[i]);
+      }
+
+      this.#validate(newData);
+      this.#checkUnique(newData);
+    } catch (e) {
+      if (!(e instanceof DuplicateKeyError) && !(e instanceof SchemaValidationError)) throw e;
+
+      // Nothing is updated if any of the entries would break the schema or a unique constraint
+      for (var j = 0; j < newData.length; j++) {
+        for (const key of Object.keys(newData[j]))
+          if (key !== 'save') delete newData[j][key];
+
+        Object.assign(newData[j], backups[j]);
+      }
+
+      throw e;
+    } finally {
+      this.#indexEntries(newData);
+    }
+
+    if (newData.length) {
+      this.#log('update', newData);
+      this.#emit(event, { filter, oldEntries: backups, newEntries: newData });
+      this.#persist();
+    }
+
+    return newData;
+  }
+
+  #validate(entries) {
+    if (!this.#config.schema) return;
+
+    const errors = entries.flatMap((entry, i) => validate(this.#config.schema, entry, entries.length > 1 ? `[${i}]` : ''));
+
+    if (errors.length) throw new SchemaValidationError(errors);
+  }
+
+  #withLock(paths, callback) {
+    return this.#config.lock && this.#storage.lock ? this.#storage.lock(paths, this.#config.lock, callback) : callback();
+  }
 }
 
 module.exports = Collection;
\ No newline at end of file
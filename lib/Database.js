@@ -5,22 +5,55 @@
 const FS = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const AutoSave = require('./AutoSave');
+const { checkBackupOptions, readSnapshot, rotateSnapshots, writeSnapshot } = require('./Backup');
 const Collection = require('./Collection');
-const { isObject, isValidKey } = require('./Utils');
-
-class Database {
+const hooks = require('./Hooks');
+const { metadataPath, planMigrations, readMetadata, readSchemaVersion, updateMetadata } = require('./Migrations');
+const { ConflictError, DecryptionError } = require('./Errors');
+const { formatEntries, parseEntries, resolveFormat } = require('./Formats');
+const { replayLog } = require('./Journal');
+const { getPath } = require('./Query');
+const { clone, parse, stringify } = require('./Serialization');
+const { EncryptedStorage, JSONStorage, checkStorage } = require('./Storage');
+const { checkSyncOptions, resolveConflict } = require('./Sync');
+const { commitFiles, recoverTransaction } = require('./Transaction');
+const { emitError, isObject, isValidKey } = require('./Utils');
+
+class Database extends EventEmitter {
+  #backups;
+  #changes;
   #config;
   #data;
+  #disk;
+  #encryptedKeys;
+  #expirations;
+  #removing;
+  #storage;
+  #sweeper;
+  #transaction;
+  #unwatch;
 
   constructor(config) {
+    super();
+
     this.collections = [];
     this.#config = Object.assign({
       autoSave: true,
+      backup: null,
       collectionsFolder: './collections',
       collectionTimestamps: false,
       dataFile: './database.json',
+      encryption: null,
       encryptionKey: null,
-      tabSize: 0
+      fsync: false,
+      lock: true,
+      onConflict: 'ours',
+      storage: null,
+      sweepInterval: 60000,
+      tabSize: 0,
+      watch: false
     }, config);
 
     this.version = require('../package.json').version;
@@ -29,7 +62,47 @@ class Database {
     
     if (this.#config.encryptionKey) this.#validateEncryptionKey(this.#config.encryptionKey);
 
+    checkSyncOptions(this.#config);
+    this.#checkSweepInterval(this.#config.sweepInterval);
+
+    if (this.#config.backup) checkBackupOptions(this.#config.backup);
+
+    this.#storage = this.#config.storage ?? new JSONStorage({ fsync: this.#config.fsync });
+
+    checkStorage(this.#storage);
+
+    if (this.#config.encryption) this.#storage = new EncryptedStorage(this.#storage, this.#config.encryption);
+
+    this.#changes = new AutoSave(this.#config.autoSave, () => this.save(), e => emitError(this, e));
+
+    const dataFile = path.normalize(this.#config.dataFile);
+    const collectionsFolder = path.normalize(this.#config.collectionsFolder);
+    const leftovers = this.#storage.list(collectionsFolder).filter(file => file.endsWith('.tx')).map(file => path.join(collectionsFolder, file.slice(0, -3)));
+
+    recoverTransaction(dataFile + '.journal', this.#storage, [dataFile, dataFile + '.ttl', metadataPath(dataFile), ...leftovers]);
+    this.#storage.recover?.(dataFile);
+
     this.#checkJSON();
+    this.#readExpirations();
+    this.#encryptedKeys = new Set(this.#readEncryptedKeys());
+
+    if (this.#config.watch || this.#config.onConflict !== 'ours') this.#disk = stringify(this.#data);
+
+    if (this.#config.watch && this.#storage.watch) this.#unwatch = this.#storage.watch(path.normalize(this.#config.dataFile), this.#config.watch === true ? 1000 : this.#config.watch, () => this.#reload());
+
+    if (this.#config.backup) {
+      const { folder, interval, keep=5 } = this.#config.backup;
+
+      this.#backups = setInterval(() => {
+        if (this.#transaction) return;
+
+        try {
+          rotateSnapshots(folder, keep, this.#storage, this.#onDisk(), snapshot => this.backup(snapshot));
+        } catch (e) {
+          emitError(this, e);
+        }
+      }, interval).unref();
+    }
   }
 
 
@@ -37,24 +110,83 @@ class Database {
     return this.#math('add', key, value);
   }
 
+  backup(folder) {
+    if (typeof folder !== 'string' || !folder) throw new TypeError('The provided folder is invalid');
+    else if (this.#transaction) throw new Error('A backup cannot be taken during a transaction');
+
+    this.flush();
+
+    const dataFile = path.normalize(this.#config.dataFile);
+    const collectionsFolder = path.normalize(this.#config.collectionsFolder);
+    const collectionFiles = this.#storage.list(collectionsFolder).filter(file => /\.json(\.log|\.meta)?$/.test(file));
+    const sources = [
+      { name: 'database.json', path: dataFile },
+      { name: 'database.json.ttl', path: dataFile + '.ttl' },
+      { name: 'database.json.meta', path: metadataPath(dataFile) },
+      ...collectionFiles.map(file => ({ name: 'collections/' + file, path: path.join(collectionsFolder, file) }))
+    ];
+    const locked = sources.filter(source => /\.json$/.test(source.path)).map(source => source.path);
+    const files = this.#withLock(locked, () => sources.map(source => ({ name: source.name, data: this.#storage.read(source.path) })));
+
+    return writeSnapshot(folder, files.filter(file => file.data !== null), this.#storage, this.#onDisk(), this.version);
+  }
+
   clear() {
+    const oldValue = this.#data;
+
     this.#data = {};
+    this.#encryptedKeys.clear();
+    this.#expirations = {};
 
-    if (this.#config.autoSave) this.save();
+    this[hooks.emit](this, 'clear', { oldValue });
+    this.#persist();
   }
 
-  createCollection(name, defaultValues={}) {
-    this.#validateFolderPath(this.#config?.collectionsFolder);
+  close() {
+    this.#changes.stop();
+
+    this.#unwatch?.();
+    this.#unwatch = null;
+
+    clearInterval(this.#sweeper);
+    this.#sweeper = null;
+
+    clearInterval(this.#backups);
+    this.#backups = null;
 
+    for (const collection of this.collections)
+      collection.close();
+  }
+
+  copyCollection(name, newName) {
+    const collection = this.#checkNewName(name, newName, 'copied');
+
+    collection.flush();
+    this.#copyCollectionFiles(name, newName);
+
+    this.#openCollection(newName, collection[hooks.options]());
+
+    return this.#describe(newName);
+  }
+
+  createCollection(name, defaultValues={}, options={}) {
     if (!isValidKey(name)) throw new TypeError('The provided name is invalid');
+    else if (!isObject(options)) throw new TypeError('The options parameter must be an object');
     else if (this.collections.some(c => c.name === name)) throw new Error('A collection with the provided name already exists');
 
-    const newCollection = new Collection(name, { folderPath: this.#config.collectionsFolder, tabSize: this.#config.tabSize, autoSave: this.#config.autoSave, timestamps: this.#config.collectionTimestamps }, defaultValues);
+    if (this.#onDisk(options.storage)) this.#validateFolderPath(this.#config.collectionsFolder);
+
+    // The file a collection creates during a transaction is deleted if the transaction is rolled back
+    const created = this.#transaction && !this.#storedCollections().includes(name);
+
+    const newCollection = new Collection(name, { folderPath: this.#config.collectionsFolder, tabSize: this.#config.tabSize, autoSave: this.#config.autoSave, timestamps: this.#config.collectionTimestamps, encryption: this.#config.encryption, encryptionKey: this.#config.encryptionKey, fsync: this.#config.fsync, lock: this.#config.lock, onConflict: this.#config.onConflict, storage: this.#config.storage, sweepInterval: this.#config.sweepInterval, watch: this.#config.watch, ...options }, defaultValues);
 
     newCollection.database = this;
     
     this.collections.push(newCollection);
 
+    if (created) this.#transaction.created.add(newCollection);
+
     return newCollection;
   }
 
@@ -68,7 +200,12 @@ class Database {
       else return o?.[curr];
     }, this.#data);
 
-    if (this.#config.autoSave) this.save();
+    this.#clearEncryptedKeys(key);
+    this.#clearExpirations(key);
+
+    if (data !== undefined) this[hooks.emit](this, 'delete', { key, oldValue: data });
+
+    this.#persist();
 
     return !!data && this.get(key) === undefined;
   }
@@ -78,17 +215,45 @@ class Database {
 
     const collectionIndex = this.collections.findIndex(c => c.name === name);
 
-    if (collectionIndex === -1) return false;
+    if (collectionIndex === -1 && !this.#storedCollections().includes(name)) return false;
+    else if (this.#transaction) throw new Error('Collections cannot be deleted during a transaction');
+
+    this.#deleteCollectionFiles(name);
+
+    if (collectionIndex !== -1) {
+      const [collection] = this.collections.splice(collectionIndex, 1);
 
-    this.#deleteFile(path.relative(process.cwd(), this.#config.collectionsFolder + '/' + name + '.json'));
+      collection[hooks.discard]();
+      collection.close();
+    }
 
-    return this.collections.splice(collectionIndex, 1).length > 0;
+    return true;
+  }
+
+  export(folder, options={}) {
+    if (typeof folder !== 'string' || !folder) throw new TypeError('The provided folder is invalid');
+
+    const format = resolveFormat(options);
+    const names = new Set([...this.collections.map(c => c.name), ...this.#storedCollections()]);
+
+    if (this.#onDisk()) FS.mkdirSync(path.join(folder, 'collections'), { recursive: true });
+
+    this.#storage.write(path.join(folder, `database.${format}`), formatEntries([this.toJSON()], format, this.#config.tabSize));
+
+    return [...names].map(name => ({ name, entries: this.getCollection(name).exportTo(path.join(folder, 'collections', `${name}.${format}`), { format }) }));
   }
 
   fetch(key) {
     if (!isValidKey(key)) throw new TypeError('The provided key is invalid');
 
-    return key.split('.').reduce((acc, curr) => acc?.[curr], this.#fetchData());
+    return this[hooks.unexpired](key, key.split('.').reduce((acc, curr) => acc?.[curr], this.#fetchData()));
+  }
+
+  flush() {
+    this.#changes.flush();
+
+    for (const collection of this.collections)
+      collection.flush();
   }
 
   get(key, decrypt=false) {
@@ -96,7 +261,7 @@ class Database {
     else if (typeof decrypt !== 'boolean') throw new TypeError('Parameter decrypt must be of type boolean');
     else if (decrypt && !this.#config.encryptionKey) throw new Error('Missing Encryption Key');
 
-    const data = key.split('.').reduce((acc, curr) => acc?.[curr], this.#data);
+    const data = this[hooks.unexpired](key, key.split('.').reduce((acc, curr) => acc?.[curr], this.#data));
 
     return !decrypt ? data : this.#decrypt(data);
   }
@@ -104,13 +269,76 @@ class Database {
   getCollection(name) {
     if (!isValidKey(name)) throw new TypeError('The provided name is invalid');
 
-    return this.collections.find(c => c.name === name) ?? null;
+    const collection = this.collections.find(c => c.name === name);
+
+    if (collection || !this.#storedCollections().includes(name)) return collection ?? null;
+
+    return this.#openCollection(name, this.#readCollectionOptions(name));
+  }
+
+  getSchemaVersion() {
+    return readSchemaVersion(this.#storage.read(metadataPath(this.#config.dataFile)));
   }
 
   has(key) {
     return this.get(key) !== undefined;
   }
 
+  import(folder, options={}) {
+    if (typeof folder !== 'string' || !folder) throw new TypeError('The provided folder is invalid');
+
+    const format = resolveFormat(options);
+    const dataFile = path.join(folder, `database.${format}`);
+    const content = this.#storage.read(dataFile);
+    const data = content === null ? {} : parseEntries(content, format, dataFile)[0] ?? {};
+
+    if (!isObject(data)) throw new Error(`The file ${dataFile} does not hold the data of a database`);
+
+    const collectionsFolder = path.join(folder, 'collections');
+    const names = this.#storage.list(collectionsFolder).filter(file => file.endsWith('.' + format)).map(file => file.slice(0, -format.length-1)).filter(isValidKey);
+
+    return this.transaction(() => {
+      for (const [key, value] of Object.entries(data))
+        this.set(key, value);
+
+      return names.map(name => {
+        const collection = this.getCollection(name) ?? this.createCollection(name);
+
+        return { name, entries: collection.importFrom(path.join(collectionsFolder, `${name}.${format}`), { format }).length };
+      });
+    });
+  }
+
+  listCollections() {
+    const names = new Set([...this.collections.map(c => c.name), ...this.#storedCollections()]);
+
+    return [...names].map(name => this.#describe(name));
+  }
+
+  migrate(migrations, version) {
+    const current = this.getSchemaVersion();
+    const { steps, version: target } = planMigrations(migrations, current, version);
+
+    if (target === current) return current;
+
+    this[hooks.begin]();
+
+    try {
+      for (const step of steps)
+        if (typeof step(this)?.then === 'function') throw new TypeError('The migrations of a Database must be synchronous, use AsyncDatabase#migrate instead');
+
+      const files = this[hooks.files]();
+
+      this.#commit([...files, { path: metadataPath(this.#config.dataFile), data: updateMetadata(this.#storage.read(metadataPath(this.#config.dataFile)), { schemaVersion: target }) }]);
+      this[hooks.end](files);
+    } catch (e) {
+      this[hooks.rollback]();
+      throw e;
+    }
+
+    return target;
+  }
+
   pull(key, value) {
     if (!isValidKey(key)) throw new TypeError('The provided key is invalid');
     else if (value === undefined) throw new TypeError('A valid value must be provided');
@@ -119,9 +347,9 @@ class Database {
 
     if (!(Array.isArray(oldArray)) && oldArray !== undefined) throw new TypeError('The value of the provided key must be an array');
 
-    this.set(key, oldArray.filter(v => typeof v === 'object' ? JSON.stringify(v) !== JSON.stringify(value) : v !== value));
+    this.#set(key, oldArray.filter(v => typeof v === 'object' ? stringify(v) !== stringify(value) : v !== value));
 
-    if (this.#config.autoSave) this.save();
+    this.#persist();
 
     return this.get(key.split('.')[0]);
   }
@@ -134,11 +362,9 @@ class Database {
 
     if (!(Array.isArray(oldArray)) && oldArray !== undefined) throw new TypeError('The value of the provided key must be an array');
 
-    oldArray.push(value);
-
-    this.set(key, oldArray);
+    this.#set(key, [...oldArray, value]);
 
-    if (this.#config.autoSave) this.save();
+    this.#persist();
 
     return this.get(key.split('.')[0]);
   }
@@ -152,10 +378,16 @@ class Database {
     
     if (data === undefined) throw new Error('The provided key does not exist');
 
+    const keys = key.split('.');
+    const newKey = newName.includes('.') ? newName : [...keys.slice(0, -1), newName].join('.');
+
+    this.#moveEncryptedKeys(key, newKey);
+    this.#moveExpirations(key, newKey);
+
     key.split('.').reduce((o, curr, i, arr) => {
       if (i === arr.length-1) {
         if (newName.includes('.')) {
-          this.set(newName, data);
+          this.#set(newName, data);
           this.delete(key);
         } else {
           o[newName] = data;
@@ -165,46 +397,104 @@ class Database {
       else return o[curr];
     }, this.#data);
 
-    if (this.#config.autoSave) this.save();
-
-    const keys = key.split('.');
+    this[hooks.emit](this, 'rename', { key, newKey, value: data });
+    this.#persist();
 
     return keys.length === 1 ? this.#data : this.get(keys.slice(0, -1).join('.'));
   }
 
+  renameCollection(name, newName) {
+    const collection = this.#checkNewName(name, newName, 'renamed');
+
+    collection.flush();
+    this.#copyCollectionFiles(name, newName);
+
+    this.#openCollection(newName, collection[hooks.options]());
+    this.deleteCollection(name);
+
+    return this.#describe(newName);
+  }
+
+  restore(folder) {
+    if (typeof folder !== 'string' || !folder) throw new TypeError('The provided folder is invalid');
+
+    const files = readSnapshot(folder, this.#storage);
+    const collectionsFolder = path.normalize(this.#config.collectionsFolder);
+
+    this[hooks.begin]();
+
+    try {
+      this.#data = parse(files.get('database.json') ?? '{}');
+      this.#encryptedKeys = new Set(readMetadata(files.get('database.json.meta')).encryptedKeys ?? []);
+      this.#expirations = JSON.parse(files.get('database.json.ttl') ?? '{}');
+
+      const unloaded = [];
+
+      for (const name of [...files.keys()].filter(name => /^collections\/.+\.json$/.test(name))) {
+        const content = files.get(name);
+        const log = files.get(name + '.log') ?? null;
+        const meta = files.get(name + '.meta') ?? null;
+        const collection = this.collections.find(c => name === `collections/${c.name}.json`);
+
+        if (collection) collection[hooks.restore](stringify(collection[hooks.replay](parse(content), content, log)));
+        else {
+          const filePath = path.join(collectionsFolder, name.slice('collections/'.length));
+
+          unloaded.push({ path: filePath, data: content }, ...[[log, '.log'], [meta, '.meta']].filter(([data]) => data !== null).map(([data, extension]) => ({ path: filePath + extension, data })));
+        }
+      }
+
+      const metadata = files.get('database.json.meta') ?? (this.getSchemaVersion() ? JSON.stringify({ schemaVersion: 0 }) : null);
+      const changed = this[hooks.files]();
+
+      this.#commit([...changed, ...unloaded, ...(metadata === null ? [] : [{ path: metadataPath(this.#config.dataFile), data: metadata }])]);
+      this[hooks.end](changed);
+    } catch (e) {
+      this[hooks.rollback]();
+      throw e;
+    }
+
+    if (Object.keys(this.#expirations).length) this.#startSweeper();
+  }
+
+  rotateEncryptionKey(oldKey, newKey) {
+    this.transaction(() => this[hooks.rotate](oldKey, newKey));
+  }
+
   save() {
+    const dataFile = path.normalize(this.#config.dataFile);
+
     try {
-      FS.writeFileSync(path.normalize(this.#config.dataFile), JSON.stringify(this.#data, null, this.#config.tabSize));
+      this.#withLock([dataFile], () => {
+        const data = this[hooks.prepare]();
+
+        this.#storage.write(dataFile, data);
+        this[hooks.written](data);
+      });
+
+      this.emit('save');
     } catch (e) {
       if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
+      else throw e;
     }
   }
 
-  set(key, value, encrypt=false) {
+  set(key, value, options=false) {
+    const { encrypt=false, ttl } = isObject(options) ? options : { encrypt: options };
+
     if (!isValidKey(key)) throw new TypeError('The provided key is invalid');
     else if (typeof encrypt !== 'boolean') throw new TypeError('Parameter encrypt must be of type boolean');
     else if (encrypt && !this.#config.encryptionKey) throw new Error('Missing Encryption Key');
+    else if (ttl !== undefined && !(typeof ttl === 'number' && ttl > 0 && ttl !== Infinity)) throw new TypeError('The ttl option must be a positive number of milliseconds');
 
-    const keys = key.split('.');
+    const stored = encrypt ? this.#encrypt(value) : value;
 
-    if (this.get(key) !== value) {
-      const objectDotNotation = (object, Ks) => {
-        if (Ks.length === 1)
-          object[Ks[0]] = !encrypt ? value : this.#encrypt(value);
-        else {
-          if (!isObject(object[Ks[0]])) object[Ks[0]] = {};
-          
-          object[Ks[0]] = { ...object[Ks[0]] };
-          objectDotNotation(object[Ks[0]], Ks.slice(1));
-        }
-      };
+    this.#clearEncryptedKeys(key);
 
-      objectDotNotation(this.#data, keys);
+    if (encrypt) this.#encryptedKeys.add(key);
 
-      if (this.#config.autoSave) this.save();
-    }
-
-    return this.get(keys[0]);
+    // A value set without a ttl does not expire
+    return this.#set(key, stored, ttl === undefined ? null : Date.now() + ttl);
   }
 
   subtract(key, value) {
@@ -212,7 +502,47 @@ class Database {
   }
 
   toJSON() {
-    return JSON.parse(JSON.stringify(this.#data));
+    return clone(this[hooks.unexpired](null, this.#data));
+  }
+
+  transaction(callback) {
+    if (typeof callback !== 'function') throw new TypeError('A valid callback must be provided');
+
+    this[hooks.begin]();
+
+    try {
+      const result = callback(this);
+
+      if (typeof result?.then === 'function') throw new TypeError('The callback of a transaction must be synchronous, use AsyncDatabase#transaction instead');
+
+      const files = this[hooks.files]();
+
+      this.#commit(files);
+      this[hooks.end](files);
+
+      return result;
+    } catch (e) {
+      this[hooks.rollback]();
+      throw e;
+    }
+  }
+
+  truncateCollection(name) {
+    const collection = this.getCollection(name);
+
+    if (!collection) throw new Error('The provided collection does not exist');
+
+    collection.remove();
+
+    return this.#describe(name);
+  }
+
+  ttl(key) {
+    if (!this.has(key)) return null;
+
+    const expiresAt = this.#expiresAt(key);
+
+    return expiresAt === Infinity ? Infinity : Math.max(expiresAt - Date.now(), 0);
   }
 
   update(key, callback) {
@@ -224,44 +554,287 @@ class Database {
     if (data === undefined) throw new Error('The provided key does not exist');
 
     try {
-      if (isObject(data))
+      // Objects are updated on a copy, like set does, so the old value stays intact
+      if (isObject(data)) {
+        data = clone(data);
         callback(data);
+      }
       else
         data = callback(data);
     } catch(e) {
       throw new Error('The callback function failed to update the data:\n' + e);
     }
 
-    this.set(key, data);
+    this.#set(key, data);
 
-    if (this.#config.autoSave) this.save();
+    this.#persist();
 
     return this.get(key.split('.')[0]);
   }
 
+  watch(key, listener) {
+    if (!isValidKey(key)) throw new TypeError('The provided key is invalid');
+    else if (typeof listener !== 'function') throw new TypeError('A valid callback must be provided');
+
+    const related = changed => changed === key || changed.startsWith(key + '.') || key.startsWith(changed + '.');
+    const listeners = {
+      clear: payload => listener('clear', payload),
+      delete: payload => related(payload.key) && listener('delete', payload),
+      rename: payload => (related(payload.key) || related(payload.newKey)) && listener('rename', payload),
+      set: payload => related(payload.key) && listener('set', payload)
+    };
+
+    for (const [event, callback] of Object.entries(listeners))
+      this.on(event, callback);
+
+    return () => {
+      for (const [event, callback] of Object.entries(listeners))
+        this.off(event, callback);
+    };
+  }
+
+  get [hooks.active]() {
+    return !!this.#transaction;
+  }
+
+  [hooks.begin]() {
+    if (this.#transaction) throw new Error('A transaction is already running');
+
+    this.#transaction = {
+      collections: new Map(this.collections.map(c => [c, c[hooks.serialize]()])),
+      created: new Set(),
+      data: stringify(this.#data, this.#config.tabSize),
+      encryptedKeys: [...this.#encryptedKeys],
+      encryptionKey: this.#config.encryptionKey,
+      events: [],
+      expirations: JSON.stringify(this.#expirations)
+    };
+  }
+
+  [hooks.cascade](collection, entries) {
+    // The removals made here were planned along with the first one
+    if (this.#removing || !entries.length) return;
+
+    const { nullified, removed } = this.#planRemoval(collection, entries);
+    const origin = new Set(entries);
+
+    this.#removing = true;
+
+    try {
+      for (const [target, targetEntries] of removed)
+        if ([...targetEntries].some(entry => !origin.has(entry))) {
+          target.remove(entry => targetEntries.has(entry) && !origin.has(entry));
+          target.emit(hooks.cascaded);
+        }
+
+      for (const { collection: target, entries: targetEntries, field } of nullified) {
+        const keys = field.split('.');
+
+        target.update(entry => {
+          const parent = keys.slice(0, -1).reduce((acc, curr) => acc?.[curr], entry);
+
+          if (isObject(parent)) parent[keys[keys.length - 1]] = null;
+        }, entry => targetEntries.has(entry));
+        target.emit(hooks.cascaded);
+      }
+    } finally {
+      this.#removing = false;
+    }
+  }
+
+  // Events are held back during a transaction, and dropped if it is rolled back
+  [hooks.emit](emitter, event, payload) {
+    if (this.#transaction) this.#transaction.events.push([emitter, event, payload]);
+    else emitter.emit(event, payload);
+  }
+
+  [hooks.end](files=[]) {
+    const { events } = this.#transaction;
+
+    this.#transaction = null;
+
+    for (const [emitter, event, payload] of events)
+      emitter.emit(event, payload);
+
+    for (const file of files) {
+      file.source[hooks.written](file.data);
+      file.source.emit('save');
+    }
+  }
+
+  [hooks.files]() {
+    const data = stringify(this.#data, this.#config.tabSize);
+    const files = data !== this.#transaction.data || JSON.stringify(this.#expirations) !== this.#transaction.expirations ? [{ path: path.normalize(this.#config.dataFile), data, source: this }] : [];
+
+    for (const collection of this.collections) {
+      const file = collection[hooks.serialize]();
+
+      const snapshot = this.#transaction.collections.get(collection);
+
+      if (file.data !== snapshot?.data || file.encryptionKey !== snapshot?.encryptionKey) files.push({ path: file.path, data: file.data, source: collection });
+    }
+
+    return files;
+  }
+
+  [hooks.prepare]() {
+    if (this.#disk !== undefined) this.#sync(this.#readFile(), true);
+
+    return stringify(this.#data, this.#config.tabSize);
+  }
+
+  [hooks.rollback]() {
+    const { collections, created, data, encryptedKeys, encryptionKey, expirations } = this.#transaction;
+
+    this.#data = parse(data);
+    this.#encryptedKeys = new Set(encryptedKeys);
+    this.#config.encryptionKey = encryptionKey;
+    this.#expirations = JSON.parse(expirations);
+
+    for (const [collection, snapshot] of collections)
+      collection[hooks.restore](snapshot.data, snapshot.encryptionKey);
+
+    for (const collection of this.collections.filter(c => !collections.has(c))) {
+      collection.close();
+
+      if (created.has(collection)) this.#deleteCollectionFiles(collection.name);
+    }
+
+    this.collections = this.collections.filter(c => collections.has(c));
+    this.#transaction = null;
+  }
+
+  // The stored collections with encrypted fields are loaded with the old key, so that their files are rewritten too
+  [hooks.rotate](oldKey, newKey) {
+    if (!this.#config.encryptionKey) throw new Error('Missing Encryption Key');
+    else if (oldKey !== this.#config.encryptionKey) throw new Error('The provided old key is not the Encryption Key of the database');
+
+    this.#validateEncryptionKey(newKey);
+
+    for (const stored of this.#storedCollections())
+      if (!this.collections.some(c => c.name === stored) && this.#readCollectionOptions(stored).options?.encryptedFields?.length)
+        this.getCollection(stored);
+
+    const data = clone(this.#data);
+
+    for (const key of this.#encryptedKeys) {
+      const keys = key.split('.');
+      const parent = keys.slice(0, -1).reduce((acc, curr) => acc?.[curr], data);
+      const last = keys[keys.length - 1];
+
+      if (typeof parent?.[last] === 'string') parent[last] = this.#encrypt(this.#decrypt(parent[last]), newKey);
+    }
+
+    this.#data = data;
+    this.#config.encryptionKey = newKey;
+
+    for (const collection of this.collections)
+      collection[hooks.rotate](oldKey, newKey);
+  }
+
+  [hooks.unexpired](key, value) {
+    const now = Date.now();
+    const prefix = key === null ? '' : key + '.';
+
+    if (key !== null && this.#expiresAt(key) <= now) return undefined;
+
+    const expired = Object.keys(this.#expirations).filter(k => k.startsWith(prefix) && this.#expirations[k] <= now);
+
+    if (!expired.length || !isObject(value)) return value;
+
+    const copy = clone(value);
+
+    for (const k of expired)
+      k.slice(prefix.length).split('.').reduce((o, curr, i, arr) => {
+        if (i === arr.length-1) delete o?.[curr];
+        else return o?.[curr];
+      }, copy);
+
+    return copy;
+  }
+
+  [hooks.written](data) {
+    if (this.#disk !== undefined) this.#disk = stringify(parse(data));
+
+    this.#changes.saved();
+
+    const expirationsFile = path.normalize(this.#config.dataFile) + '.ttl';
+    const metadataFile = metadataPath(this.#config.dataFile);
+    const metadata = this.#storage.read(metadataFile);
+    const newMetadata = updateMetadata(metadata, { encryptedKeys: this.#encryptedKeys.size ? [...this.#encryptedKeys] : undefined });
+
+    if (Object.keys(this.#expirations).length) this.#storage.write(expirationsFile, JSON.stringify(this.#expirations));
+    else this.#deleteFile(expirationsFile);
+
+    if (newMetadata !== (metadata ?? '{}')) this.#storage.write(metadataFile, newMetadata);
+  }
+
 
 
   /* ==================== Private Methods ==================== */
 
   #checkJSON() {
     try {
-      const fileContent = FS.readFileSync(path.normalize(this.#config.dataFile), 'utf8');
+      const fileContent = this.#storage.read(path.normalize(this.#config.dataFile));
 
-      this.#data = (!fileContent || !isObject(JSON.parse(fileContent))) ? {} : this.#fetchData();
+      this.#data = (!fileContent || !isObject(parse(fileContent))) ? {} : this.#fetchData();
     } catch(e) {
       if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
-      else if (e.code === 'ENOENT') this.#data = {};
+      else if (!(e instanceof SyntaxError)) throw e;
+    }
+  }
+
+  #checkNewName(name, newName, action) {
+    if (!isValidKey(newName)) throw new TypeError('The provided new name is invalid');
+
+    const collection = this.getCollection(name);
+
+    if (!collection) throw new Error('The provided collection does not exist');
+    else if (this.collections.some(c => c.name === newName) || this.#storedCollections().includes(newName)) throw new Error('A collection with the provided name already exists');
+    else if (this.#transaction) throw new Error(`Collections cannot be ${action} during a transaction`);
+
+    return collection;
+  }
+
+  #checkSweepInterval(interval) {
+    if (!Number.isInteger(interval) || interval <= 0) throw new TypeError('The sweepInterval option must be a positive number of milliseconds');
+  }
+
+  #clearEncryptedKeys(key) {
+    for (const k of this.#encryptedKeys)
+      if (k === key || k.startsWith(key + '.')) this.#encryptedKeys.delete(k);
+  }
+
+  #clearExpirations(key) {
+    for (const k of Object.keys(this.#expirations))
+      if (k === key || k.startsWith(key + '.')) delete this.#expirations[k];
+  }
+
+  #commit(files) {
+    this.#withLock(files.map(f => f.path), () => {
+      for (const file of files)
+        if (file.source) file.data = file.source[hooks.prepare]();
+
+      commitFiles(files, path.normalize(this.#config.dataFile) + '.journal', this.#storage);
+    });
+  }
+
+  #copyCollectionFiles(name, newName) {
+    for (const extension of ['.json', '.json.log']) {
+      const data = this.#storage.read(path.join(this.#config.collectionsFolder, name + extension));
+
+      if (data !== null) this.#storage.write(path.join(this.#config.collectionsFolder, newName + extension), data);
     }
   }
 
   // @vlucas, https://gist.github.com/vlucas/2bd40f62d20c1d49237a109d491974eb
-  #decrypt(string) {
+  #decrypt(string, key=this.#config.encryptionKey) {
     try {
       this.#validateBeforeDecrypt(string);
       const stringParts = string.split(':');
       const iv = Buffer.from(stringParts.shift(), 'hex');
       const encryptedText = Buffer.from(stringParts.join(':'), 'hex');
-      const decipher = crypto.createDecipheriv('aes-256-ctr', Buffer.from(this.#config.encryptionKey), iv);
+      const decipher = crypto.createDecipheriv('aes-256-ctr', Buffer.from(key), iv);
       const decrypted = Buffer.concat([decipher.update(encryptedText), decipher.final()]);
 
       return decrypted.toString();
@@ -270,18 +843,44 @@ class Database {
     }
   }
 
+  #deleteCollectionFiles(name) {
+    for (const extension of ['.json', '.json.log', '.json.meta'])
+      this.#deleteFile(path.join(this.#config.collectionsFolder, name + extension));
+  }
+
   #deleteFile(path) {
     try {
-      FS.unlinkSync(path);
+      this.#storage.delete(path);
     } catch(e) {}
   }
 
+  #describe(name) {
+    const filePath = path.join(this.#config.collectionsFolder, name + '.json');
+    const [snapshot, log] = [filePath, filePath + '.log'].map(file => this.#storage.read(file));
+    const size = Buffer.byteLength(snapshot ?? '') + Buffer.byteLength(log ?? '');
+    const collection = this.collections.find(c => c.name === name);
+
+    if (collection) return { name, entries: collection.entries, size };
+
+    let entries;
+
+    try {
+      entries = parse(snapshot ?? '[]');
+    } catch (e) {
+      entries = [];
+    }
+
+    if (Array.isArray(entries) && log !== null) entries = replayLog(entries, snapshot, log) ?? entries;
+
+    return { name, entries: Array.isArray(entries) ? entries.length : 0, size };
+  }
+
   // @vlucas, https://gist.github.com/vlucas/2bd40f62d20c1d49237a109d491974eb
-  #encrypt(string) {
+  #encrypt(string, key=this.#config.encryptionKey) {
     try {
       this.#validateBeforeEncrypt(string);
       const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv('aes-256-ctr', Buffer.from(this.#config.encryptionKey), iv);
+      const cipher = crypto.createCipheriv('aes-256-ctr', Buffer.from(key), iv);
       const encrypted = Buffer.concat([cipher.update(string), cipher.final()]);
 
       return iv.toString('hex') + ':' + encrypted.toString('hex');
@@ -291,15 +890,26 @@ class Database {
     }
   }
 
+  // A key expires with the first of itself and its parents to expire
+  #expiresAt(key) {
+    const keys = key.split('.');
+
+    return Math.min(...keys.map((_, i) => this.#expirations[keys.slice(0, i + 1).join('.')] ?? Infinity));
+  }
+
   #fetchData() {
     try {
-      return JSON.parse(FS.readFileSync(path.normalize(this.#config.dataFile), 'utf8'));
-    } catch (e) {
-      if (e.code === 'ENOENT') {
-        FS.writeFileSync(path.normalize(this.#config.dataFile), '{}');
+      const fileContent = this.#storage.read(path.normalize(this.#config.dataFile));
+
+      if (fileContent === null) {
+        this.#storage.write(path.normalize(this.#config.dataFile), '{}');
         return {};
       }
-      else if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
+
+      return parse(fileContent);
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
+      else if (!(e instanceof SyntaxError)) throw e;
     }
   }
 
@@ -312,13 +922,240 @@ class Database {
     if (typeof value !== 'number') throw new TypeError('The provided value must be a number');
     else if (['undefined', 'number'].every(t => typeof existingData !== t)) throw new TypeError('The value of the provided key must be a number');
 
-    this.set(key, operation === 'add' ? existingData + value : existingData - value);
+    this.#set(key, operation === 'add' ? existingData + value : existingData - value);
 
-    if (this.#config.autoSave) this.save();
+    this.#persist();
 
     return this.get(key.split('.')[0]);
   }
 
+  #moveEncryptedKeys(key, newKey) {
+    for (const k of [...this.#encryptedKeys])
+      if (k === key || k.startsWith(key + '.')) {
+        this.#encryptedKeys.delete(k);
+        this.#encryptedKeys.add(newKey + k.slice(key.length));
+      }
+  }
+
+  #moveExpirations(key, newKey) {
+    for (const k of Object.keys(this.#expirations))
+      if (k === key || k.startsWith(key + '.')) {
+        this.#expirations[newKey + k.slice(key.length)] = this.#expirations[k];
+        delete this.#expirations[k];
+      }
+  }
+
+  // Other storages do not keep their files in actual folders
+  #onDisk(storage=this.#config.storage) {
+    return !storage || storage instanceof JSONStorage;
+  }
+
+  #openCollection(name, { defaultValues={}, indexes=[], options={} }) {
+    const collection = this.createCollection(name, defaultValues, options);
+
+    for (const index of indexes)
+      if (!collection.listIndexes().some(i => i.name === index.name)) collection.createIndex(index.fields, index);
+
+    return collection;
+  }
+
+  #planRemoval(collection, entries, plan={ nullified: [], removed: new Map() }) {
+    if (!plan.removed.has(collection)) plan.removed.set(collection, new Set());
+
+    for (const entry of entries)
+      plan.removed.get(collection).add(entry);
+
+    for (const { collection: target, field, key, onDelete } of this.#referencing(collection.name)) {
+      const values = new Set(entries.map(entry => getPath(entry, key)).filter(value => value !== undefined && value !== null));
+      const referencing = values.size ? target.getMany(entry => [].concat(getPath(entry, field)).some(value => values.has(value))).filter(entry => !plan.removed.get(target)?.has(entry)) : [];
+
+      if (!referencing.length) continue;
+      else if (onDelete === 'restrict') throw new Error(`The entries cannot be removed as entries of the ${target.name} collection reference them`);
+      else if (onDelete === 'cascade') this.#planRemoval(target, referencing, plan);
+      else plan.nullified.push({ collection: target, entries: new Set(referencing), field });
+    }
+
+    return plan;
+  }
+
+  #persist() {
+    if (!this.#transaction) this.#changes.change();
+  }
+
+  // The patterns of the schema are saved as their source and flags
+  #readCollectionOptions(name) {
+    const isRegExp = value => isObject(value) && Object.keys(value).length === 2 && typeof value.source === 'string' && typeof value.flags === 'string';
+
+    try {
+      const saved = JSON.parse(this.#storage.read(path.join(this.#config.collectionsFolder, name + '.json.meta')), (key, value) => key === 'pattern' && isRegExp(value) ? new RegExp(value.source, value.flags) : value);
+
+      return isObject(saved) ? saved : {};
+    } catch (e) {
+      if (e instanceof DecryptionError) throw e;
+
+      return {};
+    }
+  }
+
+  #readEncryptedKeys() {
+    const { encryptedKeys } = readMetadata(this.#storage.read(metadataPath(this.#config.dataFile)));
+
+    return Array.isArray(encryptedKeys) ? encryptedKeys.filter(key => isValidKey(key)) : [];
+  }
+
+  #readExpirations() {
+    try {
+      const expirations = JSON.parse(this.#storage.read(path.normalize(this.#config.dataFile) + '.ttl'));
+
+      this.#expirations = isObject(expirations) ? expirations : {};
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
+      else if (e instanceof DecryptionError) throw e;
+
+      this.#expirations = {};
+    }
+
+    if (Object.keys(this.#expirations).length) this.#startSweeper();
+  }
+
+  #readFile() {
+    try {
+      const fileContent = this.#storage.read(path.normalize(this.#config.dataFile));
+
+      return fileContent === null ? null : stringify(parse(fileContent));
+    } catch (e) {
+      if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
+      else if (!(e instanceof SyntaxError)) throw e;
+
+      // A missing or half-written file holds no changes to bring in
+      return null;
+    }
+  }
+
+  #referencing(name) {
+    for (const stored of this.#storedCollections())
+      if (!this.collections.some(c => c.name === stored) && Object.values(this.#readCollectionOptions(stored).options?.refs ?? {}).some(ref => ref?.ref === name))
+        this.getCollection(stored);
+
+    return this.collections.flatMap(collection => Object.entries(collection[hooks.options]().options.refs)
+      .filter(([, ref]) => ref.ref === name)
+      .map(([field, ref]) => ({ collection, field, key: ref.field ?? '_id', onDelete: ref.onDelete ?? 'restrict' })));
+  }
+
+  // Changes of the file noticed during a transaction are brought in when it commits
+  #reload() {
+    if (this.#transaction) return;
+
+    try {
+      this.#sync(this.#readFile());
+    } catch (e) {
+      emitError(this, e);
+    }
+  }
+
+  #set(key, value, expiresAt) {
+    const keys = key.split('.');
+    const oldValue = this.get(key);
+    const expirationChanged = expiresAt !== undefined && (expiresAt !== null || Object.keys(this.#expirations).some(k => k === key || k.startsWith(key + '.')));
+
+    if (expiresAt !== undefined) {
+      this.#clearExpirations(key);
+
+      if (expiresAt !== null) {
+        this.#expirations[key] = expiresAt;
+        this.#startSweeper();
+      }
+    }
+
+    if (oldValue !== value) {
+      const objectDotNotation = (object, Ks) => {
+        if (Ks.length === 1)
+          object[Ks[0]] = value;
+        else {
+          if (!isObject(object[Ks[0]])) object[Ks[0]] = {};
+          
+          object[Ks[0]] = { ...object[Ks[0]] };
+          objectDotNotation(object[Ks[0]], Ks.slice(1));
+        }
+      };
+
+      objectDotNotation(this.#data, keys);
+
+      this[hooks.emit](this, 'set', { key, oldValue, newValue: this.get(key) });
+    }
+
+    if (oldValue !== value || expirationChanged) this.#persist();
+
+    return this.get(keys[0]);
+  }
+
+  #startSweeper() {
+    if (!this.#sweeper) this.#sweeper = setInterval(() => {
+      try {
+        this.#sweep();
+      } catch (e) {
+        emitError(this, e);
+      }
+    }, this.#config.sweepInterval).unref();
+  }
+
+  #storedCollections() {
+    return this.#storage.list(this.#config.collectionsFolder).filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).filter(isValidKey);
+  }
+
+  #sweep() {
+    if (this.#transaction) return;
+
+    const now = Date.now();
+    const expired = Object.keys(this.#expirations).filter(k => this.#expirations[k] <= now).sort((a, b) => a.length - b.length);
+
+    if (!expired.length) return;
+
+    for (const key of expired) {
+      const value = key.split('.').reduce((acc, curr) => acc?.[curr], this.#data);
+
+      key.split('.').reduce((o, curr, i, arr) => {
+        if (i === arr.length-1) delete o?.[curr];
+        else return o?.[curr];
+      }, this.#data);
+
+      this.#clearEncryptedKeys(key);
+      this.#clearExpirations(key);
+
+      if (value !== undefined) this.emit('expired', { key, value });
+    }
+
+    this.#persist();
+  }
+
+  // Unsaved changes rejected by the onConflict option are kept until they are saved, which then fails
+  #sync(content, saving=false) {
+    if (content === null || content === this.#disk) return;
+
+    const ours = this.#data;
+    const theirs = parse(content);
+    let data = theirs;
+
+    if (stringify(ours) !== this.#disk)
+      try {
+        data = resolveConflict(this.#config.onConflict, { base: parse(this.#disk), ours, theirs, file: path.normalize(this.#config.dataFile) });
+      } catch (e) {
+        if (saving || !(e instanceof ConflictError)) throw e;
+
+        return;
+      }
+
+    this.#disk = content;
+
+    if (stringify(data) !== stringify(ours)) {
+      this.#data = isObject(data) ? data : {};
+      this.emit('reload', { oldValue: ours, newValue: this.#data });
+    }
+
+    for (const key of this.#readEncryptedKeys())
+      this.#encryptedKeys.add(key);
+  }
+
   #validateBeforeDecrypt(value) {
     if (typeof value !== 'string') throw new TypeError('The provided value must be a string to be decrypted');
     else if (value.split(':').length !== 2 || value.includes(' ')) throw new TypeError('The provided value could not be decrypted as it was not encrypted before');
@@ -354,6 +1191,10 @@ class Database {
       if (e.code === 'EACCES') throw new Error('The database file could not be accessed');
     }
   }
+
+  #withLock(paths, callback) {
+    return this.#config.lock && this.#storage.lock ? this.#storage.lock(paths, this.#config.lock, callback) : callback();
+  }
 }
 
 module.exports = Database;
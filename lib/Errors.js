@@ -0,0 +1,43 @@
+'use strict';
+
+const { stringify } = require('./Serialization');
+
+class ConflictError extends Error {
+  constructor(file) {
+    super(`The file ${file} was changed by another process and the changes conflict with the unsaved ones`);
+
+    this.name = 'ConflictError';
+    this.file = file;
+  }
+}
+
+class DecryptionError extends Error {
+  constructor(file) {
+    super(`The file ${file} could not be decrypted, it was either modified, not encrypted or encrypted with another key`);
+
+    this.name = 'DecryptionError';
+    this.file = file;
+  }
+}
+
+class DuplicateKeyError extends Error {
+  constructor(fields, value, entry) {
+    super(`The value ${stringify(value)} of the unique field${fields.length > 1 ? 's' : ''} ${fields.join(', ')} already exists in the entry ${stringify(entry)}`);
+
+    this.name = 'DuplicateKeyError';
+    this.fields = fields;
+    this.value = value;
+    this.entry = entry;
+  }
+}
+
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    super('The entry does not match the schema of the collection:\n' + errors.map(e => `- ${e.path} ${e.message}`).join('\n'));
+
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+module.exports = { ConflictError, DecryptionError, DuplicateKeyError, SchemaValidationError };
\ No newline at end of file
@@ -0,0 +1,108 @@
+'use strict';
+
+const { getPath } = require('./Query');
+const { clone, stringify } = require('./Serialization');
+const { isObject } = require('./Utils');
+
+const directions = { '1': 1, '-1': -1, asc: 1, desc: -1 };
+
+function applyFindOptions(entries, options) {
+  const sort = Object.entries(options.sort ?? {}).map(([field, direction]) => [field, directions[direction]]);
+
+  let result = sort.length ? [...entries].sort((a, b) => compareBy(sort, a, b)) : entries;
+
+  // Only the entries strictly after the cursor are kept, so the sort should end with a unique field
+  if (options.after !== undefined) result = result.filter(entry => compareBy(sort, entry, options.after) > 0);
+
+  if (options.skip !== undefined || options.limit !== undefined)
+    result = result.slice(options.skip ?? 0, options.limit === undefined ? undefined : (options.skip ?? 0) + options.limit);
+
+  return options.select ? result.map(entry => project(entry, options.select)) : result;
+}
+
+function checkFindOptions(options) {
+  if (!isObject(options)) throw new TypeError('The options parameter must be an object');
+
+  const { sort, skip, limit, select, after } = options;
+
+  if (sort !== undefined && (!isObject(sort) || !Object.values(sort).every(d => Object.prototype.hasOwnProperty.call(directions, d))))
+    throw new TypeError('The sort option must be an object whose values are 1, -1, "asc" or "desc"');
+  else if (skip !== undefined && (!Number.isInteger(skip) || skip < 0)) throw new TypeError('The skip option must be a non-negative integer');
+  else if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) throw new TypeError('The limit option must be a non-negative integer');
+  else if (after !== undefined && (!isObject(after) || !Object.keys(sort ?? {}).length)) throw new TypeError('The after option must be an object and requires the sort option');
+
+  if (select === undefined) return;
+  else if (Array.isArray(select)) {
+    if (!select.every(field => typeof field === 'string')) throw new TypeError('The select option must be an array of fields or an object');
+  }
+  else if (!isObject(select)) throw new TypeError('The select option must be an array of fields or an object');
+  else if (new Set(Object.values(select).map(v => !!v)).size > 1) throw new TypeError('The select option cannot mix included and excluded fields');
+}
+
+function compare(a, b) {
+  const rankA = rank(a), rankB = rank(b);
+
+  if (rankA !== rankB) return rankA - rankB;
+  else if (rankA === 3 || rankA === 4) return compare(stringify(a), stringify(b));
+
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function compareBy(sort, a, b) {
+  for (const [field, direction] of sort) {
+    const result = compare(getPath(a, field), getPath(b, field));
+
+    if (result) return result * direction;
+  }
+
+  return 0;
+}
+
+function project(entry, select) {
+  const fields = Array.isArray(select) ? select : Object.keys(select);
+
+  if (!Array.isArray(select) && fields.length && !Object.values(select)[0]) {
+    const copy = clone(entry);
+
+    for (const field of fields) {
+      const keys = field.split('.');
+      const parent = keys.length === 1 ? copy : getPath(copy, keys.slice(0, -1).join('.'));
+
+      if (isObject(parent)) delete parent[keys[keys.length - 1]];
+    }
+
+    return copy;
+  }
+
+  const projection = {};
+
+  for (const field of fields) {
+    const value = getPath(entry, field);
+
+    if (value === undefined) continue;
+
+    const keys = field.split('.');
+    const parent = keys.slice(0, -1).reduce((acc, key) => acc[key] = acc[key] ?? {}, projection);
+
+    parent[keys[keys.length - 1]] = clone(value);
+  }
+
+  return projection;
+}
+
+// Values of different types are ordered like null < numbers < strings < objects < arrays < booleans
+function rank(value) {
+  if (value === undefined || value === null) return 0;
+  else if (typeof value === 'number' || typeof value === 'bigint') return 1;
+  else if (typeof value === 'string') return 2;
+  else if (Array.isArray(value)) return 4;
+  else if (typeof value === 'object') return 3;
+
+  return 5;
+}
+
+module.exports = { applyFindOptions, checkFindOptions, compare };
\ No newline at end of file
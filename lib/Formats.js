@@ -0,0 +1,165 @@
+'use strict';
+
+const path = require('path');
+const { parse, stringify } = require('./Serialization');
+const { isObject } = require('./Utils');
+
+// In CSV files strings are always quoted, so that the cells that are not quoted can hold the other JSON values
+
+const extensions = { '.csv': 'csv', '.jsonl': 'ndjson', '.ndjson': 'ndjson' };
+
+function formatEntries(entries, format, tabSize=0) {
+  if (format === 'json') return stringify(entries, tabSize);
+  else if (format === 'ndjson') return entries.map(entry => stringify(entry) + '\n').join('');
+
+  if (!entries.length) return '';
+
+  const rows = entries.map(flattenEntry);
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  return [
+    columns.map(quote).join(','),
+    ...rows.map(row => columns.map(column => !Object.prototype.hasOwnProperty.call(row, column) ? '' : typeof row[column] === 'string' ? quote(row[column]) : JSON.stringify(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+function parseEntries(content, format, filePath) {
+  if (format === 'json') {
+    const entries = parseJSON(content, `The file ${filePath} is not valid JSON`);
+
+    if (!Array.isArray(entries)) throw new Error(`The file ${filePath} must hold an array of entries`);
+
+    return entries;
+  }
+  else if (format === 'ndjson')
+    return content.split(/\r?\n/).map((line, i) => [line, i]).filter(([line]) => line.trim()).map(([line, i]) => parseJSON(line, `The line ${i+1} of ${filePath} is not valid JSON`));
+
+  const [header=[], ...rows] = parseCSV(content, filePath);
+  const columns = header.map(cell => cell.value);
+
+  if (columns.some(column => column.split('.').includes('__proto__'))) throw new Error(`The file ${filePath} has an invalid column`);
+
+  return rows.map((row, i) => {
+    if (row.length > columns.length) throw new Error(`The row ${i+2} of ${filePath} has more cells than its header`);
+
+    // Empty cells that are not quoted are fields the entry does not have
+    const fields = row.map((cell, j) => [columns[j], parseCell(cell)]);
+
+    return unflattenEntry(fields.filter(([, value]) => value !== undefined));
+  });
+}
+
+function resolveFormat(options, filePath='') {
+  if (!isObject(options)) throw new TypeError('The options parameter must be an object');
+
+  const format = options.format ?? extensions[path.extname(filePath).toLowerCase()] ?? 'json';
+
+  if (!['csv', 'json', 'ndjson'].includes(format)) throw new TypeError('The format option must be "csv", "ndjson" or "json"');
+
+  return format;
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function flattenEntry(entry) {
+  const fields = {};
+
+  (function flatten(value, prefix) {
+    if (value && typeof value === 'object' && Object.keys(value).length)
+      for (const [key, child] of Object.entries(value))
+        flatten(child, prefix ? `${prefix}.${key}` : key);
+    else if (prefix)
+      fields[prefix] = value;
+  })(JSON.parse(stringify(entry)), '');
+
+  return fields;
+}
+
+function parseCell(cell) {
+  if (cell.quoted) return cell.value;
+  else if (cell.value === '') return undefined;
+
+  try {
+    return JSON.parse(cell.value);
+  } catch (e) {
+    return cell.value;
+  }
+}
+
+function parseCSV(content, filePath) {
+  const rows = [];
+  let row = [], cell = { value: '', quoted: false }, inQuotes = false;
+
+  for (var i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i+1] === '"') cell.value += content[i++];
+      else if (char === '"') inQuotes = false;
+      else cell.value += char;
+    }
+    else if (char === '"' && !cell.value) inQuotes = cell.quoted = true;
+    else if (char === ',' || char === '\n' || char === '\r') {
+      row.push(cell);
+      cell = { value: '', quoted: false };
+
+      if (char === ',') continue;
+      else if (char === '\r' && content[i+1] === '\n') i++;
+
+      rows.push(row);
+      row = [];
+    }
+    else cell.value += char;
+  }
+
+  if (inQuotes) throw new Error(`The file ${filePath} has a quoted cell that is never closed`);
+
+  rows.push([...row, cell]);
+
+  return rows.filter(r => r.length > 1 || r[0].quoted || r[0].value);
+}
+
+function parseJSON(text, message) {
+  try {
+    return parse(text);
+  } catch (e) {
+    throw new Error(message);
+  }
+}
+
+function quote(value) {
+  return `"${value.replace(/"/g, '""')}"`;
+}
+
+// Nested objects whose keys are 0, 1, 2... were arrays
+function unflattenEntry(fields) {
+  const entry = {};
+
+  for (const [field, value] of fields)
+    field.split('.').reduce((o, key, i, keys) => {
+      if (i === keys.length-1) o[key] = value;
+      else if (!o[key] || typeof o[key] !== 'object') o[key] = {};
+
+      return o[key];
+    }, entry);
+
+  const toArrays = value => {
+    if (!value || typeof value !== 'object') return value;
+
+    const keys = Object.keys(value);
+
+    for (const key of keys)
+      value[key] = toArrays(value[key]);
+
+    return keys.length && keys.every((key, i) => key === String(i)) ? Object.values(value) : value;
+  };
+
+  for (const key of Object.keys(entry))
+    entry[key] = toArrays(entry[key]);
+
+  return parse(JSON.stringify(entry));
+}
+
+module.exports = { formatEntries, parseEntries, resolveFormat };
\ No newline at end of file
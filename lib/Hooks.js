@@ -0,0 +1,26 @@
+'use strict';
+
+// Symbols the classes use to drive each other, kept out of their public surface
+module.exports = {
+  active: Symbol('transaction.active'),
+  begin: Symbol('transaction.begin'),
+  cascade: Symbol('references.cascade'),
+  cascaded: Symbol('references.cascaded'),
+  discard: Symbol('save.discard'),
+  emit: Symbol('transaction.emit'),
+  end: Symbol('transaction.end'),
+  files: Symbol('transaction.files'),
+  idle: Symbol('transaction.idle'),
+  journal: Symbol('save.journal'),
+  logged: Symbol('save.logged'),
+  options: Symbol('collection.options'),
+  populate: Symbol('references.populate'),
+  prepare: Symbol('save.prepare'),
+  replay: Symbol('save.replay'),
+  restore: Symbol('transaction.restore'),
+  rollback: Symbol('transaction.rollback'),
+  rotate: Symbol('encryption.rotate'),
+  serialize: Symbol('transaction.serialize'),
+  unexpired: Symbol('ttl.unexpired'),
+  written: Symbol('save.written')
+};
\ No newline at end of file
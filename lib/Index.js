@@ -0,0 +1,170 @@
+'use strict';
+
+const { getPath } = require('./Query');
+const { stringify } = require('./Serialization');
+
+class Index {
+  #keys;
+  #map;
+  #sorted;
+
+  constructor(fields, options={}) {
+    this.fields = fields;
+    this.name = options.name ?? fields.join('_');
+    this.unique = !!options.unique;
+
+    this.#keys = new Map();
+    this.#map = new Map();
+    this.#sorted = null;
+  }
+
+
+  add(entry) {
+    const keys = this.keysOf(entry);
+
+    for (const key of keys) {
+      if (!this.#map.has(key)) {
+        this.#map.set(key, new Set());
+        this.#sorted = null;
+      }
+
+      this.#map.get(key).add(entry);
+    }
+
+    this.#keys.set(entry, keys);
+  }
+
+  build(entries) {
+    this.clear();
+
+    for (var i = 0; i < entries.length; i++)
+      this.add(entries[i]);
+  }
+
+  clear() {
+    this.#keys.clear();
+    this.#map.clear();
+    this.#sorted = null;
+  }
+
+  // Entries missing any of the fields never conflict
+  conflictOf(entry) {
+    if (this.fields.some(field => getPath(entry, field) === undefined)) return null;
+
+    for (const key of this.keysOf(entry))
+      for (const other of this.#map.get(key) ?? [])
+        if (other !== entry) return other;
+
+    return null;
+  }
+
+  delete(entry) {
+    const keys = this.#keys.get(entry);
+
+    if (!keys) return false;
+
+    for (const key of keys) {
+      const set = this.#map.get(key);
+
+      set.delete(entry);
+
+      if (!set.size) {
+        this.#map.delete(key);
+        this.#sorted = null;
+      }
+    }
+
+    return this.#keys.delete(entry);
+  }
+
+  find(values) {
+    const key = this.fields.length === 1 ? normalize(values[0]) : stringify(values.map(v => v ?? null));
+
+    return [...(this.#map.get(key) ?? [])];
+  }
+
+  range({ $gt, $gte, $lt, $lte }) {
+    const lower = $gt ?? $gte;
+    const upper = $lt ?? $lte;
+    const type = typeof (lower ?? upper);
+    const keys = this.#sortedKeys(type);
+
+    let start = lower === undefined ? 0 : lowerBound(keys, lower);
+
+    if ($gt !== undefined) while (start < keys.length && keys[start] === $gt) start++;
+
+    const result = [];
+
+    for (var i = start; i < keys.length; i++) {
+      if ($lt !== undefined && keys[i] >= $lt) break;
+      else if ($lte !== undefined && keys[i] > $lte) break;
+
+      result.push(...this.#map.get(keys[i]));
+    }
+
+    return result;
+  }
+
+  keysOf(entry) {
+    const values = this.fields.map(field => getPath(entry, field));
+
+    if (this.fields.length === 1) return [...new Set(expand(values[0]).map(normalize))];
+
+    // Arrays are indexed as a whole and by each of their elements, like in single field indexes
+    return [...new Set(values.reduce((combinations, value) => combinations.flatMap(c => expand(value).map(v => [...c, v ?? null])), [[]]).map(c => stringify(c)))];
+  }
+
+  toJSON() {
+    return { name: this.name, fields: this.fields, ...(this.unique ? { unique: true } : {}) };
+  }
+
+  update(entry) {
+    this.delete(entry);
+    this.add(entry);
+  }
+
+
+
+  /* ==================== Private Methods ==================== */
+
+  #sortedKeys(type) {
+    if (!this.#sorted) {
+      const keys = [...this.#map.keys()];
+
+      this.#sorted = {
+        number: keys.filter(k => typeof k === 'number').sort((a, b) => a - b),
+        string: keys.filter(k => typeof k === 'string' && !k.startsWith('\u0000')).sort()
+      };
+    }
+
+    return this.#sorted[type] ?? [];
+  }
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function expand(value) {
+  return Array.isArray(value) ? [value, ...value] : [value];
+}
+
+function lowerBound(keys, value) {
+  let low = 0, high = keys.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+
+    if (keys[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+// Objects and arrays are keyed by their JSON, prefixed so they can never collide with a string value
+function normalize(value) {
+  return value !== null && typeof value === 'object' ? '\u0000' + stringify(value) : value;
+}
+
+module.exports = Index;
\ No newline at end of file
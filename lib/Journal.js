@@ -0,0 +1,44 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { parse } = require('./Serialization');
+
+// The header of a log holds the checksum of the JSON file (the snapshot) it was started on
+function checksum(data) {
+  return createHash('sha1').update(data).digest('hex');
+}
+
+function replayLog(entries, snapshot, log) {
+  const [header, ...lines] = log.split('\n');
+
+  try {
+    if (JSON.parse(header).snapshot !== checksum(snapshot)) return null;
+  } catch (e) {
+    return null;
+  }
+
+  for (const line of lines) {
+    let change;
+
+    // The last line is empty, or half-written if the process exited while appending it
+    try {
+      change = parse(line);
+    } catch (e) {
+      if (e instanceof SyntaxError) continue;
+
+      throw e;
+    }
+
+    if (change.op === 'create') entries.push(...change.entries);
+    else if (change.op === 'update') change.positions.forEach((position, i) => entries[position] = change.entries[i]);
+    else if (change.op === 'remove') {
+      const removed = new Set(change.positions);
+
+      entries = entries.filter((_, i) => !removed.has(i));
+    }
+  }
+
+  return entries;
+}
+
+module.exports = { checksum, replayLog };
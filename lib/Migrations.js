@@ -0,0 +1,51 @@
+'use strict';
+
+const path = require('path');
+
+function metadataPath(dataFile) {
+  return path.normalize(dataFile) + '.meta';
+}
+
+function planMigrations(migrations, current, version) {
+  if (!Array.isArray(migrations) || migrations.some(m => !m || !Number.isInteger(m.version) || m.version <= 0 || typeof m.up !== 'function' || (m.down !== undefined && typeof m.down !== 'function')))
+    throw new TypeError('The migrations must be an array of objects with a version (positive integer), an up function and an optional down function');
+
+  const sorted = [...migrations].sort((a, b) => a.version - b.version);
+
+  if (sorted.some((m, i) => i && m.version === sorted[i-1].version)) throw new Error('Every migration must have a different version');
+
+  const target = version ?? Math.max(current, sorted[sorted.length-1]?.version ?? 0);
+
+  if (!Number.isInteger(target) || target < 0) throw new TypeError('The provided version must be a positive integer or 0');
+  else if (target && target !== current && !sorted.some(m => m.version === target)) throw new Error(`There is no migration with the version ${target}`);
+
+  if (target >= current) return { steps: sorted.filter(m => m.version > current && m.version <= target).map(m => m.up), version: target };
+
+  const rolledBack = sorted.filter(m => m.version > target && m.version <= current).reverse();
+  const irreversible = rolledBack.find(m => !m.down);
+
+  if (irreversible) throw new Error(`The migration with the version ${irreversible.version} cannot be rolled back as it has no down function`);
+
+  return { steps: rolledBack.map(m => m.down), version: target };
+}
+
+function readMetadata(content) {
+  try {
+    const metadata = JSON.parse(content);
+
+    return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function readSchemaVersion(content) {
+  return readMetadata(content).schemaVersion ?? 0;
+}
+
+// Undefined fields are removed
+function updateMetadata(content, fields) {
+  return JSON.stringify({ ...readMetadata(content), ...fields });
+}
+
+module.exports = { metadataPath, planMigrations, readMetadata, readSchemaVersion, updateMetadata };
\ No newline at end of file
@@ -0,0 +1,111 @@
+'use strict';
+
+const { stringify } = require('./Serialization');
+const { isObject } = require('./Utils');
+
+const comparisonOperators = {
+  $eq: (value, expected) => equals(value, expected),
+  $ne: (value, expected) => !equals(value, expected),
+  $gt: (value, expected) => comparable(value, expected) && value > expected,
+  $gte: (value, expected) => comparable(value, expected) && value >= expected,
+  $lt: (value, expected) => comparable(value, expected) && value < expected,
+  $lte: (value, expected) => comparable(value, expected) && value <= expected,
+  $in: (value, expected) => expected.some(e => matches(value, e)),
+  $nin: (value, expected) => !expected.some(e => matches(value, e)),
+  $exists: (value, expected) => (value !== undefined) === !!expected
+};
+
+function compileFilter(filter) {
+  if (typeof filter === 'function') return filter;
+  else if (!isObject(filter)) throw new TypeError('The provided parameter must be a function or a query object');
+
+  return compileQuery(filter);
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((acc, curr) => acc?.[curr], object);
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+// Dates are compared by their time, and BigInts with numbers
+function comparable(a, b) {
+  const type = value => value instanceof Date ? 'date' : typeof value === 'bigint' ? 'number' : typeof value;
+
+  return type(a) === type(b) && ['date', 'number', 'string'].includes(type(a));
+}
+
+function compileCondition(condition) {
+  if (condition instanceof RegExp) return compileRegex(condition);
+  else if (!isOperatorObject(condition)) return value => matches(value, condition);
+
+  const checks = Object.entries(condition).map(([operator, expected]) => {
+    if (operator === '$options') return () => true;
+    else if (operator === '$regex') return compileRegex(expected instanceof RegExp ? expected : new RegExp(expected, condition.$options));
+    else if (operator === '$not') {
+      const check = compileCondition(expected);
+
+      return value => !check(value);
+    }
+    else if (!comparisonOperators[operator]) throw new TypeError(`Unknown query operator: ${operator}`);
+    else if (['$in', '$nin'].includes(operator) && !Array.isArray(expected)) throw new TypeError(`The value of the ${operator} operator must be an array`);
+
+    return value => comparisonOperators[operator](value, expected);
+  });
+
+  return value => checks.every(check => check(value));
+}
+
+// Global and sticky regexes keep their lastIndex between test() calls
+function compileRegex(regex) {
+  const copy = new RegExp(regex);
+
+  return value => {
+    copy.lastIndex = 0;
+
+    return typeof value === 'string' && copy.test(value);
+  };
+}
+
+function compileQuery(query) {
+  const checks = Object.entries(query).map(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition)) throw new TypeError(`The value of the ${key} operator must be an array`);
+
+      const queries = condition.map(q => compileFilter(q));
+
+      return key === '$and' ? entry => queries.every(q => q(entry)) : entry => queries.some(q => q(entry));
+    }
+    else if (key === '$not') {
+      const negated = compileFilter(condition);
+
+      return entry => !negated(entry);
+    }
+    else if (key.startsWith('$')) throw new TypeError(`Unknown query operator: ${key}`);
+
+    const check = compileCondition(condition);
+
+    return entry => check(getPath(entry, key));
+  });
+
+  return entry => checks.every(check => check(entry));
+}
+
+function equals(a, b) {
+  if (a === b) return true;
+  else if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+  return stringify(a) === stringify(b);
+}
+
+function isOperatorObject(condition) {
+  return isObject(condition) && Object.keys(condition).length > 0 && Object.keys(condition).every(k => k.startsWith('$'));
+}
+
+function matches(value, expected) {
+  return equals(value, expected) || (Array.isArray(value) && value.some(v => equals(v, expected)));
+}
+
+module.exports = { compileFilter, getPath, isOperatorObject };
\ No newline at end of file
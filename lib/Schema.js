@@ -0,0 +1,92 @@
+'use strict';
+
+const { stringify } = require('./Serialization');
+const { isObject } = require('./Utils');
+
+const types = ['any', 'array', 'boolean', 'null', 'number', 'object', 'string'];
+
+function checkSchema(schema, path='') {
+  if (!isObject(schema)) throw new TypeError(`Invalid schema${path ? ` for ${path}` : ''}: it must be an object`);
+
+  for (const [key, field] of Object.entries(schema)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    const definition = normalize(field);
+
+    if (!definition) throw new TypeError(`Invalid schema for ${fieldPath}: it must be a type, an array of types or an object with a type`);
+    else if (!definition.type.every(t => types.includes(t))) throw new TypeError(`Invalid schema for ${fieldPath}: the type must be one of ${types.join(', ')}`);
+    else if (definition.enum !== undefined && !Array.isArray(definition.enum)) throw new TypeError(`Invalid schema for ${fieldPath}: enum must be an array`);
+    else if (definition.pattern !== undefined && !(definition.pattern instanceof RegExp) && typeof definition.pattern !== 'string') throw new TypeError(`Invalid schema for ${fieldPath}: pattern must be a string or a regular expression`);
+    else if (['min', 'max'].some(k => definition[k] !== undefined && typeof definition[k] !== 'number')) throw new TypeError(`Invalid schema for ${fieldPath}: min and max must be numbers`);
+
+    if (definition.properties !== undefined) checkSchema(definition.properties, fieldPath);
+    if (definition.items !== undefined) checkSchema({ '[]': definition.items }, fieldPath);
+  }
+}
+
+function validate(schema, object, path='') {
+  const violations = [];
+
+  for (const [key, field] of Object.entries(schema)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+
+    violations.push(...validateField(normalize(field), object?.[key], fieldPath));
+  }
+
+  return violations;
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function normalize(field) {
+  if (typeof field === 'string' || Array.isArray(field)) return { type: [].concat(field) };
+  else if (!isObject(field) || field.type === undefined) return null;
+
+  return { ...field, type: Array.isArray(field.type) ? field.type : [field.type] };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  else if (Array.isArray(value)) return 'array';
+
+  return typeof value;
+}
+
+function validateField(definition, value, path) {
+  if (value === undefined)
+    return definition.required ? [{ path, message: 'is required' }] : [];
+
+  const type = typeOf(value);
+
+  if (!definition.type.includes('any') && !definition.type.includes(type))
+    return [{ path, message: `must be of type ${definition.type.join(' or ')}` }];
+
+  const violations = [];
+  const size = type === 'string' || type === 'array' ? value.length : value;
+  const unit = type === 'string' ? ' characters' : type === 'array' ? ' items' : '';
+
+  if (definition.enum && !definition.enum.some(e => stringify(e) === stringify(value)))
+    violations.push({ path, message: `must be one of ${definition.enum.map(e => stringify(e)).join(', ')}` });
+
+  if (typeof size === 'number') {
+    const verb = type === 'number' ? 'be' : 'have';
+
+    if (definition.min !== undefined && size < definition.min) violations.push({ path, message: `must ${verb} at least ${definition.min}${unit}` });
+    if (definition.max !== undefined && size > definition.max) violations.push({ path, message: `must ${verb} at most ${definition.max}${unit}` });
+  }
+
+  if (definition.pattern !== undefined && type === 'string' && !new RegExp(definition.pattern).test(value))
+    violations.push({ path, message: `must match the pattern ${definition.pattern}` });
+
+  if (definition.properties && type === 'object')
+    violations.push(...validate(definition.properties, value, path));
+
+  if (definition.items && type === 'array')
+    for (var i = 0; i < value.length; i++)
+      violations.push(...validateField(normalize(definition.items), value[i], `${path}[${i}]`));
+
+  return violations;
+}
+
+module.exports = { checkSchema, validate };
\ No newline at end of file
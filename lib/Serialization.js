@@ -0,0 +1,77 @@
+'use strict';
+
+// Values that JSON cannot hold are written as { $$type, $$value } tags, and objects that look like tags as tags of the reserved "Object" type
+
+const codecs = new Map([
+  ['BigInt', { test: value => typeof value === 'bigint', serialize: value => value.toString(), deserialize: value => BigInt(value) }],
+  ['Buffer', { test: value => Buffer.isBuffer(value), serialize: value => value.toString('base64'), deserialize: value => Buffer.from(value, 'base64') }],
+  ['Date', { test: value => value instanceof Date, serialize: value => isNaN(value) ? null : value.toISOString(), deserialize: value => new Date(value ?? NaN) }],
+  ['Map', { test: value => value instanceof Map, serialize: value => [...value], deserialize: value => new Map(value) }],
+  ['Set', { test: value => value instanceof Set, serialize: value => [...value], deserialize: value => new Set(value) }]
+]);
+
+const builtIn = [...codecs.keys(), 'Object'];
+
+function clone(value) {
+  return value === undefined ? undefined : parse(stringify(value));
+}
+
+// The codecs registered last are checked first, so a subclass of Map can have its own
+function codecOf(value) {
+  if (value === null || !['bigint', 'object'].includes(typeof value)) return undefined;
+
+  return [...codecs.keys()].reverse().find(name => codecs.get(name).test(value));
+}
+
+// Tags of codecs that are not registered are written back unchanged. A value its codec cannot read is not a SyntaxError, so it is not taken for a damaged file
+function parse(text, reviver) {
+  return JSON.parse(text, function (key, value) {
+    const revived = isTag(value) ? revive(value) : value;
+
+    return reviver ? reviver.call(this, key, revived) : revived;
+  });
+}
+
+function registerCodec(name, codec) {
+  const { type, serialize, deserialize } = codec && typeof codec === 'object' ? codec : {};
+
+  if (typeof name !== 'string' || !name) throw new TypeError('The provided name is invalid');
+  else if (typeof type !== 'function' || typeof serialize !== 'function' || typeof deserialize !== 'function') throw new TypeError('The codec must be an object with a type (class), a serialize and a deserialize function');
+  else if (builtIn.includes(name)) throw new Error(`The ${name} codec cannot be replaced`);
+
+  codecs.delete(name);
+  codecs.set(name, { test: value => value instanceof type, serialize, deserialize });
+}
+
+// The holder keeps the original value, before the toJSON methods (of Date and Buffer) are called
+function stringify(value, space) {
+  return JSON.stringify(value, function (key, serialized) {
+    const original = this[key];
+    const name = codecOf(original);
+
+    if (name !== undefined) return { $$type: name, $$value: codecs.get(name).serialize(original) };
+    else if (isTag(original)) return { $$type: 'Object', $$value: Object.entries(original) };
+
+    return serialized;
+  }, space);
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function isTag(value) {
+  return !!value && typeof value === 'object' && typeof value.$$type === 'string' && Object.prototype.hasOwnProperty.call(value, '$$value') && Object.keys(value).length === 2;
+}
+
+function revive(tag) {
+  if (tag.$$type !== 'Object' && !codecs.has(tag.$$type)) return tag;
+
+  try {
+    return tag.$$type === 'Object' ? Object.fromEntries(tag.$$value) : codecs.get(tag.$$type).deserialize(tag.$$value);
+  } catch (e) {
+    throw new Error(`The ${tag.$$type} value ${JSON.stringify(tag.$$value)} could not be read: ${e.message}`);
+  }
+}
+
+module.exports = { clone, codecOf, parse, registerCodec, stringify };
\ No newline at end of file
@@ -0,0 +1,252 @@
+'use strict';
+
+const FS = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DecryptionError } = require('./Errors');
+const { watchFile, withLock, withLockAsync } = require('./Sync');
+const { recoverTempFile, writeFileAtomic, writeFileAtomicAsync } = require('./Utils');
+
+class JSONStorage {
+  #fsync;
+
+  constructor(options={}) {
+    if (!options || typeof options !== 'object') throw new TypeError('The options parameter must be an object');
+
+    this.#fsync = !!options.fsync;
+
+    this.promises = {
+      append: async (filePath, data) => {
+        const handle = await FS.promises.open(filePath, 'a');
+
+        try {
+          await handle.writeFile(data);
+          if (this.#fsync) await handle.sync();
+        } finally {
+          await handle.close();
+        }
+      },
+      delete: filePath => FS.promises.unlink(filePath).then(() => true, e => {
+        if (e.code === 'ENOENT') return false;
+        else throw e;
+      }),
+      list: folderPath => FS.promises.readdir(folderPath, { withFileTypes: true }).then(entries => entries.filter(e => e.isFile()).map(e => e.name), e => {
+        if (e.code === 'ENOENT') return [];
+        else throw e;
+      }),
+      lock: withLockAsync,
+      read: filePath => FS.promises.readFile(filePath, 'utf8').catch(e => {
+        if (e.code === 'ENOENT') return null;
+        else throw e;
+      }),
+      write: (filePath, data) => writeFileAtomicAsync(filePath, data, this.#fsync)
+    };
+  }
+
+
+  append(filePath, data) {
+    const fd = FS.openSync(filePath, 'a');
+
+    try {
+      FS.writeFileSync(fd, data);
+      if (this.#fsync) FS.fsyncSync(fd);
+    } finally {
+      FS.closeSync(fd);
+    }
+  }
+
+  delete(filePath) {
+    try {
+      FS.unlinkSync(filePath);
+
+      return true;
+    } catch (e) {
+      if (e.code === 'ENOENT') return false;
+      else throw e;
+    }
+  }
+
+  list(folderPath) {
+    try {
+      return FS.readdirSync(folderPath, { withFileTypes: true }).filter(e => e.isFile()).map(e => e.name);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      else throw e;
+    }
+  }
+
+  lock(filePaths, lock, callback) {
+    return withLock(filePaths, lock, callback);
+  }
+
+  read(filePath) {
+    try {
+      return FS.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      else throw e;
+    }
+  }
+
+  recover(filePath) {
+    return recoverTempFile(filePath);
+  }
+
+  watch(filePath, interval, onChange) {
+    return watchFile(filePath, interval, onChange);
+  }
+
+  write(filePath, data) {
+    writeFileAtomic(filePath, data, this.#fsync);
+  }
+}
+
+// Keys derived from a passphrase are kept per encryption option, so that the collections of a database do not derive them again
+const derivedKeys = new WeakMap();
+
+class EncryptedStorage {
+  #derived;
+  #options;
+  #storage;
+
+  constructor(storage, options) {
+    checkStorage(storage);
+    checkEncryption(options);
+
+    if (!derivedKeys.has(options)) derivedKeys.set(options, { keys: new Map(), salt: crypto.randomBytes(16).toString('hex') });
+
+    this.#derived = derivedKeys.get(options);
+    this.#options = options;
+    this.#storage = storage;
+
+    // Encrypted files cannot be appended to, so there is no append method and the journals of the collections are written whole
+    if (storage.promises) this.promises = {
+      delete: filePath => storage.promises.delete(filePath),
+      list: folderPath => storage.promises.list(folderPath),
+      lock: (filePaths, lock, callback) => storage.promises.lock ? storage.promises.lock(filePaths, lock, callback) : callback(),
+      read: async filePath => this.#decrypt(filePath, await storage.promises.read(filePath)),
+      write: (filePath, data) => storage.promises.write(filePath, this.#encrypt(filePath, data))
+    };
+  }
+
+
+  delete(filePath) {
+    return this.#storage.delete(filePath);
+  }
+
+  list(folderPath) {
+    return this.#storage.list(folderPath);
+  }
+
+  lock(filePaths, lock, callback) {
+    return this.#storage.lock ? this.#storage.lock(filePaths, lock, callback) : callback();
+  }
+
+  read(filePath) {
+    return this.#decrypt(filePath, this.#storage.read(filePath));
+  }
+
+  recover(filePath) {
+    return this.#storage.recover?.(filePath) ?? false;
+  }
+
+  watch(filePath, interval, onChange) {
+    return this.#storage.watch?.(filePath, interval, onChange) ?? (() => {});
+  }
+
+  write(filePath, data) {
+    return this.#storage.write(filePath, this.#encrypt(filePath, data));
+  }
+
+
+
+  /* ==================== Private Methods ==================== */
+
+  #decrypt(filePath, content) {
+    if (content === null) return null;
+
+    try {
+      const file = JSON.parse(content);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.#key(file.salt), Buffer.from(file.iv, 'hex'), { authTagLength: 16 });
+
+      decipher.setAuthTag(Buffer.from(file.tag, 'hex'));
+      decipher.setAAD(Buffer.from(path.basename(filePath)));
+
+      return Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (e) {
+      throw new DecryptionError(filePath);
+    }
+  }
+
+  // The name of the file is authenticated along with its data, so that files cannot be swapped with each other
+  #encrypt(filePath, data) {
+    const salt = this.#options.passphrase === undefined ? undefined : this.#derived.salt;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.#key(salt), iv);
+
+    cipher.setAAD(Buffer.from(path.basename(filePath)));
+
+    const encrypted = Buffer.concat([cipher.update(String(data), 'utf8'), cipher.final()]);
+
+    return JSON.stringify({ cipher: 'aes-256-gcm', salt, iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'), data: encrypted.toString('base64') });
+  }
+
+  #key(salt) {
+    const { key, passphrase } = this.#options;
+
+    if (passphrase === undefined) return Buffer.from(key);
+    else if (typeof salt !== 'string') throw new TypeError('The file has no salt to derive the key with');
+
+    if (!this.#derived.keys.has(salt)) this.#derived.keys.set(salt, crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), 32));
+
+    return this.#derived.keys.get(salt);
+  }
+}
+
+// Databases sharing an instance see the files each other wrote
+class MemoryStorage {
+  #files;
+
+  constructor(files={}) {
+    if (!files || typeof files !== 'object') throw new TypeError('The files parameter must be an object');
+
+    this.#files = new Map(Object.entries(files).map(([filePath, data]) => [path.resolve(filePath), String(data)]));
+  }
+
+
+  append(filePath, data) {
+    this.#files.set(path.resolve(filePath), (this.read(filePath) ?? '') + String(data));
+  }
+
+  delete(filePath) {
+    return this.#files.delete(path.resolve(filePath));
+  }
+
+  list(folderPath) {
+    return [...this.#files.keys()].filter(f => path.dirname(f) === path.resolve(folderPath)).map(f => path.basename(f));
+  }
+
+  read(filePath) {
+    return this.#files.get(path.resolve(filePath)) ?? null;
+  }
+
+  write(filePath, data) {
+    this.#files.set(path.resolve(filePath), String(data));
+  }
+}
+
+function checkEncryption(options) {
+  const { key, passphrase } = options && typeof options === 'object' ? options : {};
+
+  if ((key === undefined) === (passphrase === undefined)
+    || (key !== undefined && ((typeof key !== 'string' && !Buffer.isBuffer(key)) || Buffer.from(key).length !== 32))
+    || (passphrase !== undefined && (typeof passphrase !== 'string' || !passphrase)))
+    throw new TypeError('The encryption option must be an object with either a key (32 bytes) or a passphrase');
+}
+
+function checkStorage(storage) {
+  if (!storage || !['read', 'write', 'list', 'delete'].every(method => typeof storage[method] === 'function'))
+    throw new TypeError('The storage option must be an adapter with read, write, list and delete methods');
+}
+
+module.exports = { EncryptedStorage, JSONStorage, MemoryStorage, checkStorage };
\ No newline at end of file
@@ -0,0 +1,175 @@
+'use strict';
+
+const FS = require('fs');
+const { ConflictError } = require('./Errors');
+const { stringify } = require('./Serialization');
+
+const policies = ['merge', 'ours', 'reject', 'theirs'];
+const defaultLockTimeout = 5000;
+const staleLockTime = 30000;
+
+function checkSyncOptions({ lock, onConflict, watch }) {
+  if (typeof lock !== 'boolean' && !(Number.isInteger(lock) && lock > 0)) throw new TypeError('The lock option must be a boolean or a timeout in milliseconds');
+  else if (!policies.includes(onConflict) && typeof onConflict !== 'function') throw new TypeError('The onConflict option must be "ours", "theirs", "merge", "reject" or a function');
+  else if (typeof watch !== 'boolean' && !(Number.isInteger(watch) && watch > 0)) throw new TypeError('The watch option must be a boolean or an interval in milliseconds');
+}
+
+// When both processes changed the same value, ours is kept
+function merge(base, ours, theirs) {
+  if (equals(ours, base)) return theirs;
+  else if (equals(theirs, base) || equals(ours, theirs)) return ours;
+
+  if (isPlainObject(ours) && isPlainObject(theirs)) {
+    const merged = {};
+
+    for (const key of new Set([...Object.keys(theirs), ...Object.keys(ours)])) {
+      const value = merge(isPlainObject(base) ? base[key] : undefined, ours[key], theirs[key]);
+
+      if (value !== undefined) merged[key] = value;
+    }
+
+    return merged;
+  }
+
+  // Collection entries can only be told apart when they have an _id
+  if ([ours, theirs].every(array => Array.isArray(array) && array.every(e => e?._id !== undefined))) {
+    const byId = array => new Map((Array.isArray(array) ? array : []).filter(e => e?._id !== undefined).map(e => [stringify(e._id), e]));
+    const [baseIds, ourIds, theirIds] = [byId(base), byId(ours), byId(theirs)];
+
+    return [...new Set([...theirIds.keys(), ...ourIds.keys()])]
+      .map(id => merge(baseIds.get(id), ourIds.get(id), theirIds.get(id)))
+      .filter(entry => entry !== undefined);
+  }
+
+  return ours;
+}
+
+function resolveConflict(policy, { base, ours, theirs, file }) {
+  if (typeof policy === 'function') return policy({ base, ours, theirs });
+  else if (policy === 'merge') return merge(base, ours, theirs);
+  else if (policy === 'theirs') return theirs;
+  else if (policy === 'ours') return ours;
+
+  throw new ConflictError(file);
+}
+
+// Polling keeps working when the file is replaced by a rename
+function watchFile(filePath, interval, onChange) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) onChange();
+  };
+
+  FS.watchFile(filePath, { interval, persistent: false }, listener);
+
+  return () => FS.unwatchFile(filePath, listener);
+}
+
+function withLock(filePaths, lock, callback) {
+  if (!lock) return callback();
+
+  const acquired = [];
+
+  try {
+    for (const filePath of [...filePaths].sort())
+      acquired.push(acquireLock(filePath, lock === true ? defaultLockTimeout : lock, ms => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)));
+
+    return callback();
+  } finally {
+    for (const lockPath of acquired)
+      FS.rmSync(lockPath, { force: true });
+  }
+}
+
+async function withLockAsync(filePaths, lock, callback) {
+  if (!lock) return callback();
+
+  const acquired = [];
+
+  try {
+    for (const filePath of [...filePaths].sort())
+      acquired.push(await acquireLockAsync(filePath, lock === true ? defaultLockTimeout : lock));
+
+    return await callback();
+  } finally {
+    for (const lockPath of acquired)
+      FS.rmSync(lockPath, { force: true });
+  }
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function acquireLock(filePath, timeout, sleep) {
+  const lockPath = filePath + '.lock';
+  const start = Date.now();
+
+  while (!tryLock(lockPath)) {
+    if (Date.now() - start >= timeout) throw lockError(filePath);
+
+    sleep(10);
+  }
+
+  return lockPath;
+}
+
+async function acquireLockAsync(filePath, timeout) {
+  const lockPath = filePath + '.lock';
+  const start = Date.now();
+
+  while (!tryLock(lockPath)) {
+    if (Date.now() - start >= timeout) throw lockError(filePath);
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  return lockPath;
+}
+
+function equals(a, b) {
+  return a === b || stringify(a) === stringify(b);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A lock is stale when the process that created it is gone, or when it is much older than any write could take
+function isStale(lockPath) {
+  try {
+    const pid = Number(FS.readFileSync(lockPath, 'utf8'));
+
+    if (Date.now() - FS.statSync(lockPath).mtimeMs > staleLockTime) return true;
+
+    process.kill(pid, 0);
+
+    return false;
+  } catch (e) {
+    return e.code === 'ESRCH' || e.code === 'ENOENT';
+  }
+}
+
+function lockError(filePath) {
+  const error = new Error(`The lock of the file ${filePath} could not be acquired`);
+
+  error.code = 'ELOCKED';
+
+  return error;
+}
+
+function tryLock(lockPath) {
+  try {
+    FS.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+
+    return true;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+    else if (!isStale(lockPath)) return false;
+
+    FS.rmSync(lockPath, { force: true });
+
+    return tryLock(lockPath);
+  }
+}
+
+module.exports = { checkSyncOptions, merge, resolveConflict, watchFile, withLock, withLockAsync };
\ No newline at end of file
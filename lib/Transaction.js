@@ -0,0 +1,74 @@
+'use strict';
+
+const { JSONStorage } = require('./Storage');
+
+// The journal listing the temporary files is what marks a transaction as committed
+function commitFiles(files, journalPath, storage=new JSONStorage()) {
+  try {
+    for (const file of files)
+      storage.write(file.path + '.tx', file.data);
+
+    storage.write(journalPath, JSON.stringify(files.map(f => f.path)));
+  } catch (e) {
+    for (const file of files)
+      storage.delete(file.path + '.tx');
+
+    throw e;
+  }
+
+  recoverTransaction(journalPath, storage);
+}
+
+async function commitFilesAsync(files, journalPath, storage=new JSONStorage().promises) {
+  try {
+    for (const file of files)
+      await storage.write(file.path + '.tx', file.data);
+
+    await storage.write(journalPath, JSON.stringify(files.map(f => f.path)));
+  } catch (e) {
+    await Promise.allSettled(files.map(file => storage.delete(file.path + '.tx')));
+
+    throw e;
+  }
+
+  for (const file of files) {
+    await storage.write(file.path, file.data);
+    await storage.delete(file.path + '.tx');
+  }
+
+  await storage.delete(journalPath);
+}
+
+function recoverTransaction(journalPath, storage=new JSONStorage(), leftovers=[]) {
+  const journal = storage.read(journalPath);
+  let files;
+
+  try {
+    if (journal !== null) files = JSON.parse(journal);
+  } catch (e) {} // eslint-disable-line no-empty
+
+  if (!Array.isArray(files)) {
+    for (const file of leftovers)
+      storage.delete(file + '.tx');
+
+    if (journal !== null) storage.delete(journalPath);
+
+    return false;
+  }
+
+  // Applying the journal again is harmless, so it is only deleted once every file is written
+  for (const file of files) {
+    const data = storage.read(file + '.tx');
+
+    if (data === null) continue;
+
+    storage.write(file, data);
+    storage.delete(file + '.tx');
+  }
+
+  storage.delete(journalPath);
+
+  return true;
+}
+
+module.exports = { commitFiles, commitFilesAsync, recoverTransaction };
\ No newline at end of file
@@ -1,12 +1,164 @@
 'use strict';
 
+const FS = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { codecOf, parse, stringify } = require('./Serialization');
+
+const crockford = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+function assignEntry(target, source) {
+  for (const key of Object.keys(target))
+    if (key !== 'save' && !Object.prototype.hasOwnProperty.call(source, key)) delete target[key];
+
+  for (const [key, value] of Object.entries(source))
+    if (key !== 'save') target[key] = value;
+}
+
+function decryptValue(value, key) {
+  if (typeof value !== 'string' || !/^enc:[0-9a-f]{24}:[0-9a-f]{32}:[A-Za-z0-9+/]*=*$/.test(value)) return value;
+
+  const [, iv, tag, data] = value.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(key), Buffer.from(iv, 'hex'), { authTagLength: 16 });
+
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  return parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'));
+}
+
+// An 'error' event without listeners would end the process
+function emitError(emitter, error) {
+  if (emitter.listenerCount('error')) emitter.emit('error', error);
+  else process.emitWarning(error);
+}
+
+function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(key), iv);
+  const encrypted = Buffer.concat([cipher.update(stringify(value), 'utf8'), cipher.final()]);
+
+  return `enc:${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('base64')}`;
+}
+
 function isObject(obj) {
-  const stringified = JSON.stringify(obj);
-  return !!(stringified?.startsWith('{') && stringified?.endsWith('}'));
+  return !!obj && typeof obj === 'object' && !Array.isArray(obj) && codecOf(obj) === undefined;
 }
 
 function isValidKey(key) {
   return typeof key === 'string' && key.split('.').every(k => k);
 }
 
-module.exports = { isObject, isValidKey };
\ No newline at end of file
+// Universally Unique Lexicographically Sortable Identifier, https://github.com/ulid/spec
+function ulid(now=Date.now()) {
+  let time = '';
+
+  for (var i = 0; i < 10; i++) {
+    time = crockford[now % 32] + time;
+    now = Math.floor(now / 32);
+  }
+
+  return time + [...crypto.randomBytes(16)].map(b => crockford[b % 32]).join('');
+}
+
+function recoverTempFile(filePath) {
+  const tempPath = filePath + '.tmp';
+
+  if (!FS.existsSync(tempPath)) return false;
+
+  try {
+    JSON.parse(FS.readFileSync(tempPath, 'utf8'));
+    FS.renameSync(tempPath, filePath);
+
+    return true;
+  } catch (e) {
+    if (e.code === 'EACCES') throw e;
+
+    removeFile(tempPath);
+
+    return false;
+  }
+}
+
+function uuid() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+
+  const bytes = crypto.randomBytes(16);
+
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  return bytes.toString('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+}
+
+function writeFileAtomic(filePath, data, fsync=false) {
+  const tempPath = filePath + '.tmp';
+
+  try {
+    if (fsync) {
+      const fd = FS.openSync(tempPath, 'w');
+
+      try {
+        FS.writeFileSync(fd, data);
+        FS.fsyncSync(fd);
+      } finally {
+        FS.closeSync(fd);
+      }
+    }
+    else
+      FS.writeFileSync(tempPath, data);
+
+    FS.renameSync(tempPath, filePath);
+  } catch (e) {
+    removeFile(tempPath);
+    throw e;
+  }
+
+  if (fsync) syncDirectory(path.dirname(filePath));
+}
+
+async function writeFileAtomicAsync(filePath, data, fsync=false) {
+  const tempPath = filePath + '.tmp';
+
+  try {
+    const handle = await FS.promises.open(tempPath, 'w');
+
+    try {
+      await handle.writeFile(data);
+      if (fsync) await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await FS.promises.rename(tempPath, filePath);
+  } catch (e) {
+    await FS.promises.unlink(tempPath).catch(() => {});
+    throw e;
+  }
+
+  if (fsync) await FS.promises.open(path.dirname(filePath), 'r').then(dir => dir.sync().finally(() => dir.close())).catch(() => {});
+}
+
+
+
+/* ==================== Private Functions ==================== */
+
+function removeFile(filePath) {
+  try {
+    FS.unlinkSync(filePath);
+  } catch (e) {} // eslint-disable-line no-empty
+}
+
+// Directories cannot be opened for syncing on every platform (e.g. Windows), in which case the rename is already as durable as it gets
+function syncDirectory(dirPath) {
+  try {
+    const fd = FS.openSync(dirPath, 'r');
+
+    try {
+      FS.fsyncSync(fd);
+    } finally {
+      FS.closeSync(fd);
+    }
+  } catch (e) {} // eslint-disable-line no-empty
+}
+
+module.exports = { assignEntry, decryptValue, emitError, encryptValue, isObject, isValidKey, recoverTempFile, ulid, uuid, writeFileAtomic, writeFileAtomicAsync };
\ No newline at end of file
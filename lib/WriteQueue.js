@@ -0,0 +1,35 @@
+'use strict';
+
+// Runs writes one after another. Writes requested while another one is running are merged into a single write
+class WriteQueue {
+  #pending;
+  #running;
+  #write;
+
+  constructor(write) {
+    if (typeof write !== 'function') throw new TypeError('The provided parameter must be a function');
+
+    this.#pending = null;
+    this.#running = Promise.resolve();
+    this.#write = write;
+  }
+
+
+  idle() {
+    return this.#running;
+  }
+
+  push() {
+    if (this.#pending) return this.#pending;
+
+    this.#pending = this.#running.then(() => {
+      this.#pending = null;
+      return this.#write();
+    });
+    this.#running = this.#pending.catch(() => {});
+
+    return this.#pending;
+  }
+}
+
+module.exports = WriteQueue;
\ No newline at end of file
@@ -0,0 +1,67 @@
+/* eslint-disable no-undef */
+
+const { aggregate, groupBy } = require('../lib/Aggregation');
+
+const entries = [
+  { name: 'Peter', guild: 'knights', score: 120, items: ['sword', 'shield'] },
+  { name: 'John', guild: 'mages', score: 80, items: ['staff'] },
+  { name: 'Mary', guild: 'knights', score: 200, items: [] },
+  { name: 'Anna', guild: 'mages', score: 40 },
+  { name: 'Henry', score: 10 }
+];
+
+
+
+test('aggregate function', () => {
+  expect(aggregate(entries, [
+    { $match: { guild: { $exists: true } } },
+    { $group: { _id: '$guild', members: { $count: {} }, total: { $sum: '$score' }, average: { $avg: '$score' }, best: { $max: '$score' }, worst: { $min: '$score' }, names: { $push: '$name' } } },
+    { $sort: { total: -1 } }
+  ])).toEqual([
+    { _id: 'knights', members: 2, total: 320, average: 160, best: 200, worst: 120, names: ['Peter', 'Mary'] },
+    { _id: 'mages', members: 2, total: 120, average: 60, best: 80, worst: 40, names: ['John', 'Anna'] }
+  ]);
+
+  expect(aggregate(entries, [{ $group: { _id: null, total: { $sum: 1 } } }])).toEqual([{ _id: null, total: 5 }]);
+  expect(aggregate(entries, [{ $group: { _id: { guild: '$guild' }, total: { $sum: '$score' } } }, { $limit: 1 }])).toEqual([{ _id: { guild: 'knights' }, total: 320 }]);
+
+  expect(aggregate(entries, [{ $unwind: '$items' }, { $project: { name: 1, item: '$items' } }])).toEqual([
+    { name: 'Peter', item: 'sword' },
+    { name: 'Peter', item: 'shield' },
+    { name: 'John', item: 'staff' }
+  ]);
+  expect(aggregate(entries, [{ $unwind: { path: '$items', preserveNullAndEmptyArrays: true } }]).length).toBe(6);
+  expect(aggregate(entries, [{ $sort: { score: 1 } }, { $skip: 1 }, { $limit: 2 }, { $project: { items: 0, guild: false } }])).toEqual([
+    { name: 'Anna', score: 40 },
+    { name: 'John', score: 80 }
+  ]);
+
+  const [copy] = aggregate(entries, [{ $match: p => p.name === 'Peter' }]);
+
+  expect(copy).toEqual(entries[0]);
+  expect(copy).not.toBe(entries[0]);
+
+  // Grouped values are copies as well
+  const [knights] = aggregate(entries, [{ $group: { _id: '$guild', items: { $push: '$items' } } }]);
+
+  knights.items[0].push('bow');
+
+  expect(entries[0].items).toEqual(['sword', 'shield']);
+
+  expect(() => aggregate(entries, {})).toThrow(/pipeline must be an array/);
+  expect(() => aggregate(entries, [{ $match: {}, $limit: 1 }])).toThrow(/single operator/);
+  expect(() => aggregate(entries, [{ $lookup: {} }])).toThrow('Unknown aggregation stage: $lookup');
+  expect(() => aggregate(entries, [{ $group: { total: { $sum: 1 } } }])).toThrow(/must be an object with an _id/);
+  expect(() => aggregate(entries, [{ $group: { _id: null, total: { $median: '$score' } } }])).toThrow('Unknown accumulator: $median');
+  expect(() => aggregate(entries, [{ $limit: -1 }])).toThrow(/value of the \$limit stage is invalid/);
+  expect(() => aggregate(entries, [{ $unwind: 'items' }])).toThrow(/field path starting with "\$"/);
+});
+
+
+test('groupBy function', () => {
+  const groups = groupBy(entries, 'guild');
+
+  expect(Object.keys(groups)).toEqual(['knights', 'mages', 'null']);
+  expect(groups.knights.map(e => e.name)).toEqual(['Peter', 'Mary']);
+  expect(groups.null[0]).toBe(entries[4]);
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+
+FS.mkdirSync('tests/temp', { recursive: true });
+
+const db = new AsyncDatabase({
+  dataFile: 'tests/temp/async-collection.json',
+  collectionsFolder: 'tests/temp/async-collection'
+});
+const collectionFile = 'tests/temp/async-collection/posts.json';
+let Posts;
+
+
+beforeAll(async () => {
+  Posts = await db.createCollection('posts', { $id: 0 });
+});
+
+
+
+test('AsyncCollection#aggregate', async () => {
+  await Posts.createBulk([{ content: 'A', likes: 3 }, { content: 'B', likes: 10 }]);
+
+  expect(await Posts.aggregate([{ $group: { _id: null, total: { $sum: '$likes' } } }])).toEqual([{ _id: null, total: 13 }]);
+  expect(await Posts.count({ likes: { $gt: 5 } })).toBe(1);
+  expect(await Posts.distinct('content')).toEqual(['A', 'B']);
+  expect(await Posts.sum('likes')).toBe(13);
+
+  const groups = await Posts.groupBy('content');
+
+  groups.A[0].likes = 4;
+  await groups.A[0].save();
+
+  expect(JSON.parse(FS.readFileSync(collectionFile, 'utf8'))).toMatchObject([{ content: 'A', likes: 4 }, { content: 'B' }]);
+
+  await Posts.remove();
+});
+
+
+test('AsyncCollection#create', async () => {
+  expect(await Posts.create({ content: 'This is my first post!' })).toEqual({ id: 0, content: 'This is my first post!' });
+  expect(await Posts.createBulk([{ content: 'Second' }, { content: 'Third' }]))
+    .toEqual([
+      { id: 1, content: 'Second' },
+      { id: 2, content: 'Third' }
+    ]);
+  expect(Posts.entries).toBe(3);
+  expect(JSON.parse(FS.readFileSync(collectionFile, 'utf8')).length).toBe(3);
+
+  await expect(Posts.create(null)).rejects.toThrow(/entry must be an object/);
+
+  await Posts.remove();
+});
+
+
+test('AsyncCollection#fetch', async () => {
+  await Posts.create({ content: 'This is my first post!' });
+
+  expect(await Posts.fetch(p => p.id === 0)).toMatchObject({ id: 0, content: 'This is my first post!' });
+  expect(await Posts.fetchMany(p => p.id < 5)).toMatchObject([{ id: 0 }]);
+  expect(await Posts.fetchAll()).toMatchObject([{ id: 0 }]);
+  expect(await Posts.fetchOrCreate(p => p.id === 1, { content: 'Second' })).toEqual({ id: 1, content: 'Second' });
+
+  await expect(Posts.fetch(null)).rejects.toThrow(/parameter must be a function/);
+
+  await Posts.remove();
+});
+
+
+test('AsyncCollection#find', async () => {
+  await Posts.createBulk([{ content: 'B' }, { content: 'A' }, { content: 'C' }]);
+
+  expect((await Posts.find({}, { sort: { content: 1 }, limit: 2 })).map(p => p.content)).toEqual(['A', 'B']);
+  expect(await Posts.fetchMany({}, { sort: { content: -1 }, select: ['content'], limit: 1 })).toEqual([{ content: 'C' }]);
+  expect(await Posts.getMany({}, { skip: 2, select: { id: 0 } })).toEqual([{ content: 'C' }]);
+
+  await expect(Posts.fetchMany({}, { sort: 'content' })).rejects.toThrow(/sort option must be an object/);
+
+  await Posts.remove();
+});
+
+
+test('AsyncCollection#get', async () => {
+  await Posts.create({ content: 'This is my first post!' });
+
+  expect(await Posts.get(p => p.id === 0)).toMatchObject({ id: 0, content: 'This is my first post!' });
+  expect(await Posts.get(p => p.id === 1)).toBe(null);
+  expect(await Posts.getMany(p => p.id === 0)).toMatchObject([{ id: 0 }]);
+  expect(await Posts.getAll()).toMatchObject([{ id: 0 }]);
+  expect(await Posts.has(p => p.id === 0)).toBe(true);
+  expect(await Posts.getOrCreate(p => p.id === 1, { content: 'Second' })).toEqual({ id: 1, content: 'Second' });
+
+  await Posts.remove();
+});
+
+
+test('AsyncCollection#update', async () => {
+  await Posts.create({ content: 'This is my first post!' });
+
+  expect(await Posts.update(p => p.content = 'Edited', p => p.id === 0)).toEqual([{ id: 0, content: 'Edited' }]);
+  expect(JSON.parse(FS.readFileSync(collectionFile, 'utf8'))).toEqual([{ id: 0, content: 'Edited' }]);
+
+  await Posts.remove();
+});
+
+
+test('Data#save', async () => {
+  await Posts.create({ content: 'This is my first post!' });
+
+  const firstPost = await Posts.get(p => p.id === 0);
+
+  firstPost.content = 'Post removed';
+  await firstPost.save();
+
+  expect(JSON.parse(FS.readFileSync(collectionFile, 'utf8'))).toEqual([{ id: 0, content: 'Post removed' }]);
+
+  await Posts.remove();
+});
+
+
+test('AsyncCollection#getById', async () => {
+  const Users = await db.createCollection('users', {}, { id: 'ulid' });
+  const peter = await Users.create({ name: 'Peter' });
+
+  expect(await Users.getById(peter._id)).toMatchObject({ name: 'Peter' });
+  expect(await Users.fetchById(peter._id)).toMatchObject({ name: 'Peter' });
+  expect(await Users.updateById(peter._id, u => u.name = 'Pete')).toMatchObject({ name: 'Pete' });
+
+  const fetched = await Users.fetchById(peter._id);
+
+  fetched.age = 20;
+  await fetched.save();
+
+  expect(await Users.getById(peter._id)).toMatchObject({ name: 'Pete', age: 20 });
+  expect(await Users.removeById(peter._id)).toMatchObject({ name: 'Pete' });
+  expect(JSON.parse(FS.readFileSync('tests/temp/async-collection/users.json', 'utf8'))).toEqual([]);
+
+  await expect(Users.fetchById(null)).rejects.toThrow(/id must be a string or a number/);
+
+  await db.deleteCollection('users');
+});
\ No newline at end of file
@@ -0,0 +1,173 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const AsyncCollection = require('../lib/AsyncCollection');
+
+FS.mkdirSync('tests/temp', { recursive: true });
+
+const db = new AsyncDatabase({
+  dataFile: 'tests/temp/async-database.json',
+  collectionsFolder: 'tests/temp/async-database'
+});
+
+
+
+test('AsyncDatabase#add', async () => {
+  await db.set('account', { owner: '5antos', balance: 800 });
+
+  expect(await db.add('account.balance', 200)).toEqual({ owner: '5antos', balance: 1000 });
+  expect(await db.subtract('account.balance', 500)).toEqual({ owner: '5antos', balance: 500 });
+
+  await expect(db.add('account..balance', 200)).rejects.toThrow(/key is invalid/);
+
+  await db.clear();
+});
+
+
+test('AsyncDatabase#createCollection', async () => {
+  const collection = await db.createCollection('users');
+
+  expect(collection).toBeInstanceOf(AsyncCollection);
+  expect(collection.database).toBe(db);
+  expect(await db.getCollection('users')).toBe(collection);
+
+  await expect(db.createCollection('users')).rejects.toThrow('A collection with the provided name already exists');
+
+  await collection.create({ name: 'Peter' });
+
+  expect(await db.deleteCollection('users')).toBe(true);
+  expect(await db.deleteCollection('users')).toBe(false);
+  expect(FS.existsSync('tests/temp/async-database/users.json')).toBe(false);
+
+  // The unsaved changes of a deleted collection are not written
+  const batched = await db.createCollection('batched', {}, { autoSave: { debounce: 60000 } });
+  let saves = 0;
+
+  batched.on('save', () => saves++);
+
+  await batched.create({ name: 'Peter' });
+  await db.deleteCollection('batched');
+
+  expect(saves).toBe(0);
+  expect(FS.existsSync('tests/temp/async-database/batched.json')).toBe(false);
+});
+
+
+test('AsyncDatabase#fetch', async () => {
+  await db.set('user', { name: 'Peter', age: 19 });
+
+  expect(await db.fetch('user.name')).toBe('Peter');
+  expect(JSON.parse(FS.readFileSync('tests/temp/async-database.json', 'utf8'))).toEqual({ user: { name: 'Peter', age: 19 } });
+
+  await expect(db.fetch('some..key')).rejects.toThrow(/key is invalid/);
+
+  await db.clear();
+});
+
+
+test('AsyncDatabase#get', async () => {
+  await db.set('user', { name: 'Peter' });
+
+  expect(await db.get('user.name')).toBe('Peter');
+  expect(await db.has('user.name')).toBe(true);
+  expect(await db.has('user.age')).toBe(false);
+
+  await db.clear();
+});
+
+
+test('AsyncDatabase#push', async () => {
+  await db.set('user', { id: 32171, items: ['sword'] });
+
+  expect(await db.push('user.items', 'axe')).toEqual({ id: 32171, items: ['sword', 'axe'] });
+  expect(await db.pull('user.items', 'sword')).toEqual({ id: 32171, items: ['axe'] });
+  expect(await db.rename('user.items', 'inventory')).toEqual({ id: 32171, inventory: ['axe'] });
+  expect(await db.update('user', u => u.id = 1)).toEqual({ id: 1, inventory: ['axe'] });
+  expect(await db.delete('user')).toBe(true);
+
+  await db.clear();
+});
+
+
+test('AsyncDatabase#renameCollection', async () => {
+  const Players = await db.createCollection('players', { level: 1 });
+
+  await Players.create({ name: 'Peter' });
+
+  expect(await db.copyCollection('players', 'heroes')).toEqual({ name: 'heroes', entries: 1, size: 28 });
+  expect(await db.renameCollection('players', 'legends')).toEqual({ name: 'legends', entries: 1, size: 28 });
+  expect(await db.getCollection('players')).toBe(null);
+  expect((await db.listCollections()).filter(c => ['heroes', 'legends'].includes(c.name))).toHaveLength(2);
+
+  const Legends = await db.getCollection('legends');
+
+  expect(Legends).toBeInstanceOf(AsyncCollection);
+  expect(await Legends.create({ name: 'John' })).toEqual({ name: 'John', level: 1 });
+  expect(await db.truncateCollection('heroes')).toEqual({ name: 'heroes', entries: 0, size: 2 });
+  expect(FS.readFileSync('tests/temp/async-database/heroes.json', 'utf8')).toBe('[]');
+
+  // Collections that are not loaded are found in the collections folder
+  const reopened = new AsyncDatabase({ dataFile: 'tests/temp/async-database.json', collectionsFolder: 'tests/temp/async-database' });
+
+  expect(await (await reopened.getCollection('legends')).create({ name: 'Mary' })).toEqual({ name: 'Mary', level: 1 });
+  expect(await reopened.deleteCollection('heroes')).toBe(true);
+  expect(await reopened.deleteCollection('legends')).toBe(true);
+  expect(FS.readdirSync('tests/temp/async-database').filter(f => /^(heroes|legends|players)\./.test(f))).toEqual([]);
+
+  await reopened.close();
+});
+
+
+test('AsyncDatabase#save', async () => {
+  const rename = jest.spyOn(FS.promises, 'rename');
+
+  await Promise.all([db.set('a', 1), db.set('b', 2), db.set('c', 3)]);
+
+  expect(rename).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(FS.readFileSync('tests/temp/async-database.json', 'utf8'))).toEqual({ a: 1, b: 2, c: 3 });
+
+  rename.mockRestore();
+
+  await db.clear();
+});
+
+test('AsyncDatabase#watch', async () => {
+  const events = [];
+  const unwatch = db.watch('user', (event, payload) => events.push([event, payload]));
+  const Users = await db.createCollection('users');
+
+  db.on('save', () => events.push(['save']));
+  Users.on('create', ({ entries }) => events.push(['create', entries]));
+
+  await db.set('user.name', 'Peter');
+  await Users.create({ name: 'Peter' });
+
+  expect(events).toEqual([
+    ['set', { key: 'user.name', oldValue: undefined, newValue: 'Peter' }],
+    ['save'],
+    ['create', [{ name: 'Peter' }]]
+  ]);
+
+  unwatch();
+  db.removeAllListeners();
+
+  await db.deleteCollection('users');
+  await db.clear();
+});
+
+test('AsyncDatabase#ttl', async () => {
+  await db.set('cooldown', true, { ttl: 60000 });
+
+  expect(await db.ttl('cooldown')).toBeGreaterThan(59000);
+  expect(Object.keys(JSON.parse(FS.readFileSync('tests/temp/async-database.json.ttl', 'utf8')))).toEqual(['cooldown']);
+  const reopened = new AsyncDatabase({ dataFile: 'tests/temp/async-database.json' });
+
+  expect(await reopened.ttl('cooldown')).toBeGreaterThan(59000);
+
+  reopened.close();
+
+  await db.clear();
+
+  expect(FS.existsSync('tests/temp/async-database.json.ttl')).toBe(false);
+});
\ No newline at end of file
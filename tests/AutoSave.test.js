@@ -0,0 +1,195 @@
+/* eslint-disable no-undef */
+
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const AutoSave = require('../lib/AutoSave');
+const Database = require('../lib/Database');
+const { MemoryStorage } = require('../lib/Storage');
+
+const config = { dataFile: 'tests/temp/autosave.json', collectionsFolder: 'tests/temp/autosave' };
+
+const saves = emitter => {
+  const counter = { count: 0 };
+
+  emitter.on('save', () => counter.count++);
+
+  return counter;
+};
+
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+
+
+test('AutoSave class', () => {
+  const save = jest.fn(() => autoSave.saved());
+  const autoSave = new AutoSave({ debounce: 100, interval: 250, maxPendingChanges: 10 }, save, () => {});
+
+  autoSave.change();
+  jest.advanceTimersByTime(50);
+  autoSave.change();
+  jest.advanceTimersByTime(50);
+
+  expect(save).not.toHaveBeenCalled();
+  expect(autoSave.pending).toBe(2);
+
+  jest.advanceTimersByTime(50);
+
+  expect(save).toHaveBeenCalledTimes(1);
+  expect(autoSave.pending).toBe(0);
+
+  // Changes made more often than the debounce are still saved by the interval, or once there are too many of them
+  for (var i = 0; i < 5; i++) {
+    autoSave.change();
+    jest.advanceTimersByTime(60);
+  }
+
+  expect(save).toHaveBeenCalledTimes(2);
+
+  for (var j = 0; j < 10; j++)
+    autoSave.change();
+
+  expect(save).toHaveBeenCalledTimes(3);
+
+  autoSave.change();
+  autoSave.stop();
+
+  expect(save).toHaveBeenCalledTimes(4);
+
+  expect(() => new AutoSave({ delay: 100 }, save)).toThrow(/autoSave option must be a boolean or an object/);
+  expect(() => new AutoSave({ debounce: -1 }, save)).toThrow(/autoSave option must be a boolean or an object/);
+});
+
+
+test('Database autoSave option', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ ...config, storage, autoSave: { debounce: 200 } });
+  const Users = db.createCollection('users', {}, { autoSave: { maxPendingChanges: 2 } });
+  const dbSaves = saves(db);
+  const usersSaves = saves(Users);
+
+  db.set('a', 1);
+  db.set('b', 2);
+  Users.create({ name: 'Peter' });
+
+  expect(dbSaves.count).toBe(0);
+  expect(usersSaves.count).toBe(0);
+
+  jest.advanceTimersByTime(200);
+  Users.create({ name: 'John' });
+
+  expect(dbSaves.count).toBe(1);
+  expect(usersSaves.count).toBe(1);
+  expect(JSON.parse(storage.read(config.dataFile))).toEqual({ a: 1, b: 2 });
+
+  // Saving by hand leaves nothing for the timers to save
+  db.set('c', 3);
+  db.save();
+  jest.advanceTimersByTime(200);
+
+  expect(dbSaves.count).toBe(2);
+
+  db.set('d', 4);
+  db.close();
+
+  expect(dbSaves.count).toBe(3);
+  expect(JSON.parse(storage.read(config.dataFile))).toEqual({ a: 1, b: 2, c: 3, d: 4 });
+
+  expect(() => new Database({ ...config, storage, autoSave: 'debounce' })).toThrow(/autoSave option must be a boolean or an object/);
+});
+
+
+test('Errors of autoSave', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ ...config, storage, autoSave: { debounce: 200 } });
+  const errors = [];
+
+  storage.write = () => { throw Object.assign(new Error('Permission denied'), { code: 'EACCES' }); };
+  db.set('a', 1);
+
+  // Without a listener they become process warnings
+  const warning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+
+  expect(() => jest.advanceTimersByTime(200)).not.toThrow();
+  expect(warning).toHaveBeenCalledWith(expect.objectContaining({ message: 'The database file could not be accessed' }));
+
+  warning.mockRestore();
+
+  db.on('error', e => errors.push(e.message));
+  db.set('b', 2);
+  jest.advanceTimersByTime(200);
+
+  expect(errors).toEqual(['The database file could not be accessed']);
+
+  // Any other error of the storage is thrown as it is
+  delete storage.write;
+
+  const Users = db.createCollection('users');
+
+  storage.write = () => { throw Object.assign(new Error('No space left on device'), { code: 'ENOSPC' }); };
+
+  expect(() => db.save()).toThrow('No space left on device');
+  expect(() => Users.save()).toThrow('No space left on device');
+
+  delete storage.write;
+  db.close();
+
+  expect(JSON.parse(storage.read(config.dataFile))).toEqual({ a: 1, b: 2 });
+});
+
+
+test('Database#flush', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ ...config, storage, autoSave: false });
+  const Users = db.createCollection('users');
+  const Posts = db.createCollection('posts');
+  const usersSaves = saves(Users);
+  const postsSaves = saves(Posts);
+
+  db.set('money', 100);
+  Users.create({ name: 'Peter' });
+
+  expect(storage.read(config.dataFile)).toBe(null);
+
+  db.flush();
+
+  expect(JSON.parse(storage.read(config.dataFile))).toEqual({ money: 100 });
+  expect(JSON.parse(storage.read(config.collectionsFolder + '/users.json'))).toEqual([{ name: 'Peter' }]);
+  expect(usersSaves.count).toBe(1);
+  expect(postsSaves.count).toBe(0);
+
+  Users.flush();
+
+  expect(usersSaves.count).toBe(1);
+});
+
+
+test('AsyncDatabase autoSave option', async () => {
+  const storage = new MemoryStorage();
+  const db = new AsyncDatabase({ ...config, storage, autoSave: { interval: 1000 } });
+  const Users = await db.createCollection('users');
+
+  await db.set('money', 100);
+  await Users.create({ name: 'Peter' });
+
+  expect(storage.read(config.dataFile)).toBe(null);
+
+  jest.advanceTimersByTime(1000);
+  await db.save();
+  await Users.save();
+
+  expect(JSON.parse(storage.read(config.dataFile))).toEqual({ money: 100 });
+  expect(JSON.parse(storage.read(config.collectionsFolder + '/users.json'))).toEqual([{ name: 'Peter' }]);
+
+  await Users.create({ name: 'John' });
+  await db.flush();
+
+  expect(JSON.parse(storage.read(config.collectionsFolder + '/users.json'))).toHaveLength(2);
+
+  await expect(db.close()).resolves.toBeUndefined();
+});
\ No newline at end of file
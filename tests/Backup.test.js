@@ -0,0 +1,136 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { MemoryStorage } = require('../lib/Storage');
+
+FS.mkdirSync('tests/temp/backup', { recursive: true });
+
+const dataFile = 'tests/temp/backup/database.json';
+const collectionsFolder = 'tests/temp/backup/collections';
+const backups = 'tests/temp/backup/backups';
+
+
+beforeEach(() => {
+  FS.rmSync('tests/temp/backup', { recursive: true, force: true });
+  FS.mkdirSync('tests/temp/backup', { recursive: true });
+});
+
+
+
+test('Database#backup', () => {
+  const db = new Database({ dataFile, collectionsFolder, autoSave: false });
+  const Users = db.createCollection('users', {}, { journal: { ratio: 100 } });
+
+  db.set('money', 100);
+  db.set('cooldown', true, { ttl: 60000 });
+  Users.create({ name: 'Peter' });
+  Users.save();
+  Users.create({ name: 'John' });
+
+  // Unsaved changes are saved before the files are copied
+  const manifest = db.backup(backups + '/first');
+
+  expect(manifest.files.map(f => f.name)).toEqual(['database.json', 'database.json.ttl', 'collections/users.json', 'collections/users.json.log', 'collections/users.json.meta']);
+  expect(JSON.parse(FS.readFileSync(backups + '/first/manifest.json', 'utf8'))).toEqual(manifest);
+  expect(JSON.parse(FS.readFileSync(backups + '/first/database.json', 'utf8'))).toEqual({ money: 100, cooldown: true });
+
+  for (const file of manifest.files)
+    expect(FS.readFileSync(backups + '/first/' + file.name, 'utf8')).toBe(FS.readFileSync(file.name.startsWith('collections/') ? collectionsFolder + file.name.slice(11) : 'tests/temp/backup/' + file.name, 'utf8'));
+
+  expect(() => db.backup('')).toThrow('The provided folder is invalid');
+  expect(() => db.transaction(() => db.backup(backups + '/second'))).toThrow('A backup cannot be taken during a transaction');
+});
+
+
+test('Database#restore', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, collectionsFolder, storage });
+  const Users = db.createCollection('users');
+
+  db.set('money', 100);
+  Users.create({ name: 'Peter' });
+  new Database({ dataFile, collectionsFolder, storage }).createCollection('posts').create({ title: 'Hello' });
+
+  db.backup(backups + '/first');
+
+  db.set('money', 0);
+  db.set('cooldown', true, { ttl: 60000 });
+  Users.create({ name: 'John' });
+  storage.write(collectionsFolder + '/posts.json', '[]');
+
+  db.restore(backups + '/first');
+
+  expect(db.toJSON()).toEqual({ money: 100 });
+  expect(db.ttl('cooldown')).toBe(null);
+  expect(Users.toJSON()).toEqual([{ name: 'Peter' }]);
+
+  // Collections that are not loaded get their files back
+  const reopened = new Database({ dataFile, collectionsFolder, storage });
+
+  expect(reopened.toJSON()).toEqual({ money: 100 });
+  expect(reopened.createCollection('users').toJSON()).toEqual([{ name: 'Peter' }]);
+  expect(reopened.createCollection('posts').toJSON()).toEqual([{ title: 'Hello' }]);
+
+  // A snapshot whose files were changed is not restored at all
+  storage.write(backups + '/first/collections/users.json', '[]');
+  db.set('money', 50);
+
+  expect(() => db.restore(backups + '/first')).toThrow('The file collections/users.json of the snapshot is missing or does not match its checksum');
+  expect(db.get('money')).toBe(50);
+  expect(() => db.restore(backups + '/missing')).toThrow('The provided folder does not hold a complete snapshot');
+});
+
+
+test('Database backup option', () => {
+  jest.useFakeTimers('modern');
+
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, collectionsFolder, storage, backup: { folder: backups, interval: 1000, keep: 2 } });
+
+  for (var i = 1; i <= 3; i++) {
+    db.set('money', i);
+    jest.advanceTimersByTime(1000);
+  }
+
+  // Only the latest snapshots are kept
+  const snapshots = JSON.parse(storage.read(backups + '/snapshots.json'));
+
+  expect(snapshots).toHaveLength(2);
+  expect(storage.list(backups)).toEqual(['snapshots.json']);
+
+  db.restore(backups + '/' + snapshots[0]);
+
+  expect(db.get('money')).toBe(2);
+
+  db.close();
+  jest.useRealTimers();
+
+  expect(() => new Database({ dataFile, storage, backup: { folder: backups } })).toThrow('The backup option must be an object with a folder, an interval in milliseconds and how many snapshots to keep');
+});
+
+
+test('AsyncDatabase#backup', async () => {
+  const db = new AsyncDatabase({ dataFile, collectionsFolder });
+  const Users = await db.createCollection('users');
+
+  await db.set('money', 100);
+  await Users.create({ name: 'Peter' });
+
+  // Everything was saved already, so nothing is written again
+  let saves = 0;
+  db.on('save', () => saves++);
+
+  const manifest = await db.backup(backups + '/first');
+
+  expect(manifest.files.map(f => f.name)).toEqual(['database.json', 'collections/users.json']);
+  expect(saves).toBe(0);
+
+  await db.set('money', 0);
+  await Users.remove();
+  await db.restore(backups + '/first');
+
+  expect(await db.fetch('money')).toBe(100);
+  expect(await Users.fetchAll()).toMatchObject([{ name: 'Peter' }]);
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const Database = require('../lib/Database');
+const { run } = require('../lib/CLI');
+
+FS.mkdirSync('tests/temp/cli', { recursive: true });
+
+const dataFile = 'tests/temp/cli/database.json';
+const collectionsFolder = 'tests/temp/cli/collections';
+const options = ['--data-file', dataFile, '--collections-folder', collectionsFolder];
+
+// Returns the exit code of the command along with what it wrote
+function simpldb(...args) {
+  let stdout = '', stderr = '';
+
+  const code = run([...args, ...options], { stdout: { write: data => stdout += data }, stderr: { write: data => stderr += data } });
+
+  return { code, stdout, stderr };
+}
+
+
+beforeEach(() => {
+  FS.rmSync('tests/temp/cli', { recursive: true, force: true });
+  FS.mkdirSync('tests/temp/cli', { recursive: true });
+});
+
+
+
+test('simpldb get, set, delete and keys', () => {
+  expect(simpldb('set', 'settings.theme', 'dark')).toEqual({ code: 0, stdout: '', stderr: '' });
+  expect(simpldb('set', 'settings.size', '12')).toMatchObject({ code: 0 });
+  expect(simpldb('set', 'money', '100')).toMatchObject({ code: 0 });
+
+  expect(JSON.parse(FS.readFileSync(dataFile, 'utf8'))).toEqual({ settings: { theme: 'dark', size: 12 }, money: 100 });
+
+  expect(simpldb('get', 'settings')).toEqual({ code: 0, stdout: '{\n  "theme": "dark",\n  "size": 12\n}\n', stderr: '' });
+  expect(simpldb('keys').stdout).toBe('settings\nmoney\n');
+  expect(simpldb('keys', 'settings').stdout).toBe('theme\nsize\n');
+
+  expect(simpldb('delete', 'settings.size')).toMatchObject({ code: 0 });
+  expect(simpldb('get', 'settings.size')).toEqual({ code: 1, stdout: '', stderr: 'simpldb: The provided key does not exist\n' });
+  expect(simpldb('keys', 'money').stderr).toBe('simpldb: The value of the provided key has no keys\n');
+
+  // Values are encrypted and decrypted with the provided key
+  const key = 'a'.repeat(32);
+
+  expect(simpldb('set', 'token', 'secret', '--key', key)).toMatchObject({ code: 0 });
+  expect(JSON.parse(FS.readFileSync(dataFile, 'utf8')).token).not.toBe('secret');
+  expect(simpldb('get', 'token', `--key=${key}`).stdout).toBe('"secret"\n');
+
+  // Only the values set encrypted are decrypted, and only strings can be
+  expect(simpldb('set', 'secrets.pin', '"42"', '--key', key)).toMatchObject({ code: 0 });
+  expect(simpldb('set', 'secrets.user', 'peter')).toMatchObject({ code: 0 });
+  expect(simpldb('get', 'money', '--key', key).stdout).toBe('100\n');
+  expect(simpldb('get', 'secrets', '--key', key).stdout).toBe('{\n  "pin": "42",\n  "user": "peter"\n}\n');
+  expect(simpldb('set', 'pin', '42', '--key', key)).toMatchObject({ code: 1, stderr: 'simpldb: Only strings can be encrypted, quote the value as a JSON string to encrypt it\n' });
+
+  expect(simpldb('set', 'money')).toMatchObject({ code: 1, stderr: 'simpldb: Missing arguments, the syntax is simpldb set <key> <value>\n' });
+  expect(simpldb('unknown')).toMatchObject({ code: 1, stderr: 'simpldb: Unknown command unknown, see simpldb --help\n' });
+  expect(simpldb('get', 'money', '--verbose')).toMatchObject({ code: 1, stderr: 'simpldb: Unknown option --verbose\n' });
+  expect(simpldb('--help')).toMatchObject({ code: 0, stdout: expect.stringContaining('Usage: simpldb <command>') });
+});
+
+
+test('simpldb collections list and collection query', () => {
+  const db = new Database({ dataFile, collectionsFolder });
+
+  db.createCollection('users').createBulk([{ name: 'Peter', age: 19 }, { name: 'John', age: 17, tags: ['new'] }, { name: 'Mary', age: 21 }]);
+  db.createCollection('posts');
+
+  expect(simpldb('collections', 'list').stdout).toBe([
+    'name   entries  size',
+    '-----  -------  ----',
+    'posts  0        2',
+    'users  3        92',
+    ''
+  ].join('\n'));
+
+  expect(simpldb('collection', 'query', 'users', '{ "age": { "$gte": 18 } }').stdout).toBe([
+    'name   age',
+    '-----  ---',
+    'Peter  19',
+    'Mary   21',
+    ''
+  ].join('\n'));
+
+  expect(JSON.parse(simpldb('collection', 'query', 'users', '--output', 'json', '--limit', '2').stdout)).toEqual([{ name: 'Peter', age: 19 }, { name: 'John', age: 17, tags: ['new'] }]);
+  expect(simpldb('collection', 'query', 'posts').stdout).toBe('(no entries)\n');
+
+  expect(simpldb('collection', 'query', 'missing').stderr).toBe('simpldb: The provided collection does not exist\n');
+  expect(simpldb('collection', 'query', 'users', 'name').stderr).toBe('simpldb: The filter must be a JSON object\n');
+  expect(simpldb('collection', 'query', 'users', '--limit', '0').stderr).toBe('simpldb: The limit option must be a positive integer\n');
+});
+
+
+test('simpldb export, import, backup and verify', () => {
+  new Database({ dataFile, collectionsFolder }).createCollection('users').create({ name: 'Peter' });
+
+  expect(simpldb('export', 'tests/temp/cli/export', '--format', 'csv', '--output', 'json')).toMatchObject({ code: 0, stdout: '[\n  {\n    "name": "users",\n    "entries": 1\n  }\n]\n' });
+  expect(FS.readFileSync('tests/temp/cli/export/collections/users.csv', 'utf8')).toBe('"name"\n"Peter"\n');
+
+  expect(simpldb('import', 'tests/temp/cli/export', '--format', 'csv')).toMatchObject({ code: 0 });
+  expect(JSON.parse(FS.readFileSync(collectionsFolder + '/users.json', 'utf8'))).toEqual([{ name: 'Peter' }, { name: 'Peter' }]);
+
+  expect(simpldb('backup', 'tests/temp/cli/backup').stdout).toMatch(/^name\s+size\s+sha256\n/);
+  expect(simpldb('verify', 'tests/temp/cli/backup')).toEqual({ code: 0, stdout: 'The snapshot is complete, its 1 files match their checksums\n', stderr: '' });
+
+  FS.writeFileSync('tests/temp/cli/backup/collections/users.json', '[]');
+
+  expect(simpldb('verify', 'tests/temp/cli/backup')).toMatchObject({ code: 1, stderr: 'simpldb: The file collections/users.json of the snapshot is missing or does not match its checksum\n' });
+});
+
+
+test('simpldb --passphrase', () => {
+  const encryption = { passphrase: 'correct horse' };
+
+  new Database({ dataFile, collectionsFolder, encryption }).set('settings', { theme: 'dark' });
+
+  expect(simpldb('get', 'settings.theme', '--passphrase', 'correct horse')).toEqual({ code: 0, stdout: '"dark"\n', stderr: '' });
+  expect(simpldb('keys', '--passphrase', 'correct horse').stdout).toBe('settings\n');
+  expect(simpldb('backup', 'tests/temp/cli/backup', '--passphrase', 'correct horse')).toMatchObject({ code: 0 });
+  expect(simpldb('verify', 'tests/temp/cli/backup', '--passphrase', 'correct horse')).toMatchObject({ code: 0, stdout: 'The snapshot is complete, its 1 files match their checksums\n' });
+  expect(simpldb('get', 'settings', '--passphrase', 'wrong')).toMatchObject({ code: 1 });
+  expect(simpldb('get', 'settings')).toMatchObject({ code: 1 });
+});
\ No newline at end of file
@@ -1,6 +1,8 @@
 /* eslint-disable no-undef */
 
 const Database = require('../lib/Database');
+const { DuplicateKeyError, SchemaValidationError } = require('../lib/Errors');
+const { MemoryStorage } = require('../lib/Storage');
 const db = new Database({
   autoSave: false,
   collectionTimestamps: true,
@@ -28,6 +30,31 @@ jest
 
 
   
+test('Collection#aggregate', () => {
+  Posts.createBulk([{ content: 'A', likes: 3, tags: ['news'] }, { content: 'B', likes: 10, tags: ['news', 'tech'] }, { content: 'C', likes: 5 }]);
+  Posts.createIndex('likes');
+
+  expect(Posts.aggregate([
+    { $match: { likes: { $gte: 4 } } },
+    { $group: { _id: null, total: { $sum: '$likes' }, contents: { $push: '$content' } } }
+  ])).toEqual([{ _id: null, total: 15, contents: ['B', 'C'] }]);
+
+  expect(Posts.count()).toBe(3);
+  expect(Posts.count({ likes: { $lt: 5 } })).toBe(1);
+  expect(Posts.distinct('tags')).toEqual(['news', 'tech']);
+  expect(Posts.distinct('likes', p => p.likes > 3)).toEqual([10, 5]);
+  expect(Posts.sum('likes')).toBe(18);
+  expect(Posts.sum('likes', { tags: 'tech' })).toBe(10);
+  expect(Posts.groupBy('likes')).toMatchObject({ 3: [{ content: 'A' }], 5: [{ content: 'C' }], 10: [{ content: 'B' }] });
+  expect(Posts.groupBy('tags.0')).toMatchObject({ news: [{ content: 'A' }, { content: 'B' }], null: [{ content: 'C' }] });
+
+  expect(() => Posts.sum(null)).toThrow(/field must be a non-empty string/);
+
+  Posts.dropIndex('likes');
+  Posts.remove();
+});
+
+
 test('Collection#create', () => {
   expect(Posts.create({ content: 'This is my first post!' }))
     .toEqual({
@@ -68,16 +95,123 @@ test('Collection#createBulk', () => {
 });
 
 
-test('Collection#fetch', () => {}); // Cannot be tested
+test('Collection#createIndex', () => {
+  Posts.createBulk([
+    { content: 'This is my first post!', author: 'Peter' },
+    { content: 'This is my second post!', author: 'John' },
+    { content: 'This is my third post!', author: 'Peter' }
+  ]);
+
+  expect(Posts.createIndex('author')).toBe('author');
+  expect(Posts.createIndex(['author', 'id'], { name: 'author_posts' })).toBe('author_posts');
+  expect(Posts.listIndexes()).toEqual([{ name: 'author', fields: ['author'] }, { name: 'author_posts', fields: ['author', 'id'] }]);
+
+  expect(Posts.getMany({ author: 'Peter' })).toMatchObject([{ id: 0 }, { id: 2 }]);
+  expect(Posts.get({ author: 'Peter', id: 2 })).toMatchObject({ id: 2 });
 
+  Posts.update(p => p.author = 'Mary', { id: 0 });
+  Posts.create({ content: 'This is my fourth post!', author: 'Peter' });
 
-test('Collection#fetchMany', () => {}); // Cannot be tested
+  expect(Posts.getMany({ author: 'Peter' })).toMatchObject([{ id: 2 }, { id: 3 }]);
+  expect(Posts.getMany({ author: { $in: ['Mary', 'John'] } })).toMatchObject([{ id: 0 }, { id: 1 }]);
 
+  Posts.remove({ author: 'Mary' });
 
-test('Collection#fetchAll', () => {}); // Cannot be tested
+  expect(Posts.getMany({ author: 'Mary' })).toEqual([]);
+
+  const post = Posts.get({ id: 1 });
+
+  post.author = 'Anna';
+  post.save();
+
+  expect(Posts.getMany({ author: 'Anna' })).toMatchObject([{ id: 1 }]);
+  expect(Posts.getMany({ author: 'John' })).toEqual([]);
+
+  expect(() => Posts.createIndex('author')).toThrow('An index with the provided name already exists');
+  expect(() => Posts.createIndex('some..key')).toThrow(/fields of the index must be a valid key/);
+  expect(() => Posts.createIndex([])).toThrow(/fields of the index must be a valid key/);
+
+  expect(Posts.dropIndex('author')).toBe(true);
+  expect(Posts.dropIndex('author_posts')).toBe(true);
+  expect(Posts.dropIndex('author')).toBe(false);
+  expect(Posts.listIndexes()).toEqual([]);
+
+  Posts.remove();
+});
 
 
-test('Collection#fetchOrCreate', () => {}); // Cannot be tested
+test('Collection#fetch', () => {
+  const storage = new MemoryStorage();
+  const Users = new Database({ autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage }).createCollection('users');
+
+  storage.write('tests/temp/memory/users.json', JSON.stringify([{ name: 'Peter', age: 19 }]));
+
+  expect(Users.get({ name: 'Peter' })).toBe(null);
+  expect(Users.fetch({ name: 'Peter' })).toMatchObject({ name: 'Peter', age: 19 });
+  expect(Users.fetch(user => user.age > 19)).toBe(null);
+
+  const user = Users.fetch({ name: 'Peter' });
+  user.age = 20;
+  user.save();
+
+  expect(Users.get({ name: 'Peter' })).toBe(null);
+});
+
+
+test('Collection#fetchMany', () => {
+  const storage = new MemoryStorage({ 'tests/temp/memory/users.json': JSON.stringify([{ name: 'Peter', age: 19 }, { name: 'John', age: 20 }, { name: 'Mary', age: 21 }]) });
+  const Users = new Database({ autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage }).createCollection('users');
+
+  storage.write('tests/temp/memory/users.json', JSON.stringify([{ name: 'John', age: 20 }, { name: 'Mary', age: 21 }]));
+
+  expect(Users.getMany({ age: { $gt: 19 } })).toHaveLength(2);
+  expect(Users.fetchMany({ age: { $lt: 21 } }).map(u => u.name)).toEqual(['John']);
+  expect(Users.fetchMany(() => true, { sort: { age: 'desc' }, select: ['name'] })).toEqual([{ name: 'Mary' }, { name: 'John' }]);
+});
+
+
+test('Collection#fetchAll', () => {
+  const storage = new MemoryStorage();
+  const Users = new Database({ autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage }).createCollection('users');
+
+  expect(Users.fetchAll()).toEqual([]);
+
+  storage.write('tests/temp/memory/users.json', JSON.stringify([{ name: 'Peter' }, { name: 'John' }]));
+
+  expect(Users.getAll()).toEqual([]);
+  expect(Users.fetchAll().map(u => u.name)).toEqual(['Peter', 'John']);
+});
+
+
+test('Collection#fetchOrCreate', () => {
+  const storage = new MemoryStorage({ 'tests/temp/memory/users.json': JSON.stringify([{ name: 'Peter' }]) });
+  const Users = new Database({ autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage }).createCollection('users');
+
+  expect(Users.fetchOrCreate({ name: 'Peter' }, { name: 'Peter', age: 19 })).toMatchObject({ name: 'Peter' });
+  expect(Users.fetchOrCreate({ name: 'John' }, { name: 'John' })).toMatchObject({ name: 'John' });
+  expect(Users.entries).toBe(2);
+});
+
+
+test('Collection#find', () => {
+  Posts.createBulk([{ content: 'B', likes: 3 }, { content: 'A', likes: 10 }, { content: 'C', likes: 3 }]);
+
+  expect(Posts.find({}, { sort: { likes: -1, content: 1 } }).map(p => p.content)).toEqual(['A', 'B', 'C']);
+  expect(Posts.find({ likes: 3 }, { sort: { content: 'desc' }, limit: 1 })).toMatchObject([{ content: 'C' }]);
+  expect(Posts.find(p => p.likes < 5, { select: ['content'] })).toEqual([{ content: 'B' }, { content: 'C' }]);
+  expect(Posts.find(undefined, { skip: 2, select: { createdAt: 0, updatedAt: 0, id: 0 } })).toEqual([{ content: 'C', likes: 3 }]);
+
+  const [first] = Posts.find({}, { sort: { likes: 1, content: 1 }, limit: 1 });
+
+  expect(Posts.find({}, { sort: { likes: 1, content: 1 }, after: first }).map(p => p.content)).toEqual(['C', 'A']);
+  expect(Posts.getMany({ likes: 3 }, { sort: { content: -1 } }).map(p => p.content)).toEqual(['C', 'B']);
+
+  expect(() => Posts.find({}, { limit: -1 })).toThrow(/limit option must be a non-negative integer/);
+  expect(() => Posts.getMany({}, null)).toThrow(/options parameter must be an object/);
+
+  Posts.remove();
+});
+
 
 
 test('Collection#get', () => {
@@ -85,6 +219,8 @@ test('Collection#get', () => {
 
   expect(Posts.get(p => p.id === 0)).toMatchObject({ id: 0, content: 'This is my first post!', createdAt: now, updatedAt: now });
   expect(Posts.get(p => p.id === 1)).toBe(null);
+  expect(Posts.get({ id: 0 })).toMatchObject({ id: 0, content: 'This is my first post!' });
+  expect(Posts.get({ id: { $gt: 0 } })).toBe(null);
 
   expect(() => Posts.get(null)).toThrow(/parameter must be a function/);
 
@@ -104,9 +240,17 @@ test('Collection#getMany', () => {
       { id: 0, content: 'This is my first post!', createdAt: now, updatedAt: now }
     ]);
   expect(Posts.getMany(p => p.id === 1)).toEqual([]);
+  expect(Posts.getMany({ content: { $regex: 'first' } })).toMatchObject([{ id: 0 }]);
 
   expect(() => Posts.getMany(null)).toThrow(/parameter must be a function/);
 
+  Posts.createIndex('id');
+  Posts.createBulk([{ content: 'This is my second post!' }, { content: 'This is my third post!' }]);
+
+  expect(Posts.getMany({ id: { $gte: 1 } })).toMatchObject([{ id: 1 }, { id: 2 }]);
+  expect(Posts.getMany({ id: { $lt: 2 }, content: /first/ })).toMatchObject([{ id: 0 }]);
+
+  Posts.dropIndex('id');
   Posts.remove();
 });
 
@@ -148,6 +292,7 @@ test('Collection#has', () => {
 
   expect(Posts.has(p => p.id === 0)).toBe(true);
   expect(Posts.has(p => p.id === 1)).toBe(false);
+  expect(Posts.has({ id: { $in: [0, 1] } })).toBe(true);
   
   expect(() => Posts.has()).toThrow(/parameter must be a function/);
   expect(() => Posts.has(null)).toThrow(/parameter must be a function/);
@@ -188,6 +333,9 @@ test('Collection#remove', () => {
 
   expect(Posts.entries).toBe(4);
 
+  expect(Posts.remove({ id: { $gte: 2 } })).toMatchObject([{ id: 2 }, { id: 3 }]);
+  expect(Posts.entries).toBe(2);
+
   Posts.remove();
 
   expect(Posts.entries).toBe(0);
@@ -220,7 +368,19 @@ test('Collection#reset', () => {
 });
 
 
-test('Collection#save', () => {}); // Cannot be tested
+test('Collection#save', () => {
+  const storage = new MemoryStorage();
+  const Users = new Database({ autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage }).createCollection('users', {}, { timestamps: false });
+
+  Users.create({ name: 'Peter' });
+
+  expect(storage.read('tests/temp/memory/users.json')).toBe('[]');
+
+  Users.save();
+
+  expect(JSON.parse(storage.read('tests/temp/memory/users.json'))).toEqual([{ name: 'Peter' }]);
+  expect(Users.entries).toBe(1);
+});
 
 
 test('Collection#update', () => {
@@ -241,6 +401,8 @@ test('Collection#update', () => {
       { id: 2, content: 'Hey 👋🏼! This is my third post!', createdAt: now, updatedAt: now }
     ]);
 
+  expect(Posts.update(p => p.content = 'Edited', { $or: [{ id: 1 }, { id: 2 }] }).length).toBe(2);
+
   expect(() => Posts.update(null)).toThrow(/parameter must be a function/);
   expect(() => Posts.update(p => p.content += '🙂', null)).toThrow(/parameter must be a function/);
 
@@ -276,4 +438,212 @@ test('Data#save', () => {
   expect(Posts.get(p => p.id === 0)).toMatchObject({ id: 0, content: 'Post removed', createdAt: now, updatedAt: now });
 
   Posts.remove();
+});
+
+
+test('Collection#create (unique)', () => {
+  const Users = db.createCollection('users', {}, { unique: ['email', ['guild', 'nickname']] });
+
+  expect(Users.listIndexes()).toEqual([
+    { name: 'email', fields: ['email'], unique: true },
+    { name: 'guild_nickname', fields: ['guild', 'nickname'], unique: true }
+  ]);
+
+  Users.create({ email: 'peter@mail.com', guild: 'a', nickname: 'Pete' });
+
+  expect(() => Users.create({ email: 'peter@mail.com' })).toThrow(DuplicateKeyError);
+  expect(() => Users.create({ email: 'peter@mail.com' })).toThrow(/unique field email already exists in the entry/);
+  expect(() => Users.create({ email: 'john@mail.com', guild: 'a', nickname: 'Pete' })).toThrow(/unique fields guild, nickname/);
+  expect(Users.create({ email: 'john@mail.com', guild: 'b', nickname: 'Pete' })).toMatchObject({ email: 'john@mail.com' });
+  expect(Users.create({ guild: 'c' })).toEqual({ guild: 'c', createdAt: now, updatedAt: now });
+
+  expect(() => Users.createBulk([{ email: 'mary@mail.com' }, { email: 'mary@mail.com' }])).toThrow(DuplicateKeyError);
+  expect(Users.entries).toBe(3);
+
+  try {
+    Users.create({ email: 'peter@mail.com' });
+  } catch (e) {
+    expect(e.fields).toEqual(['email']);
+    expect(e.value).toBe('peter@mail.com');
+    expect(e.entry).toMatchObject({ email: 'peter@mail.com', nickname: 'Pete' });
+  }
+
+  expect(() => Users.update(u => u.email = 'peter@mail.com', { email: 'john@mail.com' })).toThrow(DuplicateKeyError);
+  expect(Users.get({ email: 'john@mail.com' })).toMatchObject({ guild: 'b' });
+
+  expect(Users.update(u => u.email = u.email === 'peter@mail.com' ? 'john@mail.com' : 'peter@mail.com', { email: { $exists: true } }).length).toBe(2);
+  expect(Users.get({ email: 'john@mail.com' })).toMatchObject({ guild: 'a' });
+
+  expect(() => Users.createIndex('nickname', { unique: true })).toThrow(DuplicateKeyError);
+  expect(() => db.createCollection('members', {}, { unique: 'email' })).toThrow(/unique option must be an array/);
+  expect(() => db.createCollection('members', {}, null)).toThrow(/options parameter must be an object/);
+
+  db.collections = [db.collections[0]];
+});
+
+test('Collection#create (schema)', () => {
+  const Users = db.createCollection('users', { role: 'user' }, {
+    schema: {
+      name: { type: 'string', required: true },
+      age: { type: 'number', min: 13 },
+      role: { type: 'string', enum: ['admin', 'user'] }
+    }
+  });
+
+  expect(Users.create({ name: 'Peter', age: 19 })).toMatchObject({ name: 'Peter', age: 19, role: 'user' });
+
+  expect(() => Users.create({ age: 5 })).toThrow(SchemaValidationError);
+  expect(() => Users.create({ age: 5, role: 'owner' })).toThrow(/- name is required\n- age must be at least 13\n- role must be one of "admin", "user"/);
+  expect(() => Users.createBulk([{ name: 'John' }, { name: 7 }])).toThrow(/- \[1\].name must be of type string/);
+  expect(Users.entries).toBe(1);
+
+  try {
+    Users.create({});
+  } catch (e) {
+    expect(e.errors).toEqual([{ path: 'name', message: 'is required' }]);
+  }
+
+  expect(() => Users.update(u => u.age = 3)).toThrow(/age must be at least 13/);
+  expect(Users.get({ name: 'Peter' })).toMatchObject({ age: 19 });
+
+  const peter = Users.get({ name: 'Peter' });
+
+  peter.role = 'owner';
+
+  expect(() => peter.save()).toThrow(SchemaValidationError);
+
+  peter.role = 'admin';
+
+  expect(peter.save()).toMatchObject([{ name: 'Peter', role: 'admin' }]);
+
+  expect(() => db.createCollection('members', {}, { schema: { name: 'text' } })).toThrow(/Invalid schema for name/);
+
+  db.collections = [db.collections[0]];
+});
+
+test('Collection#getById', () => {
+  const Users = db.createCollection('users', {}, { id: 'uuid' });
+  const peter = Users.create({ name: 'Peter' });
+  const [john] = Users.createBulk([{ name: 'John' }]);
+
+  expect(peter._id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  expect(john._id).not.toBe(peter._id);
+  expect(Users.getById(peter._id)).toMatchObject({ name: 'Peter' });
+  expect(Users.getById('unknown')).toBe(null);
+  expect(() => Users.create({ _id: peter._id })).toThrow(DuplicateKeyError);
+
+  expect(Users.updateById(john._id, u => u.name = 'Johnny')).toMatchObject({ _id: john._id, name: 'Johnny' });
+  expect(Users.updateById('unknown', u => u.name = 'Nobody')).toBe(null);
+
+  const entry = Users.getById(peter._id);
+
+  entry.name = 'Pete';
+  entry.save();
+
+  expect(Users.getMany({ name: { $in: ['Pete', 'Johnny'] } }).length).toBe(2);
+
+  expect(Users.removeById(peter._id)).toMatchObject({ name: 'Pete' });
+  expect(Users.removeById(peter._id)).toBe(null);
+  expect(Users.entries).toBe(1);
+
+  expect(() => Users.getById(null)).toThrow(/id must be a string or a number/);
+
+  const Members = db.createCollection('members', {}, { id: 'ulid' });
+  const Guilds = db.createCollection('guilds', {}, { id: data => data.name.toLowerCase() });
+
+  expect(Members.create({})._id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+  expect(Guilds.create({ name: 'Knights' })).toMatchObject({ _id: 'knights' });
+  expect(Guilds.create({ _id: 'custom', name: 'Knights' })).toMatchObject({ _id: 'custom' });
+
+  expect(() => db.createCollection('roles', {}, { id: 'increment' })).toThrow(/id option must be/);
+  expect(() => db.createCollection('roles', {}, { id: () => null }).create({})).toThrow(/generated id must be/);
+
+  db.collections = [db.collections[0]];
+});
+
+
+test('Collection events', () => {
+  const Users = db.createCollection('users', { role: 'user' });
+  const events = [];
+
+  for (const event of ['create', 'update', 'remove', 'reset'])
+    Users.on(event, payload => events.push([event, JSON.parse(JSON.stringify(payload))]));
+
+  Users.create({ name: 'Peter' });
+  Users.createBulk([{ name: 'John' }]);
+  Users.update(u => u.role = 'admin', { name: 'Peter' });
+  Users.reset({ name: 'Peter' });
+  Users.remove(u => u.name === 'John');
+  Users.remove(u => u.name === 'Mary');
+
+  expect(events).toEqual([
+    ['create', { entries: [{ name: 'Peter', role: 'user', createdAt: now, updatedAt: now }] }],
+    ['create', { entries: [{ name: 'John', role: 'user', createdAt: now, updatedAt: now }] }],
+    ['update', { filter: { name: 'Peter' }, oldEntries: [{ name: 'Peter', role: 'user', createdAt: now, updatedAt: now }], newEntries: [{ name: 'Peter', role: 'admin', createdAt: now, updatedAt: now }] }],
+    ['reset', { filter: { name: 'Peter' }, oldEntries: [{ name: 'Peter', role: 'admin', createdAt: now, updatedAt: now }], newEntries: [{ name: 'Peter', role: 'user', createdAt: now, updatedAt: now }] }],
+    ['remove', { entries: [{ name: 'John', role: 'user', createdAt: now, updatedAt: now }] }]
+  ]);
+
+  db.collections = [db.collections[0]];
+});
+
+test('Collection#ttl', () => {
+  jest.useFakeTimers('legacy');
+
+  const Sessions = db.createCollection('sessions', {}, { expireAfter: 1000, sweepInterval: 100 });
+  const Codes = db.createCollection('codes', {}, { expireAfter: { field: 'expiresAt' } });
+  const expired = [];
+
+  Sessions.on('expired', ({ entries }) => expired.push(...entries.map(e => e.user)));
+
+  Sessions.createBulk([{ user: 'Peter' }, { user: 'John' }]);
+  Codes.createBulk([{ code: 'A', expiresAt: new Date(now + 500).toISOString() }, { code: 'B' }, { code: 'D', expiresAt: new Date(now - 1000) }]);
+
+  expect(Sessions.ttl({ user: 'Peter' })).toBe(1000);
+  expect(Codes.ttl({ code: 'A' })).toBe(500);
+  expect(Codes.ttl({ code: 'B' })).toBe(Infinity);
+  expect(Codes.ttl({ code: 'C' })).toBeNull();
+  expect(Codes.getAll().map(c => c.code)).toEqual(['A', 'B']);
+
+  Date.now.mockImplementation(() => now + 1000);
+
+  expect(Sessions.getAll()).toEqual([]);
+  expect(Sessions.has({ user: 'Peter' })).toBe(false);
+  expect(Sessions.count()).toBe(0);
+  expect(Codes.getAll().map(c => c.code)).toEqual(['B']);
+  expect(Sessions.entries).toBe(2);
+  expect(expired).toEqual([]);
+
+  jest.advanceTimersByTime(100);
+
+  expect(expired).toEqual(['Peter', 'John']);
+  expect(Sessions.entries).toBe(0);
+
+  // Errors of the sweeps are emitted when they are listened to, and become process warnings otherwise
+  const errors = [];
+  const warning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+
+  Sessions.on('expired', () => { throw new Error('Listener failed'); });
+  Sessions.create({ user: 'Mary' });
+  Date.now.mockImplementation(() => now + 2000);
+
+  expect(() => jest.advanceTimersByTime(100)).not.toThrow();
+  expect(warning).toHaveBeenCalledWith(expect.objectContaining({ message: 'Listener failed' }));
+
+  warning.mockRestore();
+
+  Sessions.on('error', e => errors.push(e.message));
+  Sessions.create({ user: 'Anna' });
+  Date.now.mockImplementation(() => now + 3000);
+  jest.advanceTimersByTime(100);
+
+  expect(errors).toEqual(['Listener failed']);
+
+  expect(() => db.createCollection('tokens', {}, { expireAfter: { ttl: 1000 } })).toThrow(/expireAfter option must be/);
+
+  Date.now.mockImplementation(() => now);
+  Sessions.close();
+  jest.useRealTimers();
+
+  db.collections = [db.collections[0]];
 });
\ No newline at end of file
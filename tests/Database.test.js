@@ -2,11 +2,13 @@
 
 const Database = require('../lib/Database');
 const Collection = require('../lib/Collection');
+const { DuplicateKeyError, SchemaValidationError } = require('../lib/Errors');
+const { MemoryStorage } = require('../lib/Storage');
 const db = new Database({
   autoSave: false,
   encryptionKey: 'n2dE3cU2UjVfhHGhmTaatrzcpVF6JLbu',
   dataFile: 'tests/temp/database.json',
-  collectionsFolder: 'tests/temp/collections'
+  collectionsFolder: 'tests/temp/database-collections'
 });
 
 
@@ -22,6 +24,35 @@ jest.mock('fs', () => {
 
 
 
+test('Database events', () => {
+  const events = [];
+  const listener = event => payload => events.push([event, payload]);
+
+  for (const event of ['set', 'delete', 'rename', 'clear'])
+    db.on(event, listener(event));
+
+  db.set('user', { name: 'Peter', money: 10 });
+  db.add('user.money', 5);
+  db.update('user', u => u.name = 'John');
+  db.push('items', 'sword');
+  db.rename('items', 'inventory');
+  db.delete('inventory');
+  db.clear();
+
+  expect(events).toEqual([
+    ['set', { key: 'user', oldValue: undefined, newValue: { name: 'Peter', money: 10 } }],
+    ['set', { key: 'user.money', oldValue: 10, newValue: 15 }],
+    ['set', { key: 'user', oldValue: { name: 'Peter', money: 15 }, newValue: { name: 'John', money: 15 } }],
+    ['set', { key: 'items', oldValue: undefined, newValue: ['sword'] }],
+    ['rename', { key: 'items', newKey: 'inventory', value: ['sword'] }],
+    ['delete', { key: 'inventory', oldValue: ['sword'] }],
+    ['clear', { oldValue: { user: { name: 'John', money: 15 } } }]
+  ]);
+
+  db.removeAllListeners();
+});
+
+
 test('Database#add', () => {
   db.set('balance', 350);
   db.set('account', { owner: '5antos', balance: 800 });
@@ -46,6 +77,25 @@ test('Database#clear', () => {
 });
 
 
+test('Database#copyCollection', () => {
+  const storage = new MemoryStorage();
+  const memoryDb = new Database({ autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage });
+  const Users = memoryDb.createCollection('users', {}, { unique: ['email'] });
+
+  Users.create({ name: 'Peter', email: 'peter@mail.com' });
+
+  expect(memoryDb.copyCollection('users', 'admins')).toEqual({ name: 'admins', entries: 1, size: 43 });
+  expect(memoryDb.getCollection('admins').getAll()).toMatchObject([{ name: 'Peter', email: 'peter@mail.com' }]);
+  expect(() => memoryDb.getCollection('admins').create({ email: 'peter@mail.com' })).toThrow(DuplicateKeyError);
+  expect(Users.entries).toBe(1);
+
+  expect(() => memoryDb.copyCollection('guests', 'visitors')).toThrow('The provided collection does not exist');
+  expect(() => memoryDb.copyCollection('users', 'admins')).toThrow('A collection with the provided name already exists');
+  expect(() => memoryDb.copyCollection('users', 'invalid..name')).toThrow('The provided new name is invalid');
+  expect(() => memoryDb.transaction(() => memoryDb.copyCollection('users', 'guests'))).toThrow('Collections cannot be copied during a transaction');
+});
+
+
 test('Database#createCollection', () => {
   const collections = db.collections.length;
   const collection = db.createCollection('users');
@@ -88,7 +138,19 @@ test('Database#deleteCollection', () => {
 });
 
 
-test('Database#fetch', () => {}); // Cannot be tested
+test('Database#fetch', () => {
+  const storage = new MemoryStorage({ 'tests/temp/memory.json': JSON.stringify({ money: 100 }) });
+  const memoryDb = new Database({ dataFile: 'tests/temp/memory.json', storage });
+
+  storage.write('tests/temp/memory.json', JSON.stringify({ money: 50, user: { name: 'Peter' } }));
+
+  expect(memoryDb.get('money')).toBe(100);
+  expect(memoryDb.fetch('money')).toBe(50);
+  expect(memoryDb.fetch('user.name')).toBe('Peter');
+  expect(memoryDb.fetch('user.age')).toBeUndefined();
+
+  expect(() => memoryDb.fetch(null)).toThrow(/key is invalid/);
+});
 
 
 test('Database#get', () => {
@@ -134,6 +196,39 @@ test('Database#has', () => {
 });
 
 
+test('Database#listCollections', () => {
+  const storage = new MemoryStorage();
+  const config = { autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage };
+  const Users = new Database(config).createCollection('users', { role: 'member' }, { timestamps: true, schema: { name: { type: 'string', pattern: /^[A-Z]/ }, code: { type: 'string', pattern: /^a/i } } });
+
+  Users.createIndex('role');
+  Users.create({ name: 'Peter' });
+  Users.save();
+
+  // A new process finds the collection and its options in the collections folder
+  const memoryDb = new Database(config);
+
+  expect(memoryDb.collections).toEqual([]);
+  expect(memoryDb.listCollections()).toEqual([{ name: 'users', entries: 1, size: storage.read('tests/temp/memory/users.json').length }]);
+  expect(memoryDb.collections).toEqual([]);
+
+  const Loaded = memoryDb.getCollection('users');
+
+  expect(memoryDb.collections).toEqual([Loaded]);
+  expect(Loaded.listIndexes()).toEqual([{ name: 'role', fields: ['role'] }]);
+  expect(Loaded.create({ name: 'John' })).toMatchObject({ name: 'John', role: 'member', createdAt: expect.any(Number) });
+  expect(() => Loaded.create({ name: 'john' })).toThrow(SchemaValidationError);
+
+  // The flags of the patterns are kept
+  expect(Loaded.create({ name: 'Mary', code: 'Abd' })).toMatchObject({ code: 'Abd' });
+  expect(() => Loaded.create({ name: 'Anna', code: 'bcd' })).toThrow(SchemaValidationError);
+
+  expect(memoryDb.deleteCollection('users')).toBe(true);
+  expect(storage.list('tests/temp/memory')).toEqual([]);
+  expect(memoryDb.getCollection('users')).toBe(null);
+});
+
+
 test('Database#pull', () => {
   db.set('numbers', [1, 2, 3, 2, 4, 3, 1, 1]);
   db.set('people', [{ name: 'Peter' }, { name: 'Michael' }]);
@@ -195,7 +290,42 @@ test('Database#rename', () => {
 });
 
 
-test('Database#save', () => {}); // Cannot be tested
+test('Database#renameCollection', () => {
+  const storage = new MemoryStorage();
+  const memoryDb = new Database({ autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage });
+  const Users = memoryDb.createCollection('users', { active: true });
+
+  Users.create({ name: 'Peter' });
+
+  expect(memoryDb.renameCollection('users', 'members')).toEqual({ name: 'members', entries: 1, size: 32 });
+  expect(memoryDb.collections.map(c => c.name)).toEqual(['members']);
+  expect(storage.list('tests/temp/memory').sort()).toEqual(['members.json', 'members.json.meta']);
+  expect(memoryDb.getCollection('members').create({ name: 'John' })).toEqual({ name: 'John', active: true });
+
+  expect(() => memoryDb.renameCollection('users', 'guests')).toThrow('The provided collection does not exist');
+});
+
+
+test('Database#save', () => {
+  const storage = new MemoryStorage();
+  const memoryDb = new Database({ autoSave: false, dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage });
+  const Users = memoryDb.createCollection('users');
+
+  expect(storage.list('tests/temp/memory')).toEqual(['users.json']);
+
+  memoryDb.set('money', 100);
+  Users.create({ name: 'Peter' });
+
+  expect(storage.read('tests/temp/memory.json')).toBe(null);
+
+  memoryDb.save();
+  Users.save();
+
+  expect(JSON.parse(storage.read('tests/temp/memory.json'))).toEqual({ money: 100 });
+  expect(JSON.parse(storage.read('tests/temp/memory/users.json'))).toEqual([{ name: 'Peter' }]);
+
+  expect(() => new Database({ storage: {} })).toThrow('The storage option must be an adapter with read, write, list and delete methods');
+});
 
 
 test('Database#set', () => {
@@ -237,6 +367,20 @@ test('Database#toJSON', () => {
 });
 
 
+test('Database#truncateCollection', () => {
+  const storage = new MemoryStorage();
+  const memoryDb = new Database({ dataFile: 'tests/temp/memory.json', collectionsFolder: 'tests/temp/memory', storage });
+  const Users = memoryDb.createCollection('users');
+
+  Users.createBulk([{ name: 'Peter' }, { name: 'John' }]);
+
+  expect(memoryDb.truncateCollection('users')).toEqual({ name: 'users', entries: 0, size: 2 });
+  expect(Users.getAll()).toEqual([]);
+
+  expect(() => memoryDb.truncateCollection('guests')).toThrow('The provided collection does not exist');
+});
+
+
 test('Database#update', () => {
   db.set('player', { name: '5antos', money: 500 });
 
@@ -253,3 +397,85 @@ test('Database#update', () => {
 
   db.clear();
 });
+
+
+test('Database#watch', () => {
+  const events = [];
+  const unwatch = db.watch('user.profile', (event, payload) => events.push([event, payload.key]));
+
+  db.set('user.profile.name', 'Peter');
+  db.set('user.money', 10);
+  db.set('user', {});
+  db.set('guild', 'Knights');
+  db.delete('user');
+  db.clear();
+
+  expect(events).toEqual([['set', 'user.profile.name'], ['set', 'user'], ['delete', 'user'], ['clear', undefined]]);
+
+  unwatch();
+  db.set('user.profile.name', 'John');
+
+  expect(events.length).toBe(4);
+  expect(db.listenerCount('set')).toBe(0);
+
+  expect(() => db.watch('some..key', () => {})).toThrow(/key is invalid/);
+  expect(() => db.watch('user', null)).toThrow(/valid callback must be provided/);
+
+  db.clear();
+});
+
+test('Database#ttl', () => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(1000);
+
+  const cache = new Database({ autoSave: false, dataFile: 'tests/temp/cache.json', sweepInterval: 1000 });
+  const expired = [];
+
+  cache.on('expired', payload => expired.push(payload));
+
+  cache.set('cooldowns.peter', true, { ttl: 5000 });
+  cache.set('bans', ['john'], { ttl: 10000 });
+  cache.push('bans', 'mary');
+
+  expect(cache.ttl('cooldowns.peter')).toBe(5000);
+  expect(cache.ttl('bans.0')).toBe(10000);
+  expect(cache.ttl('cooldowns')).toBe(Infinity);
+  expect(cache.ttl('mutes')).toBeNull();
+
+  jest.setSystemTime(6000);
+
+  expect(cache.get('cooldowns.peter')).toBeUndefined();
+  expect(cache.has('cooldowns.peter')).toBe(false);
+  expect(cache.toJSON()).toEqual({ cooldowns: {}, bans: ['john', 'mary'] });
+  expect(expired).toEqual([]);
+
+  jest.advanceTimersByTime(1000);
+
+  expect(expired).toEqual([{ key: 'cooldowns.peter', value: true }]);
+
+  cache.set('bans', ['john']);
+
+  expect(cache.ttl('bans')).toBe(Infinity);
+  expect(() => cache.set('bans', [], { ttl: -1 })).toThrow(/ttl option must be/);
+
+  // Errors of the sweeps are emitted when they are listened to, and become process warnings otherwise
+  const errors = [];
+  const warning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+
+  cache.on('expired', () => { throw new Error('Listener failed'); });
+  cache.set('mutes', ['anna'], { ttl: 500 });
+
+  expect(() => jest.advanceTimersByTime(1000)).not.toThrow();
+  expect(warning).toHaveBeenCalledWith(expect.objectContaining({ message: 'Listener failed' }));
+
+  warning.mockRestore();
+
+  cache.on('error', e => errors.push(e.message));
+  cache.set('mutes', ['paul'], { ttl: 500 });
+  jest.advanceTimersByTime(1000);
+
+  expect(errors).toEqual(['Listener failed']);
+
+  cache.close();
+  jest.useRealTimers();
+});
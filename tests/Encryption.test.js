@@ -0,0 +1,235 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { DecryptionError } = require('../lib/Errors');
+const { EncryptedStorage, MemoryStorage } = require('../lib/Storage');
+
+FS.mkdirSync('tests/temp/encryption', { recursive: true });
+
+const dataFile = 'tests/temp/encryption/database.json';
+const collectionsFolder = 'tests/temp/encryption/collections';
+const encryption = { passphrase: 'correct horse battery staple' };
+
+
+beforeEach(() => {
+  FS.rmSync('tests/temp/encryption', { recursive: true, force: true });
+  FS.mkdirSync('tests/temp/encryption', { recursive: true });
+});
+
+
+
+test('Database encryption option', () => {
+  const db = new Database({ dataFile, collectionsFolder, encryption });
+  const Users = db.createCollection('users', {}, { journal: true });
+
+  db.set('person.name', 'Peter');
+  Users.create({ name: 'Peter', age: 19 });
+  Users.create({ name: 'John', age: 20 });
+
+  db.transaction(tx => {
+    tx.set('money', 100);
+    Users.remove({ name: 'John' });
+  });
+
+  // Neither the keys nor the values are left in plaintext, in any of the files
+  for (const file of [dataFile, collectionsFolder + '/users.json', collectionsFolder + '/users.json.log']) {
+    const content = FS.readFileSync(file, 'utf8');
+
+    expect(JSON.parse(content)).toMatchObject({ cipher: 'aes-256-gcm', salt: expect.any(String) });
+    expect(content).not.toMatch(/Peter|person|money/);
+  }
+
+  const other = new Database({ dataFile, collectionsFolder, encryption: { ...encryption } });
+
+  expect(other.toJSON()).toEqual({ person: { name: 'Peter' }, money: 100 });
+  expect(other.createCollection('users').toJSON()).toEqual([{ name: 'Peter', age: 19 }]);
+
+  const keyed = new Database({ dataFile: 'tests/temp/encryption/keyed.json', collectionsFolder, encryption: { key: 'a'.repeat(32) } });
+
+  keyed.set('money', 100);
+
+  expect(JSON.parse(FS.readFileSync('tests/temp/encryption/keyed.json', 'utf8')).salt).toBeUndefined();
+  expect(new Database({ dataFile: 'tests/temp/encryption/keyed.json', encryption: { key: Buffer.from('a'.repeat(32)) } }).get('money')).toBe(100);
+
+  expect(() => new Database({ dataFile, encryption: { key: 'short' } })).toThrow('The encryption option must be an object with either a key (32 bytes) or a passphrase');
+  expect(() => new Database({ dataFile, encryption: { key: 'a'.repeat(32), passphrase: 'both' } })).toThrow('The encryption option must be an object with either a key (32 bytes) or a passphrase');
+});
+
+
+test('Database encryption tampering', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, storage, encryption });
+
+  db.set('money', 100);
+
+  const file = JSON.parse(storage.read(dataFile));
+
+  expect(() => new Database({ dataFile, storage, encryption: { passphrase: 'wrong' } })).toThrow(DecryptionError);
+
+  // Changing a single byte of the encrypted data is noticed
+  const data = Buffer.from(file.data, 'base64');
+  data[0] ^= 1;
+  storage.write(dataFile, JSON.stringify({ ...file, data: data.toString('base64') }));
+
+  expect(() => new Database({ dataFile, storage, encryption })).toThrow(DecryptionError);
+
+  // So is a file that is not encrypted
+  storage.write(dataFile, '{"money":1000000}');
+
+  expect(() => new Database({ dataFile, storage, encryption })).toThrow(`The file ${dataFile} could not be decrypted, it was either modified, not encrypted or encrypted with another key`);
+
+  // The storage can also be used by itself
+  const encrypted = new EncryptedStorage(storage, encryption);
+
+  encrypted.write('file.txt', 'Hello');
+
+  expect(storage.read('file.txt')).not.toContain('Hello');
+  expect(encrypted.read('file.txt')).toBe('Hello');
+  expect(encrypted.read('missing.txt')).toBe(null);
+
+  // Files swapped with each other are noticed too
+  encrypted.write('other.txt', 'Bye');
+  storage.write('file.txt', storage.read('other.txt'));
+
+  expect(() => encrypted.read('file.txt')).toThrow(DecryptionError);
+});
+
+
+test('AsyncDatabase encryption option', async () => {
+  const db = new AsyncDatabase({ dataFile, collectionsFolder, encryption });
+  const Users = await db.createCollection('users');
+
+  await db.set('money', 100);
+  await Users.create({ name: 'Peter' });
+
+  expect(FS.readFileSync(dataFile, 'utf8')).not.toContain('money');
+  expect(FS.readFileSync(collectionsFolder + '/users.json', 'utf8')).not.toContain('Peter');
+
+  expect(await db.fetch('money')).toBe(100);
+  expect(await Users.fetchAll()).toMatchObject([{ name: 'Peter' }]);
+
+  FS.writeFileSync(dataFile, '{}');
+
+  await expect(db.fetch('money')).rejects.toThrow(DecryptionError);
+});
+
+test('Collection encryptedFields option', () => {
+  const storage = new MemoryStorage();
+  const encryptionKey = 'a'.repeat(32);
+  const open = () => new Database({ dataFile, collectionsFolder, storage, encryptionKey }).createCollection('users', {}, { encryptedFields: ['token', 'profile.email'], journal: { ratio: 100 } });
+  const Users = open();
+  const file = collectionsFolder + '/users.json';
+
+  Users.create({ name: 'Peter', token: 123, profile: { email: 'peter@mail.com' } });
+  Users.create({ name: 'John', token: { scopes: ['read'] } });
+  Users.update(user => user.token = 'secret', { name: 'John' });
+
+  // Any JSON value is encrypted, in the file and in the log, and can still be queried
+  const [peter] = JSON.parse(storage.read(file));
+
+  expect(peter.name).toBe('Peter');
+  expect(peter.token).toMatch(/^enc:/);
+  expect(peter.profile.email).toMatch(/^enc:/);
+  expect(storage.read(file + '.log')).not.toMatch(/secret|scopes/);
+  expect(Users.get({ 'profile.email': 'peter@mail.com' }).name).toBe('Peter');
+
+  expect(open().toJSON()).toEqual([{ name: 'Peter', token: 123, profile: { email: 'peter@mail.com' } }, { name: 'John', token: 'secret' }]);
+
+  // Values saved before the field was encrypted are read as they are
+  storage.write(collectionsFolder + '/posts.json', '[{"title":"Hello"}]');
+
+  const Posts = new Database({ dataFile, collectionsFolder, storage, encryptionKey }).createCollection('posts', {}, { encryptedFields: ['title'] });
+
+  expect(Posts.get({ title: 'Hello' })).toBeTruthy();
+
+  Posts.save();
+
+  expect(JSON.parse(storage.read(collectionsFolder + '/posts.json'))[0].title).toMatch(/^enc:/);
+
+  const tampered = JSON.parse(storage.read(file));
+  tampered[0].token = tampered[0].token.slice(0, -2) + (tampered[0].token.endsWith('A') ? 'B' : 'A') + '=';
+  storage.write(file, JSON.stringify(tampered));
+
+  expect(() => open()).toThrow(DecryptionError);
+
+  expect(() => new Database({ dataFile, collectionsFolder, storage }).createCollection('others', {}, { encryptedFields: ['token'] })).toThrow('Missing Encryption Key');
+  expect(() => new Database({ dataFile, collectionsFolder, storage, encryptionKey }).createCollection('others', {}, { encryptedFields: 'token' })).toThrow('The encryptedFields option must be an array of field names');
+});
+
+
+test('Database#rotateEncryptionKey', () => {
+  const storage = new MemoryStorage();
+  const [oldKey, newKey] = ['a'.repeat(32), 'b'.repeat(32)];
+  const db = new Database({ dataFile, collectionsFolder, storage, encryptionKey: oldKey });
+  const Users = db.createCollection('users', {}, { encryptedFields: ['token'] });
+  const Posts = db.createCollection('posts');
+
+  db.set('password', 'hunter2', true);
+  db.set('secrets', { api: null });
+  db.set('secrets.api', 'xyz', true);
+  db.set('name', 'Peter');
+  db.set('hash', 'a'.repeat(32) + ':');
+  Users.create({ name: 'Peter', token: 'abc' });
+  Posts.create({ title: 'Hello' });
+
+  const saves = { posts: 0 };
+  Posts.on('save', () => saves.posts++);
+
+  expect(() => db.set('pin', 1234, true)).toThrow('The provided value must be a string to be encrypted');
+  expect(() => db.set('password', 1234, true)).toThrow('The provided value must be a string to be encrypted');
+  expect(() => db.rotateEncryptionKey(newKey, oldKey)).toThrow('The provided old key is not the Encryption Key of the database');
+  expect(() => db.rotateEncryptionKey(oldKey, 'short')).toThrow('The Encryption Key must have a length of 32 characters');
+
+  db.rotateEncryptionKey(oldKey, newKey);
+
+  // Only the files holding encrypted values were written
+  expect(saves.posts).toBe(0);
+  expect(db.get('password', true)).toBe('hunter2');
+
+  const reopened = new Database({ dataFile, collectionsFolder, storage, encryptionKey: newKey });
+
+  expect(reopened.get('password', true)).toBe('hunter2');
+  expect(reopened.get('secrets.api', true)).toBe('xyz');
+  expect(reopened.get('name')).toBe('Peter');
+
+  // Only the values set encrypted are re-encrypted, which the metadata file keeps track of
+  expect(reopened.get('hash')).toBe('a'.repeat(32) + ':');
+  expect(JSON.parse(storage.read(dataFile + '.meta'))).toEqual({ encryptedKeys: ['password', 'secrets.api'] });
+  expect(reopened.createCollection('users', {}, { encryptedFields: ['token'] }).toJSON()).toEqual([{ name: 'Peter', token: 'abc' }]);
+  expect(() => new Database({ dataFile, collectionsFolder, storage, encryptionKey: oldKey }).createCollection('users', {}, { encryptedFields: ['token'] })).toThrow(DecryptionError);
+
+  // The stored collections with encrypted fields are rotated as well, even when they are not loaded
+  const unloaded = new Database({ dataFile, collectionsFolder, storage, encryptionKey: newKey });
+
+  unloaded.rotateEncryptionKey(newKey, 'c'.repeat(32));
+
+  expect(unloaded.get('secrets.api', true)).toBe('xyz');
+  expect(unloaded.collections.map(c => c.name)).toEqual(['users']);
+
+  const rotated = new Database({ dataFile, collectionsFolder, storage, encryptionKey: 'c'.repeat(32) });
+
+  expect(rotated.get('password', true)).toBe('hunter2');
+  expect(rotated.getCollection('users').toJSON()).toEqual([{ name: 'Peter', token: 'abc' }]);
+});
+
+
+test('AsyncDatabase#rotateEncryptionKey', async () => {
+  const [oldKey, newKey] = ['a'.repeat(32), 'b'.repeat(32)];
+  const db = new AsyncDatabase({ dataFile, collectionsFolder, encryptionKey: oldKey });
+  const Users = await db.createCollection('users', {}, { encryptedFields: ['token'] });
+
+  await db.set('password', 'hunter2', true);
+  await Users.create({ name: 'Peter', token: 'abc' });
+
+  expect(FS.readFileSync(collectionsFolder + '/users.json', 'utf8')).not.toContain('abc');
+
+  await expect(db.rotateEncryptionKey(newKey, oldKey)).rejects.toThrow('The provided old key is not the Encryption Key of the database');
+  await db.rotateEncryptionKey(oldKey, newKey);
+
+  const reopened = new AsyncDatabase({ dataFile, collectionsFolder, encryptionKey: newKey });
+
+  expect(await reopened.get('password', true)).toBe('hunter2');
+  expect(await (await reopened.createCollection('users', {}, { encryptedFields: ['token'] })).fetchAll()).toMatchObject([{ name: 'Peter', token: 'abc' }]);
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+/* eslint-disable no-undef */
+
+const { applyFindOptions, checkFindOptions } = require('../lib/FindOptions');
+
+const entries = [
+  { name: 'Peter', age: 19, address: { city: 'Lisbon' } },
+  { name: 'John', age: 21, address: { city: 'Porto' } },
+  { name: 'Mary', age: 19 },
+  { name: 'Anna', age: null },
+  { name: 'Henry', age: 30, address: { city: 'Lisbon' } }
+];
+
+
+
+test('applyFindOptions function', () => {
+  expect(applyFindOptions(entries, { sort: { age: 1, name: 1 } }).map(e => e.name)).toEqual(['Anna', 'Mary', 'Peter', 'John', 'Henry']);
+  expect(applyFindOptions(entries, { sort: { age: 'desc', name: 'asc' } }).map(e => e.name)).toEqual(['Henry', 'John', 'Mary', 'Peter', 'Anna']);
+  expect(applyFindOptions(entries, { sort: { 'address.city': -1 } }).map(e => e.name)).toEqual(['John', 'Peter', 'Henry', 'Mary', 'Anna']);
+  expect(entries[0].name).toBe('Peter');
+
+  expect(applyFindOptions(entries, { skip: 1, limit: 2 }).map(e => e.name)).toEqual(['John', 'Mary']);
+  expect(applyFindOptions(entries, { limit: 0 })).toEqual([]);
+
+  const page = applyFindOptions(entries, { sort: { age: 1, name: 1 }, limit: 2 });
+
+  expect(applyFindOptions(entries, { sort: { age: 1, name: 1 }, after: page[1], limit: 2 }).map(e => e.name)).toEqual(['Peter', 'John']);
+  expect(applyFindOptions(entries, { sort: { age: 1 }, after: { age: 19 } }).map(e => e.name)).toEqual(['John', 'Henry']);
+
+  expect(applyFindOptions(entries, { limit: 2, select: ['name', 'address.city'] })).toEqual([
+    { name: 'Peter', address: { city: 'Lisbon' } },
+    { name: 'John', address: { city: 'Porto' } }
+  ]);
+  expect(applyFindOptions(entries, { limit: 1, select: { age: 0, 'address.city': false } })).toEqual([{ name: 'Peter', address: {} }]);
+  expect(applyFindOptions(entries, { limit: 1, select: ['age'] })[0]).not.toBe(entries[0]);
+});
+
+
+test('checkFindOptions function', () => {
+  expect(() => checkFindOptions({ sort: { age: -1 }, skip: 0, limit: 5, select: ['name'], after: { age: 3 } })).not.toThrow();
+
+  expect(() => checkFindOptions(null)).toThrow(/options parameter must be an object/);
+  expect(() => checkFindOptions({ sort: { age: 'up' } })).toThrow(/sort option must be an object/);
+  expect(() => checkFindOptions({ skip: -1 })).toThrow(/skip option must be a non-negative integer/);
+  expect(() => checkFindOptions({ limit: 1.5 })).toThrow(/limit option must be a non-negative integer/);
+  expect(() => checkFindOptions({ after: { age: 3 } })).toThrow(/requires the sort option/);
+  expect(() => checkFindOptions({ select: 'name' })).toThrow(/select option must be an array of fields or an object/);
+  expect(() => checkFindOptions({ select: { name: 1, age: 0 } })).toThrow(/cannot mix included and excluded fields/);
+});
\ No newline at end of file
@@ -0,0 +1,140 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { MemoryStorage } = require('../lib/Storage');
+
+FS.mkdirSync('tests/temp/formats', { recursive: true });
+
+const dataFile = 'tests/temp/formats/database.json';
+const collectionsFolder = 'tests/temp/formats/collections';
+const exportFolder = 'tests/temp/formats/exports';
+
+
+beforeEach(() => {
+  FS.rmSync('tests/temp/formats', { recursive: true, force: true });
+  FS.mkdirSync('tests/temp/formats', { recursive: true });
+});
+
+
+
+test('Collection#exportTo', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, collectionsFolder, storage });
+  const Users = db.createCollection('users');
+
+  Users.createBulk([{ name: 'Peter, "Pete"', age: 19, address: { city: 'Lisbon' }, tags: ['a', 'b'] }, { name: 'John', age: null, verified: true, tags: [] }]);
+
+  expect(Users.exportTo('users.csv')).toBe(2);
+  expect(storage.read('users.csv')).toBe([
+    '"name","age","address.city","tags.0","tags.1","verified","tags"',
+    '"Peter, ""Pete""",19,"Lisbon","a","b",,',
+    '"John",null,,,,true,[]',
+    ''
+  ].join('\n'));
+
+  Users.exportTo('users.ndjson');
+  Users.exportTo('users.txt', { format: 'json' });
+
+  expect(storage.read('users.ndjson').split('\n').filter(line => line).map(line => JSON.parse(line))).toEqual(Users.getAll().map(e => JSON.parse(JSON.stringify(e))));
+  expect(JSON.parse(storage.read('users.txt'))).toEqual(JSON.parse(storage.read(collectionsFolder + '/users.json')));
+
+  expect(() => Users.exportTo('')).toThrow('The provided path is invalid');
+  expect(() => Users.exportTo('users.xml', { format: 'xml' })).toThrow('The format option must be "csv", "ndjson" or "json"');
+});
+
+
+test('Collection#importFrom', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, collectionsFolder, storage });
+  const Users = db.createCollection('users', { $id: 0, role: 'member' }, { unique: ['name'] });
+
+  Users.create({ name: 'Mary' });
+  Users.exportTo('users.csv');
+
+  const Copy = db.createCollection('copy');
+
+  expect(Copy.importFrom('users.csv')).toEqual([{ name: 'Mary', id: 0, role: 'member' }]);
+
+  // Unquoted cells that are not JSON values are text, and empty ones are missing fields
+  storage.write('new.csv', '"name","age","address.city","tags.0","tags.1"\r\n"Peter, ""Pete""",19,Lisbon,"a","b"\r\n\r\nJohn,,,\n');
+  storage.write('new.ndjson', '{"name":"Anna"}\n\n{"name":"Paul","role":"admin"}\n');
+
+  expect(Users.importFrom('new.csv')).toEqual([
+    { name: 'Peter, "Pete"', age: 19, address: { city: 'Lisbon' }, tags: ['a', 'b'], id: 1, role: 'member' },
+    { name: 'John', id: 2, role: 'member' }
+  ]);
+  expect(Users.importFrom('new.ndjson')).toMatchObject([{ name: 'Anna', id: 3, role: 'member' }, { name: 'Paul', id: 4, role: 'admin' }]);
+  expect(Users.entries).toBe(5);
+
+  storage.write('invalid.ndjson', '{"name":"Anna"}\n{"name":\n');
+  storage.write('invalid.csv', '"name"\n"Anna","Paul"\n');
+  storage.write('invalid.json', '{"name":"Anna"}');
+
+  expect(() => Users.importFrom('invalid.ndjson')).toThrow('The line 2 of invalid.ndjson is not valid JSON');
+  expect(() => Users.importFrom('invalid.csv')).toThrow('The row 2 of invalid.csv has more cells than its header');
+  expect(() => Users.importFrom('invalid.json')).toThrow('The file invalid.json must hold an array of entries');
+  expect(() => Users.importFrom('new.ndjson')).toThrow('The value "Anna" of the unique field name already exists');
+  expect(() => Users.importFrom('missing.csv')).toThrow('The provided file does not exist');
+  expect(Users.entries).toBe(5);
+});
+
+
+test('Database#export and Database#import', () => {
+  const db = new Database({ dataFile, collectionsFolder });
+
+  db.set('settings', { theme: 'dark', sizes: [1, 2] });
+  db.createCollection('users').createBulk([{ name: 'Peter' }, { name: 'John' }]);
+  new Database({ dataFile, collectionsFolder }).createCollection('posts').create({ title: 'Hello', likes: 2 });
+
+  // Collections that are not loaded are exported as well
+  expect(db.export(exportFolder, { format: 'csv' })).toEqual([{ name: 'users', entries: 2 }, { name: 'posts', entries: 1 }]);
+  expect(FS.readFileSync(exportFolder + '/database.csv', 'utf8')).toBe('"settings.theme","settings.sizes.0","settings.sizes.1"\n"dark",1,2\n');
+  expect(FS.readFileSync(exportFolder + '/collections/posts.csv', 'utf8')).toBe('"title","likes"\n"Hello",2\n');
+
+  const other = new Database({ dataFile: 'tests/temp/formats/other.json', collectionsFolder: 'tests/temp/formats/other' });
+
+  other.set('money', 100);
+  other.createCollection('users').create({ name: 'Mary' });
+
+  expect(other.import(exportFolder, { format: 'csv' })).toEqual([{ name: 'posts', entries: 1 }, { name: 'users', entries: 2 }]);
+  expect(other.toJSON()).toEqual({ money: 100, settings: { theme: 'dark', sizes: [1, 2] } });
+  expect(other.getCollection('users').getAll()).toMatchObject([{ name: 'Mary' }, { name: 'Peter' }, { name: 'John' }]);
+  expect(JSON.parse(FS.readFileSync('tests/temp/formats/other/posts.json', 'utf8'))).toEqual([{ title: 'Hello', likes: 2 }]);
+
+  // Nothing is imported if one of the files cannot be
+  FS.writeFileSync(exportFolder + '/collections/users.csv', '"name"\n"Anna"\n"');
+
+  expect(() => other.import(exportFolder, { format: 'csv' })).toThrow(/has a quoted cell that is never closed/);
+  expect(other.getCollection('posts').entries).toBe(1);
+
+  expect(() => db.export('')).toThrow('The provided folder is invalid');
+  expect(() => db.import(exportFolder, { format: 'yaml' })).toThrow('The format option must be "csv", "ndjson" or "json"');
+});
+
+
+test('AsyncDatabase#export and AsyncDatabase#import', async () => {
+  const storage = new MemoryStorage();
+  const db = new AsyncDatabase({ dataFile, collectionsFolder, storage });
+  const Users = await db.createCollection('users', { $id: 0 });
+
+  await db.set('money', 100);
+  await Users.createBulk([{ name: 'Peter' }, { name: 'John' }]);
+
+  expect(await Users.exportTo('users.ndjson')).toBe(2);
+  expect(await db.export(exportFolder)).toEqual([{ name: 'users', entries: 2 }]);
+
+  const other = new AsyncDatabase({ dataFile: 'other.json', collectionsFolder: 'other', storage });
+
+  expect(await other.import(exportFolder)).toEqual([{ name: 'users', entries: 2 }]);
+  expect(await other.get('money')).toBe(100);
+
+  const Imported = await other.getCollection('users');
+
+  expect(await Imported.importFrom('users.ndjson', { format: 'ndjson' })).toEqual([{ name: 'Peter', id: 0 }, { name: 'John', id: 1 }]);
+
+  await Imported.flush();
+
+  expect(JSON.parse(storage.read('other/users.json'))).toHaveLength(4);
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+/* eslint-disable no-undef */
+
+const Index = require('../lib/Index');
+
+const users = [
+  { name: 'Peter', age: 19, guild: 'a', tags: ['admin', 'mod'] },
+  { name: 'John', age: 25, guild: 'b', tags: [] },
+  { name: 'Mary', age: 31, guild: 'a', profile: { city: 'Lisbon' } },
+  { name: 'Anna', age: 25, guild: 'a' }
+];
+
+
+
+test('Index#find', () => {
+  const index = new Index(['age']);
+
+  index.build(users);
+
+  expect(index.name).toBe('age');
+  expect(index.find([25])).toEqual([users[1], users[3]]);
+  expect(index.find([99])).toEqual([]);
+
+  const tags = new Index(['tags']);
+
+  tags.build(users);
+
+  expect(tags.find(['admin'])).toEqual([users[0]]);
+  expect(tags.find([[]])).toEqual([users[1]]);
+  expect(tags.find([undefined])).toEqual([users[2], users[3]]);
+
+  const city = new Index(['profile.city']);
+
+  city.build(users);
+
+  expect(city.find(['Lisbon'])).toEqual([users[2]]);
+});
+
+
+test('Index#find (compound)', () => {
+  const index = new Index(['guild', 'age'], { name: 'guild_members' });
+
+  index.build(users);
+
+  expect(index.name).toBe('guild_members');
+  expect(index.find(['a', 25])).toEqual([users[3]]);
+  expect(index.find(['b', 31])).toEqual([]);
+
+  const tags = new Index(['guild', 'tags']);
+
+  tags.build(users);
+
+  expect(tags.find(['a', 'mod'])).toEqual([users[0]]);
+});
+
+
+test('Index#range', () => {
+  const index = new Index(['age']);
+
+  index.build(users);
+
+  expect(index.range({ $gt: 19 })).toEqual([users[1], users[3], users[2]]);
+  expect(index.range({ $gte: 19, $lt: 25 })).toEqual([users[0]]);
+  expect(index.range({ $lte: 25 })).toEqual([users[0], users[1], users[3]]);
+  expect(index.range({ $gt: 'a' })).toEqual([]);
+
+  const names = new Index(['name']);
+
+  names.build(users);
+
+  expect(names.range({ $gte: 'J', $lt: 'P' })).toEqual([users[1], users[2]]);
+});
+
+
+test('Index#update', () => {
+  const index = new Index(['age']);
+  const user = { name: 'Peter', age: 19 };
+
+  index.add(user);
+  user.age = 20;
+  index.update(user);
+
+  expect(index.find([19])).toEqual([]);
+  expect(index.find([20])).toEqual([user]);
+  expect(index.range({ $gte: 20 })).toEqual([user]);
+
+  expect(index.delete(user)).toBe(true);
+  expect(index.delete(user)).toBe(false);
+  expect(index.find([20])).toEqual([]);
+});
+
+test('Index#conflictOf', () => {
+  const index = new Index(['email'], { unique: true });
+
+  index.build(users.slice(0, 1).map(u => ({ ...u, email: 'peter@mail.com' })));
+
+  expect(index.unique).toBe(true);
+  expect(index.toJSON()).toEqual({ name: 'email', fields: ['email'], unique: true });
+  expect(index.conflictOf({ email: 'peter@mail.com' })).toMatchObject({ name: 'Peter' });
+  expect(index.conflictOf({ email: 'john@mail.com' })).toBe(null);
+  expect(index.conflictOf({ name: 'John' })).toBe(null);
+});
\ No newline at end of file
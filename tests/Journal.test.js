@@ -0,0 +1,125 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+
+FS.mkdirSync('tests/temp/journal', { recursive: true });
+
+const dataFile = 'tests/temp/journal/database.json';
+const collectionsFolder = 'tests/temp/journal/collections';
+const file = collectionsFolder + '/users.json';
+const log = file + '.log';
+
+const read = file => JSON.parse(FS.readFileSync(file, 'utf8'));
+const lines = () => FS.readFileSync(log, 'utf8').split('\n').filter(l => l).map(l => JSON.parse(l));
+
+
+beforeEach(() => {
+  FS.rmSync('tests/temp/journal', { recursive: true, force: true });
+  FS.mkdirSync(collectionsFolder, { recursive: true });
+});
+
+
+
+test('Collection journal option', () => {
+  const open = () => new Database({ dataFile, collectionsFolder }).createCollection('users', {}, { journal: { ratio: 100 } });
+  const Users = open();
+
+  Users.create({ name: 'Peter', age: 19 });
+
+  // The first save writes the whole file, the next ones are appended to the log
+  expect(read(file)).toEqual([{ name: 'Peter', age: 19 }]);
+  expect(lines()).toEqual([{ snapshot: expect.any(String) }]);
+
+  Users.createBulk([{ name: 'John', age: 20 }, { name: 'Mary', age: 21 }]);
+  Users.update(user => user.age++, { name: 'John' });
+  Users.remove({ name: 'Peter' });
+
+  expect(read(file)).toEqual([{ name: 'Peter', age: 19 }]);
+  expect(lines().slice(1)).toEqual([
+    { op: 'create', entries: [{ name: 'John', age: 20 }, { name: 'Mary', age: 21 }] },
+    { op: 'update', positions: [1], entries: [{ name: 'John', age: 21 }] },
+    { op: 'remove', positions: [0] }
+  ]);
+
+  expect(open().toJSON()).toEqual([{ name: 'John', age: 21 }, { name: 'Mary', age: 21 }]);
+  expect(new Database({ dataFile, collectionsFolder }).listCollections()).toMatchObject([{ name: 'users', entries: 2 }]);
+  expect(Users.fetchAll().map(u => u.name)).toEqual(['John', 'Mary']);
+
+  // A half-written last line is left out
+  FS.appendFileSync(log, '{"op":"create","entr');
+
+  expect(open().getAll().map(u => u.name)).toEqual(['John', 'Mary']);
+
+  Users.compact();
+
+  expect(read(file)).toEqual([{ name: 'John', age: 21 }, { name: 'Mary', age: 21 }]);
+  expect(lines()).toHaveLength(1);
+
+  // Entries changed in place are logged when saving
+  const Reopened = open();
+
+  Reopened.getAll()[0].age = 100;
+  Reopened.save();
+
+  expect(lines().slice(1)).toEqual([{ op: 'update', positions: [0], entries: [{ name: 'John', age: 100 }] }]);
+  expect(open().get({ name: 'John' }).age).toBe(100);
+
+  expect(() => new Database({ dataFile, collectionsFolder }).createCollection('others', {}, { journal: 'yes' })).toThrow('The journal option must be a boolean or an object with a positive maxSize and ratio');
+});
+
+
+test('Collection journal compaction', () => {
+  const db = new Database({ dataFile, collectionsFolder });
+  const Users = db.createCollection('users', {}, { journal: { maxSize: 150 } });
+
+  for (var i = 0; i < 10; i++)
+    Users.create({ name: 'User ' + i });
+
+  // The log was folded into the file whenever it grew past the maximum size
+  expect(FS.statSync(log).size).toBeLessThanOrEqual(150);
+  expect(new Database({ dataFile, collectionsFolder }).createCollection('users').getAll()).toHaveLength(10);
+
+  // A log left behind by an interrupted compaction does not match the file anymore
+  Users.create({ name: 'User 10' });
+  FS.writeFileSync(file, JSON.stringify([{ name: 'Peter' }]));
+
+  expect(new Database({ dataFile, collectionsFolder }).createCollection('users').toJSON()).toEqual([{ name: 'Peter' }]);
+
+  // Without the journal option, a log is still applied and then removed by the next save
+  const Others = new Database({ dataFile, collectionsFolder }).createCollection('users', {}, { journal: { ratio: 100 } });
+
+  Others.compact();
+  Others.create({ name: 'John' });
+
+  const Plain = new Database({ dataFile, collectionsFolder }).createCollection('users');
+
+  expect(Plain.getAll().map(u => u.name)).toEqual(['Peter', 'John']);
+
+  Plain.save();
+
+  expect(FS.existsSync(log)).toBe(false);
+  expect(read(file)).toEqual([{ name: 'Peter' }, { name: 'John' }]);
+
+  expect(db.deleteCollection('users')).toBe(true);
+});
+
+
+test('AsyncCollection journal option', async () => {
+  const db = new AsyncDatabase({ dataFile, collectionsFolder });
+  const Users = await db.createCollection('users', {}, { journal: { ratio: 100 } });
+
+  await Users.create({ name: 'Peter' });
+  await Users.create({ name: 'John' });
+  await Users.update(user => user.age = 20, { name: 'John' });
+
+  expect(read(file)).toEqual([{ name: 'Peter' }]);
+  expect(lines()).toHaveLength(3);
+  expect(await Users.fetchAll()).toMatchObject([{ name: 'Peter' }, { name: 'John', age: 20 }]);
+
+  await Users.compact();
+
+  expect(read(file)).toEqual([{ name: 'Peter' }, { name: 'John', age: 20 }]);
+  expect(lines()).toHaveLength(1);
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+/* eslint-disable no-undef */
+
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { MemoryStorage } = require('../lib/Storage');
+
+const dataFile = 'tests/temp/migrations/database.json';
+const collectionsFolder = 'tests/temp/migrations/collections';
+
+const migrations = [
+  {
+    version: 2,
+    up: db => db.getCollection('users').update(user => user.age = 18, { age: { $exists: false } }),
+    down: db => db.getCollection('users').update(user => delete user.age)
+  },
+  {
+    version: 1,
+    up: db => {
+      db.rename('money', 'balance');
+      db.getCollection('users').update(user => {
+        [user.firstName, user.lastName] = user.name.split(' ');
+        delete user.name;
+      });
+    },
+    down: db => {
+      db.rename('balance', 'money');
+      db.getCollection('users').update(user => {
+        user.name = user.firstName + ' ' + user.lastName;
+        delete user.firstName;
+        delete user.lastName;
+      });
+    }
+  }
+];
+
+
+
+test('Database#migrate', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, collectionsFolder, storage });
+  const Users = db.createCollection('users');
+
+  db.set('money', 100);
+  Users.create({ name: 'Peter Parker' });
+
+  expect(db.getSchemaVersion()).toBe(0);
+  expect(db.migrate(migrations)).toBe(2);
+
+  // The pending migrations ran in order, and were all written at once along with the schema version
+  expect(db.toJSON()).toEqual({ balance: 100 });
+  expect(Users.toJSON()).toEqual([{ firstName: 'Peter', lastName: 'Parker', age: 18 }]);
+  expect(JSON.parse(storage.read(dataFile + '.meta'))).toEqual({ schemaVersion: 2 });
+  expect(JSON.parse(storage.read(collectionsFolder + '/users.json'))).toEqual([{ firstName: 'Peter', lastName: 'Parker', age: 18 }]);
+
+  // Nothing is left to run
+  expect(db.migrate(migrations)).toBe(2);
+
+  // Snapshots hold the schema version along with the data
+  db.backup('tests/temp/migrations/backup');
+
+  expect(db.migrate(migrations, 0)).toBe(0);
+  expect(db.toJSON()).toEqual({ money: 100 });
+  expect(Users.toJSON()).toEqual([{ name: 'Peter Parker' }]);
+  expect(new Database({ dataFile, storage }).getSchemaVersion()).toBe(0);
+
+  expect(db.migrate(migrations, 1)).toBe(1);
+  expect(Users.toJSON()).toEqual([{ firstName: 'Peter', lastName: 'Parker' }]);
+
+  db.restore('tests/temp/migrations/backup');
+
+  expect(db.getSchemaVersion()).toBe(2);
+  expect(Users.toJSON()).toEqual([{ firstName: 'Peter', lastName: 'Parker', age: 18 }]);
+
+  expect(() => db.migrate(migrations, 3)).toThrow('There is no migration with the version 3');
+  expect(() => db.migrate([{ version: 1, up: () => {} }, { version: 1, up: () => {} }])).toThrow('Every migration must have a different version');
+  expect(() => db.migrate([{ version: 'one', up: () => {} }])).toThrow('The migrations must be an array of objects with a version (positive integer), an up function and an optional down function');
+});
+
+
+test('Database#migrate rollback', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, collectionsFolder, storage });
+  const Users = db.createCollection('users');
+
+  db.set('money', 100);
+  Users.create({ name: 'Peter Parker' });
+
+  // A failing migration leaves everything as it was, including the earlier migrations
+  expect(() => db.migrate([...migrations, { version: 3, up: () => { throw new Error('Failed'); } }])).toThrow('Failed');
+  expect(db.getSchemaVersion()).toBe(0);
+  expect(db.toJSON()).toEqual({ money: 100 });
+  expect(Users.toJSON()).toEqual([{ name: 'Peter Parker' }]);
+  expect(JSON.parse(storage.read(collectionsFolder + '/users.json'))).toEqual([{ name: 'Peter Parker' }]);
+
+  db.migrate([{ version: 1, up: db => db.set('migrated', true) }]);
+
+  expect(() => db.migrate([{ version: 1, up: db => db.set('migrated', true) }], 0)).toThrow('The migration with the version 1 cannot be rolled back as it has no down function');
+  expect(db.getSchemaVersion()).toBe(1);
+});
+
+
+test('AsyncDatabase#migrate', async () => {
+  const storage = new MemoryStorage();
+  const db = new AsyncDatabase({ dataFile, collectionsFolder, storage });
+
+  await db.set('money', 100);
+
+  const version = await db.migrate([
+    { version: 1, up: async db => await db.rename('money', 'balance'), down: async db => await db.rename('balance', 'money') },
+    { version: 2, up: async db => (await db.createCollection('users')).create({ name: 'Peter' }) }
+  ]);
+
+  expect(version).toBe(2);
+  expect(await db.getSchemaVersion()).toBe(2);
+  expect(await db.fetch('balance')).toBe(100);
+  expect(JSON.parse(storage.read(collectionsFolder + '/users.json'))).toMatchObject([{ name: 'Peter' }]);
+});
\ No newline at end of file
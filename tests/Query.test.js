@@ -0,0 +1,77 @@
+/* eslint-disable no-undef */
+
+const { compileFilter, getPath } = require('../lib/Query');
+
+const users = [
+  { name: 'Peter', age: 19, tags: ['admin'], profile: { city: 'Lisbon' } },
+  { name: 'John', age: 25, tags: [], profile: { city: 'Porto' } },
+  { name: 'Mary', age: 31, profile: null }
+];
+const find = query => users.filter(compileFilter(query)).map(u => u.name);
+
+
+
+test('compileFilter function', () => {
+  const predicate = u => u.age > 20;
+
+  expect(compileFilter(predicate)).toBe(predicate);
+  expect(find({})).toEqual(['Peter', 'John', 'Mary']);
+
+  expect(() => compileFilter(null)).toThrow(/must be a function or a query object/);
+  expect(() => compileFilter('name')).toThrow(/must be a function or a query object/);
+  expect(() => compileFilter({ age: { $between: [1, 2] } })).toThrow(/Unknown query operator: \$between/);
+  expect(() => compileFilter({ $nor: [] })).toThrow(/Unknown query operator: \$nor/);
+  expect(() => compileFilter({ age: { $in: 19 } })).toThrow(/\$in operator must be an array/);
+  expect(() => compileFilter({ $or: {} })).toThrow(/\$or operator must be an array/);
+});
+
+
+test('Comparison operators', () => {
+  expect(find({ name: 'Peter' })).toEqual(['Peter']);
+  expect(find({ age: { $eq: 25 } })).toEqual(['John']);
+  expect(find({ age: { $ne: 25 } })).toEqual(['Peter', 'Mary']);
+  expect(find({ age: { $gt: 19 } })).toEqual(['John', 'Mary']);
+  expect(find({ age: { $gte: 19, $lt: 31 } })).toEqual(['Peter', 'John']);
+  expect(find({ age: { $lte: 25 } })).toEqual(['Peter', 'John']);
+  expect(find({ age: { $gt: '19' } })).toEqual([]);
+  expect(find({ name: { $in: ['Peter', 'Mary'] } })).toEqual(['Peter', 'Mary']);
+  expect(find({ name: { $nin: ['Peter', 'Mary'] } })).toEqual(['John']);
+  expect(find({ tags: { $exists: false } })).toEqual(['Mary']);
+  expect(find({ tags: 'admin' })).toEqual(['Peter']);
+  expect(find({ tags: [] })).toEqual(['John']);
+  expect(find({ tags: { $in: ['admin', 'editor'] } })).toEqual(['Peter']);
+  expect(find({ tags: { $nin: ['admin'] } })).toEqual(['John', 'Mary']);
+});
+
+
+test('Regular expressions', () => {
+  expect(find({ name: /^p/i })).toEqual(['Peter']);
+  expect(find({ name: { $regex: 'r' } })).toEqual(['Peter', 'Mary']);
+  expect(find({ name: { $regex: '^J', $options: 'i' } })).toEqual(['John']);
+  expect(find({ age: { $regex: '1' } })).toEqual([]);
+  expect(find({ name: /^[pj]/gi })).toEqual(['Peter', 'John']);
+  expect(find({ name: { $regex: /[pj]/iy } })).toEqual(['Peter', 'John']);
+  expect(find({ name: { $regex: 'r', $options: 'g' } })).toEqual(['Peter', 'Mary']);
+});
+
+
+test('Logical operators', () => {
+  expect(find({ $and: [{ age: { $gt: 18 } }, { age: { $lt: 30 } }] })).toEqual(['Peter', 'John']);
+  expect(find({ $or: [{ name: 'Peter' }, u => u.age > 30] })).toEqual(['Peter', 'Mary']);
+  expect(find({ $not: { name: 'Peter' } })).toEqual(['John', 'Mary']);
+  expect(find({ age: { $not: { $gt: 20 } } })).toEqual(['Peter']);
+});
+
+
+test('Dot paths', () => {
+  expect(find({ 'profile.city': 'Lisbon' })).toEqual(['Peter']);
+  expect(find({ 'profile.city': { $exists: true } })).toEqual(['Peter', 'John']);
+  expect(find({ profile: { city: 'Porto' } })).toEqual(['John']);
+});
+
+
+test('getPath function', () => {
+  expect(getPath(users[0], 'profile.city')).toBe('Lisbon');
+  expect(getPath(users[2], 'profile.city')).toBe(undefined);
+  expect(getPath(users[0], 'tags.0')).toBe('admin');
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+/* eslint-disable no-undef */
+
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { MemoryStorage } = require('../lib/Storage');
+
+const dataFile = 'tests/temp/references/database.json';
+const collectionsFolder = 'tests/temp/references/collections';
+
+
+
+test('Collection#get populate option', () => {
+  const db = new Database({ dataFile, collectionsFolder, storage: new MemoryStorage() });
+  const Users = db.createCollection('users', {}, { id: 'uuid' });
+  const Guilds = db.createCollection('guilds', {}, { id: 'uuid', refs: { owner: { ref: 'users' } } });
+  const Members = db.createCollection('members', {}, { refs: { guild: { ref: 'guilds' }, roles: { ref: 'roles', field: 'name' } } });
+  const Roles = db.createCollection('roles');
+
+  const peter = Users.create({ name: 'Peter' });
+  const guild = Guilds.create({ name: 'Simpl', owner: peter._id });
+
+  Roles.createBulk([{ name: 'admin' }, { name: 'mod' }]);
+  Members.create({ user: 'Peter', guild: guild._id, roles: ['admin', 'mod', 'guest'] });
+
+  expect(Guilds.get({ name: 'Simpl' }, { populate: 'owner' })).toEqual({ _id: guild._id, name: 'Simpl', owner: { _id: peter._id, name: 'Peter', save: expect.any(Function) } });
+  expect(Members.getMany({ user: 'Peter' }, { populate: ['guild', 'roles'] })).toMatchObject([{ guild: { name: 'Simpl' }, roles: [{ name: 'admin' }, { name: 'mod' }, null] }]);
+  expect(Members.find({}, { populate: 'roles', select: ['user', 'roles'] })).toMatchObject([{ user: 'Peter', roles: [{ name: 'admin' }, { name: 'mod' }, null] }]);
+
+  // Populated entries are copies, the stored ones keep their references
+  expect(Guilds.get({ name: 'Simpl' }).owner).toBe(peter._id);
+  expect(Guilds.get({ name: 'Missing' }, { populate: 'owner' })).toBe(null);
+
+  expect(() => Guilds.get({}, { populate: 'name' })).toThrow('The field name is not a reference');
+  expect(() => Guilds.get({}, { populate: 1 })).toThrow('The populate option must be a reference field or an array of them');
+  expect(() => db.createCollection('bans', {}, { refs: { user: { ref: 'users', onDelete: 'ignore' } } })).toThrow(/The refs option must be an object of fields/);
+});
+
+
+test('Collection#remove references onDelete', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, collectionsFolder, storage });
+  const Users = db.createCollection('users', {}, { id: 'uuid' });
+  const Guilds = db.createCollection('guilds', {}, { id: 'uuid', refs: { owner: { ref: 'users', onDelete: 'restrict' } } });
+  const Members = db.createCollection('members', {}, { refs: { guild: { ref: 'guilds', onDelete: 'cascade' }, invitedBy: { ref: 'users', onDelete: 'nullify' } } });
+
+  const [peter, john] = Users.createBulk([{ name: 'Peter' }, { name: 'John' }]);
+  const guild = Guilds.create({ name: 'Simpl', owner: peter._id });
+
+  Members.createBulk([{ user: 'Peter', guild: guild._id }, { user: 'John', guild: guild._id, invitedBy: peter._id }, { user: 'Mary', invitedBy: john._id }]);
+
+  expect(() => Users.removeById(peter._id)).toThrow('The entries cannot be removed as entries of the guilds collection reference them');
+  expect(Users.entries).toBe(2);
+  expect(Members.entries).toBe(3);
+
+  expect(Guilds.removeById(guild._id)).toMatchObject({ name: 'Simpl' });
+  expect(Members.getAll()).toMatchObject([{ user: 'Mary', invitedBy: john._id }]);
+
+  Users.removeById(john._id);
+
+  expect(Members.getAll()).toMatchObject([{ user: 'Mary', invitedBy: null }]);
+  expect(JSON.parse(storage.read(collectionsFolder + '/members.json'))).toEqual([{ user: 'Mary', invitedBy: null }]);
+
+  // References of collections that are not loaded yet are found in their saved options
+  const reopened = new Database({ dataFile, collectionsFolder, storage });
+
+  reopened.getCollection('guilds').create({ name: 'Other', owner: peter._id });
+
+  expect(() => new Database({ dataFile, collectionsFolder, storage }).getCollection('users').removeById(peter._id)).toThrow(/guilds collection reference them/);
+});
+
+
+test('AsyncCollection#remove references onDelete', async () => {
+  const storage = new MemoryStorage();
+  const db = new AsyncDatabase({ dataFile, collectionsFolder, storage });
+  const Guilds = await db.createCollection('guilds', {}, { id: 'uuid' });
+  const Members = await db.createCollection('members', {}, { refs: { guild: { ref: 'guilds', onDelete: 'cascade' } } });
+
+  const guild = await Guilds.create({ name: 'Simpl' });
+
+  await Members.createBulk([{ user: 'Peter', guild: guild._id }, { user: 'John' }]);
+
+  expect(await Members.get({ user: 'Peter' }, { populate: 'guild' })).toMatchObject({ guild: { name: 'Simpl' } });
+
+  await Guilds.removeById(guild._id);
+  await Members.flush();
+
+  expect(JSON.parse(storage.read(collectionsFolder + '/members.json'))).toEqual([{ user: 'John' }]);
+});
\ No newline at end of file
@@ -0,0 +1,51 @@
+/* eslint-disable no-undef */
+
+const { checkSchema, validate } = require('../lib/Schema');
+
+const schema = {
+  name: { type: 'string', required: true, min: 2, max: 10, pattern: '^[A-Z]' },
+  age: { type: 'number', min: 0, max: 150 },
+  role: { type: 'string', enum: ['admin', 'user'] },
+  nickname: ['string', 'null'],
+  profile: { type: 'object', properties: { city: { type: 'string', required: true } } },
+  tags: { type: 'array', max: 2, items: { type: 'string', pattern: /^#/ } },
+  extra: 'any'
+};
+
+
+
+test('checkSchema function', () => {
+  expect(() => checkSchema(schema)).not.toThrow();
+  expect(() => checkSchema({ name: 'string', age: { type: ['number', 'null'] } })).not.toThrow();
+
+  expect(() => checkSchema(null)).toThrow(/Invalid schema: it must be an object/);
+  expect(() => checkSchema({ name: 'text' })).toThrow(/Invalid schema for name: the type must be one of/);
+  expect(() => checkSchema({ name: { required: true } })).toThrow(/Invalid schema for name: it must be a type/);
+  expect(() => checkSchema({ role: { type: 'string', enum: 'admin' } })).toThrow(/enum must be an array/);
+  expect(() => checkSchema({ age: { type: 'number', min: '0' } })).toThrow(/min and max must be numbers/);
+  expect(() => checkSchema({ profile: { type: 'object', properties: { city: 'place' } } })).toThrow(/Invalid schema for profile.city/);
+});
+
+
+test('validate function', () => {
+  expect(validate(schema, { name: 'Peter', age: 19, role: 'admin', nickname: null, profile: { city: 'Lisbon' }, tags: ['#a'], extra: {} })).toEqual([]);
+  expect(validate(schema, { name: 'Peter' })).toEqual([]);
+
+  expect(validate(schema, {})).toEqual([{ path: 'name', message: 'is required' }]);
+  expect(validate(schema, { name: 5 })).toEqual([{ path: 'name', message: 'must be of type string' }]);
+  expect(validate(schema, { name: 'p' })).toEqual([
+    { path: 'name', message: 'must have at least 2 characters' },
+    { path: 'name', message: 'must match the pattern ^[A-Z]' }
+  ]);
+  expect(validate(schema, { name: 'Peter', age: 200, role: 'owner', nickname: 1 })).toEqual([
+    { path: 'age', message: 'must be at most 150' },
+    { path: 'role', message: 'must be one of "admin", "user"' },
+    { path: 'nickname', message: 'must be of type string or null' }
+  ]);
+  expect(validate(schema, { name: 'Peter', profile: {}, tags: ['#a', 'b', '#c'] })).toEqual([
+    { path: 'profile.city', message: 'is required' },
+    { path: 'tags', message: 'must have at most 2 items' },
+    { path: 'tags[1]', message: 'must match the pattern /^#/' }
+  ]);
+  expect(validate(schema, { name: 'Peter', tags: {} })).toEqual([{ path: 'tags', message: 'must be of type array' }]);
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { clone, parse, registerCodec, stringify } = require('../lib/Serialization');
+const { MemoryStorage } = require('../lib/Storage');
+
+FS.mkdirSync('tests/temp/serialization', { recursive: true });
+
+const dataFile = 'tests/temp/serialization/database.json';
+const collectionsFolder = 'tests/temp/serialization/collections';
+
+class Money {
+  constructor(cents, currency) {
+    this.cents = cents;
+    this.currency = currency;
+  }
+}
+
+registerCodec('Money', { type: Money, serialize: money => [money.cents, money.currency], deserialize: ([cents, currency]) => new Money(cents, currency) });
+
+
+beforeEach(() => {
+  FS.rmSync('tests/temp/serialization', { recursive: true, force: true });
+  FS.mkdirSync('tests/temp/serialization', { recursive: true });
+});
+
+
+
+test('stringify and parse functions', () => {
+  const value = {
+    date: new Date('2024-01-02T03:04:05.678Z'),
+    big: 12345678901234567890n,
+    map: new Map([['a', new Set([1, 2])], [2, new Date(0)]]),
+    buffer: Buffer.from('simpl.db'),
+    price: new Money(1999, 'EUR'),
+    plain: { nested: [1, 'two', null] }
+  };
+
+  const text = stringify(value);
+
+  expect(JSON.parse(text).date).toEqual({ $$type: 'Date', $$value: '2024-01-02T03:04:05.678Z' });
+  expect(JSON.parse(text).big).toEqual({ $$type: 'BigInt', $$value: '12345678901234567890' });
+  expect(JSON.parse(text).price).toEqual({ $$type: 'Money', $$value: [1999, 'EUR'] });
+  expect(parse(text)).toEqual(value);
+  expect(parse(text).price).toBeInstanceOf(Money);
+  expect(clone(value).map.get('a')).toEqual(new Set([1, 2]));
+
+  // Plain data is written the way JSON.stringify writes it, and unknown tags are left as they are
+  expect(stringify({ a: [1, { b: 'c' }] }, 2)).toBe(JSON.stringify({ a: [1, { b: 'c' }] }, null, 2));
+  expect(parse('{"x":{"$$type":"Unknown","$$value":1}}')).toEqual({ x: { $$type: 'Unknown', $$value: 1 } });
+  expect(parse('{"n":{"$$type":"BigInt","$$value":"5"}}', (key, v) => typeof v === 'bigint' ? v * 2n : v)).toEqual({ n: 10n });
+
+  // Objects that look like tags are escaped, and values their codec cannot read throw
+  const lookalike = { $$type: 'BigInt', $$value: { $$type: 'Set', $$value: [new Set([1])] } };
+
+  expect(parse(stringify(lookalike))).toEqual(lookalike);
+  expect(parse(stringify({ $$type: 'Date', $$value: 'x' }))).toEqual({ $$type: 'Date', $$value: 'x' });
+  expect(() => parse('{"n":{"$$type":"BigInt","$$value":"nope"}}')).toThrow('The BigInt value "nope" could not be read: Cannot convert nope to a BigInt');
+
+  expect(() => registerCodec('Date', { type: Date, serialize: d => d.getTime(), deserialize: t => new Date(t) })).toThrow('The Date codec cannot be replaced');
+  expect(() => registerCodec('Money', { type: Money })).toThrow('The codec must be an object with a type (class), a serialize and a deserialize function');
+  expect(() => registerCodec('', {})).toThrow('The provided name is invalid');
+});
+
+
+test('Database values round-trip', () => {
+  const db = new Database({ dataFile, collectionsFolder });
+
+  db.set('createdAt', new Date('2024-01-02T00:00:00.000Z'));
+  db.set('counters', { views: 9007199254740993n });
+  db.set('roles', new Map([['peter', new Set(['admin'])]]));
+  db.set('avatar', Buffer.from([1, 2, 3]));
+  db.set('balance', new Money(500, 'USD'));
+
+  const reopened = new Database({ dataFile, collectionsFolder });
+
+  expect(reopened.get('createdAt')).toEqual(new Date('2024-01-02T00:00:00.000Z'));
+  expect(reopened.get('counters.views')).toBe(9007199254740993n);
+  expect(reopened.get('roles').get('peter').has('admin')).toBe(true);
+  expect(reopened.get('avatar')).toEqual(Buffer.from([1, 2, 3]));
+  expect(reopened.get('balance')).toEqual(new Money(500, 'USD'));
+
+  // Rolled back transactions bring the values back as they were
+  expect(() => reopened.transaction(db => {
+    db.set('createdAt', new Date(0));
+    throw new Error('Rollback');
+  })).toThrow('Rollback');
+
+  expect(reopened.get('createdAt')).toBeInstanceOf(Date);
+  expect(reopened.get('createdAt').getTime()).toBe(Date.parse('2024-01-02T00:00:00.000Z'));
+
+  // Data that looks like a tag comes back as it was set, and a file with a value that cannot be read is not replaced
+  reopened.set('payload', { $$type: 'BigInt', $$value: 'nope' });
+
+  expect(new Database({ dataFile, collectionsFolder }).get('payload')).toEqual({ $$type: 'BigInt', $$value: 'nope' });
+
+  FS.writeFileSync(dataFile, '{"money":100,"n":{"$$type":"BigInt","$$value":"nope"}}');
+
+  expect(() => new Database({ dataFile, collectionsFolder })).toThrow('The BigInt value "nope" could not be read');
+  expect(FS.readFileSync(dataFile, 'utf8')).toBe('{"money":100,"n":{"$$type":"BigInt","$$value":"nope"}}');
+});
+
+
+test('Collection entries round-trip', () => {
+  const storage = new MemoryStorage();
+  const db = new Database({ dataFile, collectionsFolder, storage });
+  const Events = db.createCollection('events', {}, { journal: true });
+
+  Events.createBulk([
+    { name: 'launch', at: new Date('2024-05-01T10:00:00.000Z'), attendees: new Set(['Peter']), total: 10n },
+    { name: 'party', at: new Date('2024-06-01T20:00:00.000Z'), attendees: new Set(), total: 3n }
+  ]);
+  Events.save();
+  Events.update(event => event.attendees.add('John'), { name: 'party' });
+  Events.save();
+
+  const reopened = new Database({ dataFile, collectionsFolder, storage }).getCollection('events');
+
+  expect(reopened.get({ name: 'party' })).toMatchObject({ at: new Date('2024-06-01T20:00:00.000Z'), attendees: new Set(['John']), total: 3n });
+
+  // Dates and BigInts can be queried and sorted
+  expect(reopened.getMany({ at: { $gt: new Date('2024-05-15T00:00:00.000Z') } }).map(e => e.name)).toEqual(['party']);
+  expect(reopened.getMany({ total: { $gte: 5 } }).map(e => e.name)).toEqual(['launch']);
+  expect(reopened.find({}, { sort: { at: -1 } }).map(e => e.name)).toEqual(['party', 'launch']);
+  expect(reopened.find({}, { select: ['at'] })[0].at).toBeInstanceOf(Date);
+});
+
+
+test('AsyncCollection entries round-trip', async () => {
+  const db = new AsyncDatabase({ dataFile, collectionsFolder });
+  const Payments = await db.createCollection('payments');
+
+  await Payments.create({ amount: new Money(1250, 'EUR'), paidAt: new Date(1700000000000) });
+
+  const [payment] = await Payments.fetchAll();
+
+  expect(payment.amount).toBeInstanceOf(Money);
+  expect(payment.paidAt).toEqual(new Date(1700000000000));
+  expect(JSON.parse(FS.readFileSync(collectionsFolder + '/payments.json', 'utf8'))).toEqual([{ amount: { $$type: 'Money', $$value: [1250, 'EUR'] }, paidAt: { $$type: 'Date', $$value: '2023-11-14T22:13:20.000Z' } }]);
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { JSONStorage, MemoryStorage } = require('../lib/Storage');
+
+FS.mkdirSync('tests/temp/storage', { recursive: true });
+
+const folder = 'tests/temp/storage';
+
+
+beforeEach(() => {
+  FS.rmSync(folder, { recursive: true, force: true });
+  FS.mkdirSync(folder, { recursive: true });
+});
+
+
+
+test('JSONStorage class', async () => {
+  const storage = new JSONStorage();
+
+  expect(storage.read(folder + '/file.json')).toBe(null);
+
+  storage.write(folder + '/file.json', '{"a":1}');
+  await storage.promises.write(folder + '/other.json', '[]');
+  FS.mkdirSync(folder + '/nested');
+
+  expect(storage.read(folder + '/file.json')).toBe('{"a":1}');
+  expect(await storage.promises.read(folder + '/other.json')).toBe('[]');
+  expect(storage.list(folder).sort()).toEqual(['file.json', 'other.json']);
+  expect(await storage.promises.list(folder + '/missing')).toEqual([]);
+
+  expect(storage.delete(folder + '/file.json')).toBe(true);
+  expect(storage.delete(folder + '/file.json')).toBe(false);
+  expect(await storage.promises.delete(folder + '/other.json')).toBe(true);
+  expect(storage.list(folder)).toEqual([]);
+
+  expect(() => new JSONStorage(null)).toThrow('The options parameter must be an object');
+});
+
+
+test('MemoryStorage class', () => {
+  const storage = new MemoryStorage({ [folder + '/database.json']: '{"money":100}' });
+  const db = new Database({ dataFile: folder + '/database.json', collectionsFolder: folder + '/collections', storage });
+  const Users = db.createCollection('users');
+
+  expect(db.get('money')).toBe(100);
+
+  db.transaction(tx => {
+    tx.subtract('money', 30);
+    Users.create({ name: 'Peter' });
+  });
+
+  expect(JSON.parse(storage.read(folder + '/database.json'))).toEqual({ money: 70 });
+  expect(JSON.parse(storage.read(folder + '/collections/users.json'))).toEqual([{ name: 'Peter' }]);
+  expect(storage.list(folder)).toEqual(['database.json']);
+  expect(FS.readdirSync(folder)).toEqual([]);
+
+  // Databases sharing the storage see each other's files
+  expect(new Database({ dataFile: folder + '/database.json', storage }).get('money')).toBe(70);
+
+  expect(db.deleteCollection('users')).toBe(true);
+  expect(storage.list(folder + '/collections')).toEqual([]);
+
+  expect(() => new MemoryStorage('files')).toThrow('The files parameter must be an object');
+});
+
+
+test('AsyncDatabase storage option', async () => {
+  const storage = new MemoryStorage();
+  const db = new AsyncDatabase({ dataFile: folder + '/database.json', collectionsFolder: folder + '/collections', storage });
+  const Users = await db.createCollection('users');
+
+  await db.set('money', 100);
+  await Users.create({ name: 'Peter' });
+
+  await db.transaction(async tx => {
+    await tx.subtract('money', 30);
+    await Users.create({ name: 'John' });
+  });
+
+  expect(await db.fetch('money')).toBe(70);
+  expect((await Users.fetchAll()).map(u => u.name)).toEqual(['Peter', 'John']);
+  expect(JSON.parse(storage.read(folder + '/database.json'))).toEqual({ money: 70 });
+  expect(FS.readdirSync(folder)).toEqual([]);
+});
\ No newline at end of file
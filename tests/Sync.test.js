@@ -0,0 +1,181 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { ConflictError } = require('../lib/Errors');
+const { MemoryStorage } = require('../lib/Storage');
+const { merge, withLock, withLockAsync } = require('../lib/Sync');
+
+FS.mkdirSync('tests/temp/sync', { recursive: true });
+
+const dataFile = 'tests/temp/sync/database.json';
+const collectionsFolder = 'tests/temp/sync/collections';
+
+const read = file => JSON.parse(FS.readFileSync(file, 'utf8'));
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+
+beforeEach(() => {
+  FS.rmSync('tests/temp/sync', { recursive: true, force: true });
+  FS.mkdirSync(collectionsFolder, { recursive: true });
+});
+
+
+
+test('merge function', () => {
+  const base = { a: 1, b: { c: 1, d: 1 }, e: 1 };
+
+  expect(merge(base, { a: 2, b: { c: 2, d: 1 }, e: 1 }, { a: 3, b: { c: 1, d: 3 } })).toEqual({ a: 2, b: { c: 2, d: 3 } });
+  expect(merge([1], [1, 2], [1, 3])).toEqual([1, 2]);
+
+  expect(merge(
+    [{ _id: 1, name: 'Peter', age: 19 }, { _id: 2, name: 'John' }],
+    [{ _id: 1, name: 'Peter', age: 20 }, { _id: 2, name: 'John' }, { _id: 3, name: 'Mary' }],
+    [{ _id: 1, name: 'Pete', age: 19 }, { _id: 4, name: 'Anne' }]
+  )).toEqual([{ _id: 1, name: 'Pete', age: 20 }, { _id: 4, name: 'Anne' }, { _id: 3, name: 'Mary' }]);
+});
+
+
+test('withLock function', async () => {
+  const file = 'tests/temp/sync/file.json';
+
+  expect(withLock([file], true, () => FS.readFileSync(file + '.lock', 'utf8'))).toBe(String(process.pid));
+  expect(FS.existsSync(file + '.lock')).toBe(false);
+
+  FS.writeFileSync(file + '.lock', String(process.pid));
+
+  expect(() => withLock([file], 50, () => {})).toThrow(expect.objectContaining({ code: 'ELOCKED' }));
+  await expect(withLockAsync([file], 50, () => {})).rejects.toThrow(/could not be acquired/);
+  expect(withLock([file], false, () => 'unlocked')).toBe('unlocked');
+
+  // The process that created it is gone
+  FS.writeFileSync(file + '.lock', '999999999');
+
+  expect(await withLockAsync([file], 50, () => 'locked')).toBe('locked');
+  expect(FS.existsSync(file + '.lock')).toBe(false);
+});
+
+
+test('Database onConflict option', () => {
+  const options = { autoSave: false, dataFile, collectionsFolder };
+  const ours = new Database({ ...options, onConflict: 'merge' });
+
+  ours.set('user', { name: 'Peter', age: 19 });
+  ours.save();
+
+  const theirs = new Database(options);
+  const other = new Database({ ...options, onConflict: 'reject' });
+
+  ours.set('user.age', 20);
+  theirs.set('settings', { theme: 'dark' });
+  theirs.save();
+  ours.save();
+
+  expect(read(dataFile)).toEqual({ user: { name: 'Peter', age: 20 }, settings: { theme: 'dark' } });
+
+  other.set('user.name', 'John');
+
+  expect(() => other.save()).toThrow(ConflictError);
+  expect(read(dataFile).user.name).toBe('Peter');
+
+  expect(() => new Database({ ...options, onConflict: 'mine' })).toThrow('The onConflict option must be "ours", "theirs", "merge", "reject" or a function');
+});
+
+
+test('Collection onConflict option', () => {
+  const options = { autoSave: false, dataFile, collectionsFolder, onConflict: ({ theirs }) => theirs };
+  const Users = new Database(options).createCollection('users', {}, { id: 'ulid' });
+  const OtherUsers = new Database({ ...options, onConflict: 'merge' }).createCollection('users', {}, { id: 'ulid' });
+
+  const peter = OtherUsers.create({ name: 'Peter' });
+  OtherUsers.save();
+
+  Users.create({ name: 'John' });
+  Users.save();
+
+  expect(Users.getAll().map(u => u.name)).toEqual(['Peter']);
+
+  OtherUsers.updateById(peter._id, user => user.age = 19);
+  OtherUsers.save();
+
+  expect(Users.getAll().map(u => u.name)).toEqual(['Peter']);
+  expect(OtherUsers.getAll().map(u => u.name)).toEqual(['Peter']);
+  expect(read(collectionsFolder + '/users.json')).toEqual([{ _id: peter._id, name: 'Peter', age: 19 }]);
+});
+
+
+test('Database watch option', async () => {
+  const db = new Database({ dataFile, collectionsFolder, watch: 20 });
+  const Users = db.createCollection('users');
+  const events = [];
+
+  db.on('reload', ({ newValue }) => events.push(['database', newValue]));
+  Users.on('reload', ({ newEntries }) => events.push(['users', newEntries]));
+
+  db.set('user', 'Peter');
+  await wait(100);
+
+  expect(events).toEqual([]);
+
+  FS.writeFileSync(dataFile, JSON.stringify({ user: 'John' }));
+  FS.writeFileSync(collectionsFolder + '/users.json', JSON.stringify([{ name: 'John' }]));
+  await wait(200);
+
+  expect(events).toEqual([['database', { user: 'John' }], ['users', [{ name: 'John' }]]]);
+  expect(db.get('user')).toBe('John');
+  expect(Users.get({ name: 'John' })).not.toBeNull();
+
+  db.close();
+
+  FS.writeFileSync(dataFile, JSON.stringify({ user: 'Mary' }));
+  await wait(100);
+
+  expect(db.get('user')).toBe('John');
+});
+
+
+test('Errors of reloads', () => {
+  const watchers = [];
+  const storage = Object.assign(new MemoryStorage(), { watch: (filePath, interval, onChange) => { watchers.push(onChange); return () => {}; } });
+  const db = new Database({ dataFile, collectionsFolder, storage, watch: true });
+  const asyncDb = new AsyncDatabase({ dataFile: 'async.json', collectionsFolder, storage, watch: true });
+  const errors = [];
+
+  storage.write(dataFile, '{"n":{"$$type":"BigInt","$$value":"nope"}}');
+  storage.write('async.json', '{"n":{"$$type":"BigInt","$$value":"nope"}}');
+
+  // Without a listener they become process warnings
+  const warning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+
+  expect(() => watchers.forEach(reload => reload())).not.toThrow();
+  expect(warning).toHaveBeenCalledTimes(2);
+
+  warning.mockRestore();
+
+  db.on('error', e => errors.push(e.message));
+  asyncDb.on('error', e => errors.push(e.message));
+  watchers.forEach(reload => reload());
+
+  expect(errors).toEqual([expect.stringContaining('The BigInt value "nope" could not be read'), expect.stringContaining('The BigInt value "nope" could not be read')]);
+});
+
+
+test('AsyncDatabase lock option', async () => {
+  const db = new AsyncDatabase({ dataFile, collectionsFolder, lock: 100, onConflict: 'merge' });
+  const Users = await db.createCollection('users');
+
+  FS.writeFileSync(dataFile + '.lock', String(process.pid));
+
+  await expect(db.set('user', 'Peter')).rejects.toThrow(/could not be acquired/);
+
+  FS.rmSync(dataFile + '.lock');
+  FS.writeFileSync(dataFile, JSON.stringify({ settings: 'dark' }));
+
+  await db.set('user', 'Peter');
+  await Users.create({ name: 'Peter' });
+
+  expect(read(dataFile)).toEqual({ settings: 'dark', user: 'Peter' });
+  expect(read(collectionsFolder + '/users.json')).toEqual([{ name: 'Peter' }]);
+  expect(FS.readdirSync('tests/temp/sync').filter(f => f.endsWith('.lock'))).toEqual([]);
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+/* eslint-disable no-undef */
+
+const FS = require('fs');
+const AsyncDatabase = require('../lib/AsyncDatabase');
+const Database = require('../lib/Database');
+const { commitFiles, recoverTransaction } = require('../lib/Transaction');
+
+FS.mkdirSync('tests/temp/transaction', { recursive: true });
+
+const dataFile = 'tests/temp/transaction/database.json';
+const collectionsFolder = 'tests/temp/transaction/collections';
+const journal = dataFile + '.journal';
+
+const read = file => JSON.parse(FS.readFileSync(file, 'utf8'));
+
+
+beforeEach(() => {
+  FS.rmSync('tests/temp/transaction', { recursive: true, force: true });
+  FS.mkdirSync(collectionsFolder, { recursive: true });
+});
+
+
+
+test('commitFiles function', () => {
+  const first = 'tests/temp/transaction/first.json';
+  const second = 'tests/temp/transaction/second.json';
+
+  commitFiles([{ path: first, data: '[1]' }, { path: second, data: '[2]' }], journal);
+
+  expect(read(first)).toEqual([1]);
+  expect(read(second)).toEqual([2]);
+  expect(FS.existsSync(journal)).toBe(false);
+  expect(FS.existsSync(first + '.tx')).toBe(false);
+
+  expect(() => commitFiles([{ path: first, data: '[3]' }, { path: 'tests/temp/missing/file.json', data: '[]' }], journal)).toThrow(/ENOENT/);
+  expect(read(first)).toEqual([1]);
+  expect(FS.existsSync(first + '.tx')).toBe(false);
+});
+
+
+test('recoverTransaction function', () => {
+  const file = 'tests/temp/transaction/file.json';
+
+  FS.writeFileSync(file, '"old"');
+  FS.writeFileSync(file + '.tx', '"new"');
+
+  expect(recoverTransaction(journal)).toBe(false);
+  expect(read(file)).toBe('old');
+
+  FS.writeFileSync(journal, '["tests/temp/transac');
+
+  expect(recoverTransaction(journal)).toBe(false);
+  expect(FS.existsSync(journal)).toBe(false);
+
+  FS.writeFileSync(journal, JSON.stringify([file]));
+
+  expect(recoverTransaction(journal)).toBe(true);
+  expect(read(file)).toBe('new');
+  expect(FS.existsSync(journal)).toBe(false);
+
+  // The temporary files of a transaction that was never committed are deleted, which the databases do when they are opened
+  FS.writeFileSync(file + '.tx', '"newer"');
+
+  expect(recoverTransaction(journal, undefined, [file])).toBe(false);
+  expect(read(file)).toBe('new');
+  expect(FS.existsSync(file + '.tx')).toBe(false);
+
+  FS.writeFileSync(dataFile + '.tx', '{}');
+  FS.writeFileSync(collectionsFolder + '/users.json.tx', '[]');
+  new Database({ dataFile, collectionsFolder });
+
+  expect(FS.existsSync(dataFile + '.tx')).toBe(false);
+  expect(FS.existsSync(collectionsFolder + '/users.json.tx')).toBe(false);
+});
+
+
+test('Database#transaction', () => {
+  const db = new Database({ dataFile, collectionsFolder });
+  const Shop = db.createCollection('shop');
+
+  db.set('a', { money: 100 });
+  db.set('b', { money: 0 });
+  Shop.create({ item: 'sword', stock: 1 });
+
+  const events = [];
+
+  db.on('set', ({ key }) => events.push(key));
+  db.on('save', () => events.push('save'));
+  Shop.on('update', () => events.push('update'));
+  Shop.on('save', () => events.push('shop save'));
+
+  expect(db.transaction(tx => {
+    tx.subtract('a.money', 50);
+    tx.add('b.money', 50);
+    Shop.update(i => i.stock--, { item: 'sword' });
+
+    expect(read(dataFile).a.money).toBe(100);
+    expect(events).toEqual([]);
+
+    return 'done';
+  })).toBe('done');
+
+  expect(read(dataFile)).toEqual({ a: { money: 50 }, b: { money: 50 } });
+  expect(events).toEqual(['a.money', 'b.money', 'update', 'save', 'shop save']);
+  expect(read(`${collectionsFolder}/shop.json`)).toEqual([{ item: 'sword', stock: 0 }]);
+
+  expect(() => db.transaction(tx => {
+    tx.subtract('a.money', 50);
+    Shop.create({ item: 'shield', stock: 3 });
+    tx.createCollection('logs').create({ message: 'Bought a shield' });
+
+    throw new Error('Payment failed');
+  })).toThrow('Payment failed');
+
+  expect(db.get('a.money')).toBe(50);
+  expect(Shop.getAll()).toMatchObject([{ item: 'sword', stock: 0 }]);
+  expect(Shop.entries).toBe(1);
+  expect(db.getCollection('logs')).toBe(null);
+  expect(read(dataFile).a.money).toBe(50);
+  expect(events.length).toBe(5);
+
+  expect(() => db.transaction(tx => tx.transaction(() => {}))).toThrow(/already running/);
+  expect(() => db.transaction(tx => tx.deleteCollection('shop'))).toThrow(/cannot be deleted during a transaction/);
+  expect(() => db.transaction(async () => {})).toThrow(/must be synchronous/);
+  expect(() => db.transaction(null)).toThrow(/valid callback must be provided/);
+});
+
+
+test('AsyncDatabase#transaction', async () => {
+  const db = new AsyncDatabase({ dataFile, collectionsFolder });
+  const Shop = await db.createCollection('shop', {}, { unique: ['item'] });
+
+  await db.set('money', 100);
+
+  await db.transaction(async tx => {
+    await tx.subtract('money', 30);
+    await Shop.create({ item: 'sword' });
+  });
+
+  expect(read(dataFile)).toEqual({ money: 70 });
+  expect(read(`${collectionsFolder}/shop.json`)).toEqual([{ item: 'sword' }]);
+
+  await expect(db.transaction(async tx => {
+    await tx.subtract('money', 30);
+    await Shop.create({ item: 'sword' });
+  })).rejects.toThrow(/unique field item already exists/);
+
+  expect(await db.get('money')).toBe(70);
+  expect(read(dataFile)).toEqual({ money: 70 });
+});
\ No newline at end of file
@@ -1,7 +1,28 @@
 /* eslint-disable no-undef */
 
-const { isObject, isValidKey } = require('../lib/Utils');
+const FS = require('fs');
+const { decryptValue, encryptValue, isObject, isValidKey, recoverTempFile, ulid, uuid, writeFileAtomic } = require('../lib/Utils');
 
+const tempFile = 'tests/temp/utils.json';
+
+FS.mkdirSync('tests/temp', { recursive: true });
+
+
+
+test('encryptValue and decryptValue functions', () => {
+  const key = 'a'.repeat(32);
+
+  for (const value of ['text', 0, false, null, [1, { a: 'b' }], { nested: { value: 1 } }]) {
+    const encrypted = encryptValue(value, key);
+
+    expect(encrypted).toMatch(/^enc:/);
+    expect(decryptValue(encrypted, key)).toEqual(value);
+  }
+
+  expect(encryptValue('text', key)).not.toBe(encryptValue('text', key));
+  expect(decryptValue('not encrypted', key)).toBe('not encrypted');
+  expect(() => decryptValue(encryptValue('text', key), 'b'.repeat(32))).toThrow();
+});
 
 
 test('isObject function', () => {
@@ -9,6 +30,13 @@ test('isObject function', () => {
   expect(isObject({})).toBe(true);
   expect(isObject('{}')).toBe(false);
   expect(isObject([])).toBe(false);
+  expect(isObject(null)).toBe(false);
+  expect(isObject(new Date())).toBe(false);
+  expect(isObject(new Map([['a', 1]]))).toBe(false);
+  expect(isObject(new Set())).toBe(false);
+  expect(isObject(Buffer.from('a'))).toBe(false);
+  expect(isObject(10n)).toBe(false);
+  expect(isObject({ big: 10n })).toBe(true);
 });
 
 
@@ -23,3 +51,56 @@ test('isValidKey function', () => {
   expect(isValidKey({})).toBe(false);
   expect(isValidKey([])).toBe(false);
 });
+
+
+test('recoverTempFile function', () => {
+  FS.writeFileSync(tempFile, '{"old":true}');
+  FS.writeFileSync(tempFile + '.tmp', '{"new":true}');
+
+  expect(recoverTempFile(tempFile)).toBe(true);
+  expect(JSON.parse(FS.readFileSync(tempFile, 'utf8'))).toEqual({ new: true });
+  expect(FS.existsSync(tempFile + '.tmp')).toBe(false);
+
+  FS.writeFileSync(tempFile + '.tmp', '{"new":tr');
+
+  expect(recoverTempFile(tempFile)).toBe(false);
+  expect(JSON.parse(FS.readFileSync(tempFile, 'utf8'))).toEqual({ new: true });
+  expect(FS.existsSync(tempFile + '.tmp')).toBe(false);
+
+  expect(recoverTempFile(tempFile)).toBe(false);
+
+  FS.unlinkSync(tempFile);
+});
+
+
+test('writeFileAtomic function', () => {
+  writeFileAtomic(tempFile, '{"a":1}');
+
+  expect(FS.readFileSync(tempFile, 'utf8')).toBe('{"a":1}');
+
+  writeFileAtomic(tempFile, '{"a":2}', true);
+
+  expect(FS.readFileSync(tempFile, 'utf8')).toBe('{"a":2}');
+  expect(FS.existsSync(tempFile + '.tmp')).toBe(false);
+
+  expect(() => writeFileAtomic('tests/temp/unexisting/utils.json', '{}')).toThrow(/ENOENT/);
+  expect(FS.existsSync('tests/temp/unexisting/utils.json.tmp')).toBe(false);
+
+  FS.unlinkSync(tempFile);
+});
+
+
+test('ulid function', () => {
+  const first = ulid();
+  const second = ulid();
+
+  expect(first).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+  expect(first).not.toBe(second);
+  expect(first.slice(0, 10) <= second.slice(0, 10)).toBe(true);
+});
+
+
+test('uuid function', () => {
+  expect(uuid()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  expect(uuid()).not.toBe(uuid());
+});
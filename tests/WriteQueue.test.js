@@ -0,0 +1,36 @@
+/* eslint-disable no-undef */
+
+const WriteQueue = require('../lib/WriteQueue');
+
+
+
+test('WriteQueue#push', async () => {
+  const writes = [];
+  const queue = new WriteQueue(async () => writes.push(writes.length));
+
+  await Promise.all([queue.push(), queue.push(), queue.push()]);
+
+  expect(writes).toEqual([0]);
+
+  const first = queue.push();
+  await Promise.resolve();
+  const second = queue.push();
+  const third = queue.push();
+
+  expect(second).toBe(third);
+  expect(first).not.toBe(second);
+
+  await Promise.all([first, second]);
+
+  expect(writes).toEqual([0, 1, 2]);
+
+  expect(() => new WriteQueue(null)).toThrow(/parameter must be a function/);
+});
+
+
+test('WriteQueue#idle', async () => {
+  const queue = new WriteQueue(() => Promise.reject(new Error('Failed')));
+
+  await expect(queue.push()).rejects.toThrow('Failed');
+  await expect(queue.idle()).resolves.toBe(undefined);
+});
\ No newline at end of file